@@ -5,6 +5,7 @@ declare(strict_types=1);
 namespace OpenForgeProject\MageForge\Block;
 
 use Magento\Framework\App\Config\ScopeConfigInterface;
+use Magento\Framework\App\Filesystem\DirectoryList;
 use Magento\Framework\App\State;
 use Magento\Framework\View\Element\Template;
 use Magento\Framework\View\Element\Template\Context;
@@ -23,6 +24,7 @@ class Inspector extends Template
      * @param State $state
      * @param ScopeConfigInterface $scopeConfig
      * @param DeveloperAccessChecker $developerAccessChecker
+     * @param DirectoryList $directoryList
      * @param array $data
      * @phpstan-param array<string, mixed> $data
      */
@@ -31,6 +33,7 @@ class Inspector extends Template
         private readonly State $state,
         private readonly ScopeConfigInterface $scopeConfig,
         private readonly DeveloperAccessChecker $developerAccessChecker,
+        private readonly DirectoryList $directoryList,
         array $data = [],
     ) {
         parent::__construct($context, $data);
@@ -188,6 +191,48 @@ class Inspector extends Template
         return is_string($value) && $value !== '' ? $value : InspectorConfig::DEFAULT_INSPECTOR_SHORTCUT;
     }
 
+    /**
+     * Get configured performance budgets, keyed by toolbar data attribute suffix
+     *
+     * Values that are empty or not a positive whole number fall back to the default.
+     *
+     * @return array<string, int>
+     */
+    public function getPerformanceBudgets(): array
+    {
+        $budgets = [];
+        foreach (InspectorConfig::PERFORMANCE_BUDGETS as $key => [$path, $default]) {
+            $value = $this->scopeConfig->getValue($path, InspectorConfig::SCOPE_STORE);
+            $budgets[$key] = is_numeric($value) && (int) $value > 0 ? (int) $value : $default;
+        }
+        return $budgets;
+    }
+
+    /**
+     * Get the Magento root directory as seen by PHP
+     *
+     * Template paths in the inspector data are relative to it; the "Open in editor"
+     * links prepend it (and map it to the host path when running in a container).
+     *
+     * @return string
+     */
+    public function getMagentoRoot(): string
+    {
+        return rtrim($this->directoryList->getRoot(), '/');
+    }
+
+    /**
+     * Get the code of the storefront theme in use (e.g. Hyva/default)
+     *
+     * Target of the override command the Structure tab offers for the inspected template.
+     *
+     * @return string
+     */
+    public function getDesignThemeCode(): string
+    {
+        return (string) $this->_design->getDesignTheme()->getCode();
+    }
+
     /**
      * Render block HTML
      *
@@ -13,10 +13,34 @@ class Inspector
     public const XML_PATH_KEYBOARD_SHORTCUTS_ENABLED = 'mageforge/inspector/keyboard_shortcuts_enabled';
     public const XML_PATH_TOOLBAR_SHORTCUT = 'mageforge/inspector/toolbar_shortcut';
     public const XML_PATH_INSPECTOR_SHORTCUT = 'mageforge/inspector/inspector_shortcut';
+    public const XML_PATH_BUDGET_JS_KB = 'mageforge/inspector/budget_js_kb';
+    public const XML_PATH_BUDGET_IMAGE_KB = 'mageforge/inspector/budget_image_kb';
+    public const XML_PATH_BUDGET_DOM_NODES = 'mageforge/inspector/budget_dom_nodes';
+    public const XML_PATH_BUDGET_LCP_MS = 'mageforge/inspector/budget_lcp_ms';
+    public const XML_PATH_BUDGET_THIRD_PARTY_REQUESTS = 'mageforge/inspector/budget_third_party_requests';
     public const DEFAULT_THEME = 'dark';
     public const DEFAULT_POSITION = 'bottom-left';
     public const DEFAULT_TOOLBAR_SHORTCUT = 'Ctrl+Shift+A';
     public const DEFAULT_INSPECTOR_SHORTCUT = 'Ctrl+Shift+I';
+    public const DEFAULT_BUDGET_JS_KB = 500;
+    public const DEFAULT_BUDGET_IMAGE_KB = 1000;
+    public const DEFAULT_BUDGET_DOM_NODES = 1500;
+    public const DEFAULT_BUDGET_LCP_MS = 2500;
+    public const DEFAULT_BUDGET_THIRD_PARTY_REQUESTS = 20;
+
+    /**
+     * Performance budgets: toolbar data attribute suffix => [config path, default]
+     */
+    public const PERFORMANCE_BUDGETS = [
+        'js-kb' => [self::XML_PATH_BUDGET_JS_KB, self::DEFAULT_BUDGET_JS_KB],
+        'image-kb' => [self::XML_PATH_BUDGET_IMAGE_KB, self::DEFAULT_BUDGET_IMAGE_KB],
+        'dom-nodes' => [self::XML_PATH_BUDGET_DOM_NODES, self::DEFAULT_BUDGET_DOM_NODES],
+        'lcp-ms' => [self::XML_PATH_BUDGET_LCP_MS, self::DEFAULT_BUDGET_LCP_MS],
+        'third-party-requests' => [
+            self::XML_PATH_BUDGET_THIRD_PARTY_REQUESTS,
+            self::DEFAULT_BUDGET_THIRD_PARTY_REQUESTS,
+        ],
+    ];
 
     /**
      * Store scope type.
@@ -0,0 +1,460 @@
+/**
+ * MageForge Accessible Name Computation
+ *
+ * Implements the text alternative computation of "Accessible Name and
+ * Description Computation 1.2" (https://www.w3.org/TR/accname-1.2/) with
+ * the HTML-AAM rules for native labels (<label>, alt, <legend>, <caption>,
+ * <figcaption>, button values, placeholder, SVG <title>).
+ *
+ * Besides the name, the step that produced it is reported so the inspector
+ * can explain where a name comes from. Shared by the inspector and the
+ * toolbar audits (inputs-without-label, empty-interactive).
+ *
+ * Known simplifications: CSS generated content is only read from ::before /
+ * ::after string values (icon-font glyphs are dropped) and aria-owns is not
+ * followed when walking content.
+ */
+
+import { getIdRefs, getRole } from "./aria.js";
+
+/**
+ * @typedef {object} AccessibleName
+ * @property {string}  name   – Computed name, whitespace-collapsed ("" when none)
+ * @property {?string} source – What produced the name, e.g. "aria-labelledby"
+ * @property {?string} step   – accname 1.2 step, e.g. "2B"
+ */
+
+/**
+ * @typedef {object} AccessibleDescription
+ * @property {string}  description
+ * @property {?string} source
+ */
+
+/**
+ * @typedef {object} Traversal
+ * @property {Element}      root
+ * @property {Set<Node>}    visited
+ * @property {boolean}      inLabelledBy   – Walking an aria-labelledby/-describedby target
+ * @property {boolean}      inHiddenRef    – That target itself is hidden
+ * @property {boolean}      recursion      – Computing content for another node
+ * @property {?{source: string, step: string}} [origin] – Set once for the root
+ */
+
+// Roles whose name is computed from their content (accname "name from: contents")
+const NAME_FROM_CONTENT = new Set([
+  "button",
+  "cell",
+  "checkbox",
+  "columnheader",
+  "gridcell",
+  "heading",
+  "link",
+  "menuitem",
+  "menuitemcheckbox",
+  "menuitemradio",
+  "option",
+  "radio",
+  "row",
+  "rowheader",
+  "switch",
+  "tab",
+  "tooltip",
+  "treeitem",
+]);
+
+// Roles that never take part in the name of an ancestor
+const NAME_FROM_AUTHOR_ONLY = new Set([
+  "dialog",
+  "alertdialog",
+  "grid",
+  "listbox",
+  "menu",
+  "menubar",
+  "radiogroup",
+  "table",
+  "tablist",
+  "tree",
+  "treegrid",
+]);
+
+const EMBEDDED_TEXT = new Set(["textbox", "searchbox"]);
+const EMBEDDED_RANGE = new Set([
+  "slider",
+  "spinbutton",
+  "scrollbar",
+  "meter",
+  "progressbar",
+]);
+
+const DEFAULT_BUTTON_LABELS = { submit: "Submit", reset: "Reset" };
+
+// Icon-font glyphs live in the Unicode Private Use Area
+const PRIVATE_USE = /[\uE000-\uF8FF]/g;
+
+/**
+ * @param {string} text
+ * @returns {string}
+ */
+function collapse(text) {
+  return text.replace(/\s+/g, " ").trim();
+}
+
+/**
+ * Why `el` is excluded from the accessibility tree, or null when it is not.
+ * Checks the element and its ancestors.
+ *
+ * @param {Element} el
+ * @returns {?('aria-hidden'|'inert'|'hidden'|'display:none'|'visibility:hidden')}
+ */
+export function getHiddenReason(el) {
+  if (el.closest('[aria-hidden="true"]')) return "aria-hidden";
+  if (el.closest("[inert]")) return "inert";
+  for (let node = el; node; node = node.parentElement) {
+    if (node.hidden) return "hidden";
+    if (getComputedStyle(node).display === "none") return "display:none";
+  }
+  const visibility = getComputedStyle(el).visibility;
+  if (visibility === "hidden" || visibility === "collapse") {
+    return "visibility:hidden";
+  }
+  return null;
+}
+
+/**
+ * String value of ::before / ::after generated content.
+ *
+ * @param {Element} el
+ * @param {'::before'|'::after'} pseudo
+ * @returns {string}
+ */
+function generatedContent(el, pseudo) {
+  let content;
+  try {
+    content = getComputedStyle(el, pseudo).content;
+  } catch (_) {
+    return "";
+  }
+  const match = /^"(.*)"$/s.exec(content ?? "");
+  return match ? match[1].replace(PRIVATE_USE, "") : "";
+}
+
+/**
+ * Whether `el` is rendered as a block, so its text is separated by spaces.
+ *
+ * @param {Element} el
+ * @returns {boolean}
+ */
+function isBlock(el) {
+  const display = getComputedStyle(el).display;
+  return !!display && !display.startsWith("inline") && display !== "contents";
+}
+
+/**
+ * Value of an embedded control (step 2C).
+ *
+ * @param {Element} el
+ * @param {?string} role
+ * @returns {?string} null when `el` is not an embedded control
+ */
+function embeddedValue(el, role) {
+  if (EMBEDDED_TEXT.has(role)) {
+    return "value" in el ? el.value : el.textContent;
+  }
+  if (role === "combobox" || role === "listbox") {
+    if (el.tagName === "SELECT") {
+      return Array.from(el.selectedOptions)
+        .map((o) => o.textContent)
+        .join(" ");
+    }
+    if ("value" in el) return el.value;
+    const selected = el.querySelectorAll('[aria-selected="true"]');
+    return Array.from(selected)
+      .map((o) => o.textContent)
+      .join(" ");
+  }
+  if (EMBEDDED_RANGE.has(role)) {
+    return (
+      el.getAttribute("aria-valuetext") ??
+      el.getAttribute("aria-valuenow") ??
+      ("value" in el ? String(el.value) : "")
+    );
+  }
+  return null;
+}
+
+/**
+ * Text of the native labelling mechanism (step 2E, HTML-AAM).
+ *
+ * @param {Element} el
+ * @param {Traversal} state
+ * @returns {?{text: string, source: string}}
+ */
+function nativeLabel(el, state) {
+  const tag = el.tagName.toLowerCase();
+  const type = (el.getAttribute("type") || "").toLowerCase();
+  const content = (node) =>
+    computeText(node, { ...state, recursion: true }, true);
+
+  if (el.labels?.length) {
+    const text = Array.from(el.labels)
+      .map((label) => content(label))
+      .join(" ");
+    if (collapse(text)) return { text, source: "<label> element" };
+  }
+
+  if (tag === "input") {
+    if (["button", "submit", "reset"].includes(type)) {
+      const value = el.getAttribute("value");
+      if (value?.trim()) return { text: value, source: "value attribute" };
+      if (DEFAULT_BUTTON_LABELS[type]) {
+        return { text: DEFAULT_BUTTON_LABELS[type], source: "default label" };
+      }
+    }
+    if (type === "image") {
+      const alt = el.getAttribute("alt");
+      if (alt?.trim()) return { text: alt, source: "alt attribute" };
+    }
+  }
+
+  if (tag === "img" || tag === "area") {
+    const alt = el.getAttribute("alt");
+    if (alt !== null) return { text: alt, source: "alt attribute" };
+  }
+
+  const child = (selector) =>
+    Array.from(el.children).find((c) => c.matches(selector));
+  const captions = {
+    fieldset: ["legend", "<legend>"],
+    figure: ["figcaption", "<figcaption>"],
+    table: ["caption", "<caption>"],
+  };
+  if (captions[tag]) {
+    const [selector, source] = captions[tag];
+    const caption = child(selector);
+    if (caption) {
+      const text = content(caption);
+      if (collapse(text)) return { text, source };
+    }
+  }
+
+  if (tag === "svg") {
+    const title = child("title");
+    if (title?.textContent.trim()) {
+      return { text: title.textContent, source: "<title> element" };
+    }
+  }
+
+  if (tag === "optgroup" && el.getAttribute("label")?.trim()) {
+    return { text: el.getAttribute("label"), source: "label attribute" };
+  }
+
+  return null;
+}
+
+/**
+ * Concatenated text of the child nodes (step 2F).
+ *
+ * @param {Element} el
+ * @param {Traversal} state
+ * @returns {string}
+ */
+function contentText(el, state) {
+  const parts = [generatedContent(el, "::before")];
+  const children = el.shadowRoot
+    ? el.shadowRoot.childNodes
+    : el.tagName === "SLOT"
+      ? el.assignedNodes()
+      : el.childNodes;
+
+  children.forEach((child) => {
+    if (child.nodeType === Node.TEXT_NODE) {
+      parts.push(child.textContent);
+      return;
+    }
+    if (child.nodeType !== Node.ELEMENT_NODE) return;
+    const text = computeText(child, { ...state, recursion: true });
+    parts.push(isBlock(child) ? ` ${text} ` : text);
+  });
+
+  parts.push(generatedContent(el, "::after"));
+  return parts.join("");
+}
+
+/**
+ * The text alternative computation (accname 1.2, section 4.3.2).
+ *
+ * @param {Element} el
+ * @param {Traversal} state
+ * @param {boolean} [fromContent] – Always use name from content (label contents)
+ * @returns {string}
+ */
+function computeText(el, state, fromContent = false) {
+  if (state.visited.has(el)) return "";
+  state.visited.add(el);
+
+  // The root reached again through its own aria-labelledby is a referenced
+  // node like any other (steps 2C and 2F apply)
+  const isRoot = el === state.root && !state.inLabelledBy;
+  const mark = (source, step) => {
+    if (isRoot && !state.origin) state.origin = { source, step };
+  };
+
+  // 2A – hidden nodes do not contribute (unless a hidden node was referenced)
+  if (!isRoot && !state.inHiddenRef && getHiddenReason(el)) return "";
+
+  const role = getRole(el);
+
+  // 2B – aria-labelledby (not followed recursively)
+  if (!state.inLabelledBy) {
+    const refs = getIdRefs(el, "aria-labelledby")
+      .map((id) => document.getElementById(id))
+      .filter(Boolean);
+    if (refs.length) {
+      const text = refs
+        .map((ref) => {
+          // A self-reference yields the element's own name – inLabelledBy
+          // keeps it from re-entering this step
+          if (ref === el) state.visited.delete(el);
+          return computeText(ref, {
+            ...state,
+            inLabelledBy: true,
+            inHiddenRef: state.inHiddenRef || !!getHiddenReason(ref),
+            recursion: true,
+          });
+        })
+        .join(" ");
+      if (collapse(text)) {
+        mark("aria-labelledby", "2B");
+        return text;
+      }
+    }
+  }
+
+  // 2C – embedded controls inside the label/content of another element
+  if (!isRoot && (state.recursion || state.inLabelledBy)) {
+    const value = embeddedValue(el, role);
+    if (value !== null) return value;
+  }
+
+  // 2D – aria-label
+  const ariaLabel = el.getAttribute("aria-label");
+  if (ariaLabel?.trim() && role !== "presentation" && role !== "none") {
+    mark("aria-label", "2D");
+    return ariaLabel;
+  }
+
+  // 2E – host language label
+  if (role !== "presentation" && role !== "none") {
+    const native = nativeLabel(el, state);
+    if (native) {
+      mark(native.source, "2E");
+      return native.text;
+    }
+  }
+
+  // 2F – name from content
+  if (
+    fromContent ||
+    NAME_FROM_CONTENT.has(role) ||
+    el.tagName === "SUMMARY" ||
+    // Nodes reached through aria-labelledby use their content whatever
+    // their role
+    (!isRoot &&
+      (state.inLabelledBy ||
+        (state.recursion && !NAME_FROM_AUTHOR_ONLY.has(role))))
+  ) {
+    const text = contentText(el, state);
+    if (collapse(text)) {
+      mark("contents", "2F");
+      return text;
+    }
+  }
+
+  // 2I – tooltip attribute; placeholders are the last resort for inputs
+  const title = el.getAttribute("title");
+  if (title?.trim()) {
+    mark("title attribute", "2I");
+    return title;
+  }
+  const placeholder =
+    el.getAttribute("placeholder") ?? el.getAttribute("aria-placeholder");
+  if (placeholder?.trim() && (EMBEDDED_TEXT.has(role) || role === "combobox")) {
+    mark("placeholder", "2I");
+    return placeholder;
+  }
+
+  return "";
+}
+
+/**
+ * Accessible name of `el` plus the step that produced it.
+ *
+ * @param {Element} el
+ * @returns {AccessibleName}
+ */
+export function computeAccessibleName(el) {
+  /** @type {Traversal} */
+  const state = {
+    root: el,
+    visited: new Set(),
+    inLabelledBy: false,
+    inHiddenRef: false,
+    recursion: false,
+    origin: null,
+  };
+  const name = collapse(computeText(el, state));
+  return {
+    name,
+    source: name ? (state.origin?.source ?? null) : null,
+    step: name ? (state.origin?.step ?? null) : null,
+  };
+}
+
+/**
+ * Accessible description of `el` (aria-describedby, aria-description, or a
+ * title attribute that was not already used as the name).
+ *
+ * @param {Element} el
+ * @param {AccessibleName} [name] – Pass a computed name to avoid recomputing it
+ * @returns {AccessibleDescription}
+ */
+export function computeAccessibleDescription(
+  el,
+  name = computeAccessibleName(el),
+) {
+  const refs = getIdRefs(el, "aria-describedby")
+    .map((id) => document.getElementById(id))
+    .filter(Boolean);
+  if (refs.length) {
+    const description = collapse(
+      refs
+        .map((ref) =>
+          computeText(
+            ref,
+            {
+              root: ref,
+              visited: new Set([el]),
+              inLabelledBy: true,
+              inHiddenRef: !!getHiddenReason(ref),
+              recursion: true,
+            },
+            true,
+          ),
+        )
+        .join(" "),
+    );
+    if (description) return { description, source: "aria-describedby" };
+  }
+
+  const ariaDescription = collapse(el.getAttribute("aria-description") ?? "");
+  if (ariaDescription) {
+    return { description: ariaDescription, source: "aria-description" };
+  }
+
+  const title = collapse(el.getAttribute("title") ?? "");
+  if (title && name.source !== "title attribute") {
+    return { description: title, source: "title attribute" };
+  }
+
+  return { description: "", source: null };
+}
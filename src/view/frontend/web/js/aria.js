@@ -0,0 +1,516 @@
+/**
+ * MageForge ARIA data
+ *
+ * Role and attribute tables from WAI-ARIA 1.2 plus the implicit roles of
+ * HTML elements (HTML-AAM, simplified). Shared by the toolbar audits and the
+ * inspector so both agree on what role an element has.
+ *
+ * Deprecated globals (aria-disabled, aria-haspopup, aria-invalid,
+ * aria-errormessage) are still accepted on every role – browsers expose them
+ * and flagging them would mostly produce noise.
+ */
+
+/** States and properties allowed on every role. */
+export const GLOBAL_ARIA_ATTRIBUTES = new Set([
+  "aria-atomic",
+  "aria-busy",
+  "aria-controls",
+  "aria-current",
+  "aria-describedby",
+  "aria-description",
+  "aria-details",
+  "aria-disabled",
+  "aria-dropeffect",
+  "aria-errormessage",
+  "aria-flowto",
+  "aria-grabbed",
+  "aria-haspopup",
+  "aria-hidden",
+  "aria-invalid",
+  "aria-keyshortcuts",
+  "aria-label",
+  "aria-labelledby",
+  "aria-live",
+  "aria-owns",
+  "aria-relevant",
+  "aria-roledescription",
+]);
+
+/** Every aria-* attribute defined by WAI-ARIA 1.2 (plus aria-description). */
+export const ARIA_ATTRIBUTES = new Set([
+  ...GLOBAL_ARIA_ATTRIBUTES,
+  "aria-activedescendant",
+  "aria-autocomplete",
+  "aria-braillelabel",
+  "aria-brailleroledescription",
+  "aria-checked",
+  "aria-colcount",
+  "aria-colindex",
+  "aria-colindextext",
+  "aria-colspan",
+  "aria-expanded",
+  "aria-level",
+  "aria-modal",
+  "aria-multiline",
+  "aria-multiselectable",
+  "aria-orientation",
+  "aria-placeholder",
+  "aria-posinset",
+  "aria-pressed",
+  "aria-readonly",
+  "aria-required",
+  "aria-rowcount",
+  "aria-rowindex",
+  "aria-rowindextext",
+  "aria-rowspan",
+  "aria-selected",
+  "aria-setsize",
+  "aria-sort",
+  "aria-valuemax",
+  "aria-valuemin",
+  "aria-valuenow",
+  "aria-valuetext",
+]);
+
+/** Attributes whose value is a list of element IDs. */
+export const ARIA_IDREF_ATTRIBUTES = [
+  "aria-activedescendant",
+  "aria-controls",
+  "aria-describedby",
+  "aria-details",
+  "aria-errormessage",
+  "aria-flowto",
+  "aria-labelledby",
+  "aria-owns",
+];
+
+/** Roles that only exist in the ontology and must not be used in content. */
+export const ABSTRACT_ROLES = new Set([
+  "command",
+  "composite",
+  "input",
+  "landmark",
+  "range",
+  "roletype",
+  "section",
+  "sectionhead",
+  "select",
+  "structure",
+  "widget",
+  "window",
+]);
+
+/**
+ * @typedef {object} AriaRole
+ * @property {string[]} [required]   – States/properties the role must have
+ * @property {string[]} [supported]  – Role-specific states/properties (besides globals)
+ * @property {boolean}  [nameProhibited] – aria-label / aria-labelledby not allowed
+ */
+
+const CELL = ["aria-colindex", "aria-colspan", "aria-rowindex", "aria-rowspan"];
+const HEADER_CELL = [
+  ...CELL,
+  "aria-expanded",
+  "aria-readonly",
+  "aria-required",
+  "aria-selected",
+  "aria-sort",
+];
+const GRID = [
+  "aria-activedescendant",
+  "aria-colcount",
+  "aria-multiselectable",
+  "aria-readonly",
+  "aria-rowcount",
+];
+const MENU_ITEM = ["aria-expanded", "aria-posinset", "aria-setsize"];
+const RANGE = [
+  "aria-valuemax",
+  "aria-valuemin",
+  "aria-valuenow",
+  "aria-valuetext",
+];
+const TEXTBOX = [
+  "aria-activedescendant",
+  "aria-autocomplete",
+  "aria-multiline",
+  "aria-placeholder",
+  "aria-readonly",
+  "aria-required",
+];
+
+/** @type {Record<string, AriaRole>} */
+export const ARIA_ROLES = {
+  alert: {},
+  alertdialog: { supported: ["aria-modal"] },
+  application: { supported: ["aria-activedescendant", "aria-expanded"] },
+  article: { supported: ["aria-posinset", "aria-setsize"] },
+  banner: {},
+  blockquote: {},
+  button: { supported: ["aria-expanded", "aria-pressed"] },
+  caption: { nameProhibited: true },
+  cell: { supported: CELL },
+  checkbox: {
+    required: ["aria-checked"],
+    supported: ["aria-expanded", "aria-readonly", "aria-required"],
+  },
+  code: { nameProhibited: true },
+  columnheader: { supported: HEADER_CELL },
+  combobox: {
+    required: ["aria-expanded"],
+    supported: [
+      "aria-activedescendant",
+      "aria-autocomplete",
+      "aria-readonly",
+      "aria-required",
+    ],
+  },
+  complementary: {},
+  contentinfo: {},
+  definition: {},
+  deletion: { nameProhibited: true },
+  dialog: { supported: ["aria-modal"] },
+  directory: {},
+  document: { supported: ["aria-expanded"] },
+  emphasis: { nameProhibited: true },
+  feed: {},
+  figure: {},
+  form: {},
+  generic: { nameProhibited: true },
+  grid: { supported: GRID },
+  gridcell: {
+    supported: [
+      ...CELL,
+      "aria-expanded",
+      "aria-readonly",
+      "aria-required",
+      "aria-selected",
+    ],
+  },
+  group: { supported: ["aria-activedescendant", "aria-expanded"] },
+  heading: { required: ["aria-level"] },
+  img: {},
+  insertion: { nameProhibited: true },
+  link: { supported: ["aria-expanded"] },
+  list: {},
+  listbox: {
+    supported: [
+      "aria-activedescendant",
+      "aria-expanded",
+      "aria-multiselectable",
+      "aria-orientation",
+      "aria-readonly",
+      "aria-required",
+    ],
+  },
+  listitem: { supported: ["aria-level", "aria-posinset", "aria-setsize"] },
+  log: {},
+  main: {},
+  mark: {},
+  marquee: {},
+  math: {},
+  menu: { supported: ["aria-activedescendant", "aria-orientation"] },
+  menubar: { supported: ["aria-activedescendant", "aria-orientation"] },
+  menuitem: { supported: MENU_ITEM },
+  menuitemcheckbox: { required: ["aria-checked"], supported: MENU_ITEM },
+  menuitemradio: { required: ["aria-checked"], supported: MENU_ITEM },
+  meter: { required: ["aria-valuenow"], supported: RANGE },
+  navigation: {},
+  none: { nameProhibited: true },
+  note: {},
+  option: {
+    supported: [
+      "aria-checked",
+      "aria-posinset",
+      "aria-selected",
+      "aria-setsize",
+    ],
+  },
+  paragraph: { nameProhibited: true },
+  presentation: { nameProhibited: true },
+  progressbar: { supported: RANGE },
+  radio: {
+    required: ["aria-checked"],
+    supported: ["aria-posinset", "aria-setsize"],
+  },
+  radiogroup: {
+    supported: [
+      "aria-activedescendant",
+      "aria-expanded",
+      "aria-orientation",
+      "aria-readonly",
+      "aria-required",
+    ],
+  },
+  region: {},
+  row: {
+    supported: [
+      "aria-activedescendant",
+      "aria-colindex",
+      "aria-expanded",
+      "aria-level",
+      "aria-posinset",
+      "aria-rowindex",
+      "aria-selected",
+      "aria-setsize",
+    ],
+  },
+  rowgroup: {},
+  rowheader: { supported: HEADER_CELL },
+  scrollbar: {
+    required: ["aria-controls", "aria-valuenow"],
+    supported: [...RANGE, "aria-orientation"],
+  },
+  search: {},
+  searchbox: { supported: TEXTBOX },
+  separator: { supported: [...RANGE, "aria-orientation"] },
+  slider: {
+    required: ["aria-valuenow"],
+    supported: [...RANGE, "aria-orientation", "aria-readonly"],
+  },
+  spinbutton: {
+    supported: [
+      ...RANGE,
+      "aria-activedescendant",
+      "aria-readonly",
+      "aria-required",
+    ],
+  },
+  status: {},
+  strong: { nameProhibited: true },
+  subscript: { nameProhibited: true },
+  superscript: { nameProhibited: true },
+  switch: {
+    required: ["aria-checked"],
+    supported: ["aria-expanded", "aria-readonly", "aria-required"],
+  },
+  tab: {
+    supported: [
+      "aria-expanded",
+      "aria-posinset",
+      "aria-selected",
+      "aria-setsize",
+    ],
+  },
+  table: { supported: ["aria-colcount", "aria-rowcount"] },
+  tablist: {
+    supported: [
+      "aria-activedescendant",
+      "aria-multiselectable",
+      "aria-orientation",
+    ],
+  },
+  tabpanel: {},
+  term: {},
+  textbox: { supported: TEXTBOX },
+  time: { nameProhibited: true },
+  timer: {},
+  toolbar: { supported: ["aria-activedescendant", "aria-orientation"] },
+  tooltip: {},
+  tree: {
+    supported: [
+      "aria-activedescendant",
+      "aria-expanded",
+      "aria-multiselectable",
+      "aria-orientation",
+      "aria-required",
+    ],
+  },
+  treegrid: {
+    supported: [...GRID, "aria-expanded", "aria-orientation", "aria-required"],
+  },
+  treeitem: {
+    supported: [
+      "aria-checked",
+      "aria-expanded",
+      "aria-level",
+      "aria-posinset",
+      "aria-selected",
+      "aria-setsize",
+    ],
+  },
+};
+
+// Landmark-ish elements that lose their role inside sectioning content
+const SECTIONING = "article, aside, main, nav, section";
+
+const INPUT_ROLES = {
+  button: "button",
+  checkbox: "checkbox",
+  email: "textbox",
+  image: "button",
+  number: "spinbutton",
+  radio: "radio",
+  range: "slider",
+  reset: "button",
+  search: "searchbox",
+  submit: "button",
+  tel: "textbox",
+  text: "textbox",
+  url: "textbox",
+};
+
+const TAG_ROLES = {
+  address: "group",
+  article: "article",
+  aside: "complementary",
+  blockquote: "blockquote",
+  button: "button",
+  caption: "caption",
+  code: "code",
+  datalist: "listbox",
+  dd: "definition",
+  del: "deletion",
+  details: "group",
+  dfn: "term",
+  dialog: "dialog",
+  dt: "term",
+  em: "emphasis",
+  fieldset: "group",
+  figure: "figure",
+  h1: "heading",
+  h2: "heading",
+  h3: "heading",
+  h4: "heading",
+  h5: "heading",
+  h6: "heading",
+  hgroup: "group",
+  hr: "separator",
+  ins: "insertion",
+  li: "listitem",
+  main: "main",
+  mark: "mark",
+  math: "math",
+  menu: "list",
+  meter: "meter",
+  nav: "navigation",
+  ol: "list",
+  optgroup: "group",
+  option: "option",
+  output: "status",
+  p: "paragraph",
+  progress: "progressbar",
+  search: "search",
+  strong: "strong",
+  sub: "subscript",
+  sup: "superscript",
+  table: "table",
+  tbody: "rowgroup",
+  td: "cell",
+  textarea: "textbox",
+  tfoot: "rowgroup",
+  th: "columnheader",
+  thead: "rowgroup",
+  time: "time",
+  tr: "row",
+  ul: "list",
+  b: "generic",
+  bdi: "generic",
+  bdo: "generic",
+  data: "generic",
+  div: "generic",
+  i: "generic",
+  pre: "generic",
+  q: "generic",
+  samp: "generic",
+  small: "generic",
+  span: "generic",
+  u: "generic",
+};
+
+/**
+ * Role an element has without a role attribute, or null when the element
+ * is not exposed with a role (e.g. <head>, <br>, <summary>).
+ *
+ * @param {Element} el
+ * @returns {?string}
+ */
+export function getImplicitRole(el) {
+  const tag = el.tagName.toLowerCase();
+  const hasName =
+    !!el.getAttribute("aria-label")?.trim() ||
+    !!el.getAttribute("aria-labelledby")?.trim();
+
+  switch (tag) {
+    case "a":
+    case "area":
+      return el.hasAttribute("href") ? "link" : "generic";
+    case "img":
+      return el.getAttribute("alt") === "" ? "presentation" : "img";
+    case "input": {
+      const type = (el.getAttribute("type") || "text").toLowerCase();
+      if (type === "hidden") return null;
+      const role = INPUT_ROLES[type] ?? "textbox";
+      // Text-like inputs with a datalist become comboboxes
+      if (el.hasAttribute("list") && ["textbox", "searchbox"].includes(role)) {
+        return "combobox";
+      }
+      return role;
+    }
+    case "select":
+      return el.multiple || el.size > 1 ? "listbox" : "combobox";
+    case "header":
+    case "footer":
+      if (el.parentElement?.closest(SECTIONING)) return "generic";
+      return tag === "header" ? "banner" : "contentinfo";
+    case "section":
+      return hasName ? "region" : "generic";
+    case "form":
+      return hasName ? "form" : "generic";
+    case "th":
+      return el.getAttribute("scope") === "row" ? "rowheader" : "columnheader";
+    default:
+      return TAG_ROLES[tag] ?? null;
+  }
+}
+
+/**
+ * First recognised token of the role attribute (later tokens are fallbacks).
+ *
+ * @param {Element} el
+ * @returns {?string} null when the attribute is missing or lists no known role
+ */
+export function getExplicitRole(el) {
+  const tokens = (el.getAttribute("role") ?? "")
+    .trim()
+    .toLowerCase()
+    .split(/\s+/)
+    .filter(Boolean);
+  return tokens.find((token) => Object.hasOwn(ARIA_ROLES, token)) ?? null;
+}
+
+// Natively focusable elements (presentational role conflict resolution)
+const FOCUSABLE =
+  "a[href], area[href], button, input:not([type=hidden]), select, textarea, iframe, summary, [tabindex], [contenteditable]:not([contenteditable=false])";
+
+/**
+ * Effective role: a valid explicit role, otherwise the implicit one. A
+ * presentational role (none/presentation) is ignored on focusable elements
+ * and elements with global ARIA attributes, as browsers do (WAI-ARIA 1.2,
+ * "Presentational Roles Conflict Resolution").
+ *
+ * @param {Element} el
+ * @returns {?string}
+ */
+export function getRole(el) {
+  const explicit = getExplicitRole(el);
+  if (
+    (explicit === "none" || explicit === "presentation") &&
+    ((el.matches(FOCUSABLE) && !el.matches(":disabled")) ||
+      [...el.attributes].some(({ name }) => GLOBAL_ARIA_ATTRIBUTES.has(name)))
+  ) {
+    return getImplicitRole(el);
+  }
+  return explicit ?? getImplicitRole(el);
+}
+
+/**
+ * Split an ID reference list attribute into its IDs.
+ *
+ * @param {Element} el
+ * @param {string} attr
+ * @returns {string[]}
+ */
+export function getIdRefs(el, attr) {
+  return (el.getAttribute(attr) ?? "").trim().split(/\s+/).filter(Boolean);
+}
@@ -0,0 +1,153 @@
+/**
+ * MageForge "Open in editor" links
+ *
+ * Turns a block's template path (`data.template`, relative to the Magento
+ * root as InspectorHints records it) into an editor URL such as
+ *
+ *   phpstorm://open?file=/home/me/shop/app/design/…/list.phtml&line=1
+ *
+ * The Magento root comes from the `data-magento-root` attribute of the
+ * toolbar/inspector root element – the path PHP sees. In Docker/Warden
+ * setups that is the container path, so a path mapping replaces its
+ * prefix with the project path on the host.
+ *
+ * Settings are stored per browser (localStorage, shared by the inspector's
+ * Structure tab, where they are edited, and the toolbar findings).
+ */
+
+const SETTINGS_KEY = "mageforge-editor-settings";
+
+/**
+ * @typedef {object} EditorDefinition
+ * @property {string} key
+ * @property {string} label
+ * @property {string} url – {file} and {line} are replaced
+ */
+
+/** @type {EditorDefinition[]} */
+export const EDITORS = [
+  {
+    key: "phpstorm",
+    label: "PhpStorm",
+    url: "phpstorm://open?file={file}&line={line}",
+  },
+  { key: "vscode", label: "VS Code", url: "vscode://file/{file}:{line}" },
+  { key: "custom", label: "Custom URL", url: "" },
+];
+
+/**
+ * @typedef {object} EditorSettings
+ * @property {string} editor    – EditorDefinition key
+ * @property {string} customUrl – URL template for the "custom" editor
+ * @property {string} pathFrom  – Path prefix PHP sees (default: Magento root)
+ * @property {string} pathTo    – Replacement on the host, "" = no mapping
+ */
+
+/** @type {EditorSettings} */
+export const DEFAULT_EDITOR_SETTINGS = {
+  editor: "phpstorm",
+  customUrl: "",
+  pathFrom: "",
+  pathTo: "",
+};
+
+/**
+ * Stored settings over the defaults.
+ *
+ * @returns {EditorSettings}
+ */
+export function getEditorSettings() {
+  try {
+    const stored = JSON.parse(localStorage.getItem(SETTINGS_KEY) ?? "{}");
+    if (!stored || typeof stored !== "object" || Array.isArray(stored)) {
+      return { ...DEFAULT_EDITOR_SETTINGS };
+    }
+    return Object.fromEntries(
+      Object.entries(DEFAULT_EDITOR_SETTINGS).map(([key, fallback]) => [
+        key,
+        typeof stored[key] === "string" ? stored[key].trim() : fallback,
+      ]),
+    );
+  } catch (_) {
+    return { ...DEFAULT_EDITOR_SETTINGS };
+  }
+}
+
+/**
+ * @param {Partial<EditorSettings>} settings
+ */
+export function saveEditorSettings(settings) {
+  const merged = { ...getEditorSettings(), ...settings };
+  if (!EDITORS.some((editor) => editor.key === merged.editor)) {
+    throw new TypeError(`[MageForge] Unknown editor "${merged.editor}"`);
+  }
+  try {
+    localStorage.setItem(SETTINGS_KEY, JSON.stringify(merged));
+  } catch (_) {
+    console.warn("[MageForge] Could not store editor settings");
+  }
+}
+
+/**
+ * Absolute path of a template on the host.
+ *
+ * @param {string} template – Relative to the Magento root, or absolute
+ * @param {string} root     – Magento root as PHP sees it
+ * @param {EditorSettings} settings
+ * @returns {string}
+ */
+export function resolveEditorPath(template, root, settings) {
+  const isAbsolute = template.startsWith("/") || /^[a-z]:[\\/]/i.test(template);
+  let file =
+    isAbsolute || !root ? template : `${root.replace(/\/+$/, "")}/${template}`;
+
+  const from = (settings.pathFrom || root || "").replace(/\/+$/, "");
+  if (
+    settings.pathTo &&
+    from &&
+    (file === from || file.startsWith(`${from}/`))
+  ) {
+    file = settings.pathTo.replace(/[\\/]+$/, "") + file.slice(from.length);
+  }
+  return file.replace(/\\/g, "/");
+}
+
+/**
+ * Percent-encode every path segment so `&`, `#` and `?` in directory or file
+ * names cannot end the {file} value of a query-style URL template. Slashes
+ * and a Windows drive colon stay readable.
+ *
+ * @param {string} path
+ * @returns {string}
+ */
+function encodeEditorPath(path) {
+  return path
+    .split("/")
+    .map((segment, index) =>
+      index < 2 && /^[a-z]:$/i.test(segment)
+        ? segment
+        : encodeURIComponent(segment),
+    )
+    .join("/");
+}
+
+/**
+ * Editor URL for a template, or null without a template or a usable URL
+ * template (custom editor without {file}).
+ *
+ * @param {string} template
+ * @param {string} root
+ * @param {EditorSettings} [settings]
+ * @returns {?string}
+ */
+export function buildEditorUrl(template, root, settings = getEditorSettings()) {
+  if (!template) return null;
+  const editor =
+    EDITORS.find((candidate) => candidate.key === settings.editor) ??
+    EDITORS[0];
+  const url = editor.key === "custom" ? settings.customUrl : editor.url;
+  if (!url?.includes("{file}")) return null;
+
+  const file = encodeEditorPath(resolveEditorPath(template, root, settings));
+  return url.replaceAll("{file}", file).replaceAll("{line}", "1");
+}
@@ -11,10 +11,18 @@ import { uiMethods } from "./inspector/ui.js";
 import { pickerMethods } from "./inspector/picker.js";
 import { tabsMethods } from "./inspector/tabs.js";
 import { accessibilityMethods } from "./inspector/accessibility.js";
+import { a11yTreeMethods } from "./inspector/a11yTree.js";
+import { blockTreeMethods } from "./inspector/blockTree.js";
 import { performanceMethods } from "./inspector/performance.js";
 import { vitalsMethods } from "./inspector/vitals.js";
+import { waterfallMethods } from "./inspector/waterfall.js";
+import { alpineMethods } from "./inspector/alpine.js";
+import { editorMethods } from "./inspector/editor.js";
+import { overrideMethods } from "./inspector/override.js";
 import { draggableMethods } from "./inspector/draggable.js";
 import { blockDataMap } from "./inspector/blockData.js";
+import { RENDER_TIME_GOOD, RENDER_TIME_WARNING } from "./render-time.js";
+import { CLS_GOOD, CLS_POOR } from "./layout-shift.js";
 
 // Extracted into a named function so it can be called either from the
 // alpine:init event (normal case) or immediately when Alpine has already
@@ -58,21 +66,39 @@ function _registerMageforgeInspector() {
     connectorScrollHandler: null,
 
     // Performance Thresholds
-    PERF_RENDER_TIME_GOOD: 50, // ms
-    PERF_RENDER_TIME_WARNING: 200, // ms
+    PERF_RENDER_TIME_GOOD: RENDER_TIME_GOOD, // ms, shared with the toolbar heatmap
+    PERF_RENDER_TIME_WARNING: RENDER_TIME_WARNING, // ms
     PERF_DOM_COMPLEXITY_LOW: 50, // nodes
     PERF_DOM_COMPLEXITY_HIGH: 200, // nodes
     PERF_DOM_DEPTH_WARNING: 10, // levels
 
+    // Core Web Vitals thresholds (good ≤ GOOD < needs improvement ≤ POOR < poor)
+    VITALS_INP_GOOD: 200, // ms
+    VITALS_INP_POOR: 500, // ms
+    VITALS_TTFB_GOOD: 800, // ms
+    VITALS_TTFB_POOR: 1800, // ms
+    VITALS_CLS_GOOD: CLS_GOOD, // shared with the toolbar layout shift audit
+    VITALS_CLS_POOR: CLS_POOR,
+    VITALS_TBT_GOOD: 200, // ms, total blocking time
+    VITALS_TBT_POOR: 600, // ms
+
     // Browser Metrics tracking
     webVitals: {
       lcp: null,
-      cls: [],
+      cls: [], // Layout shifts without recent input, see layout-shift.js
       fcp: null,
       elementTimings: [], // Element Timing API results
+      interactions: [], // Slowest Event Timing interactions (INP)
     },
     longTasks: [],
+    animationFrames: [], // Long Animation Frames with script attribution
     resourceMetrics: null,
+    waterfallFilter: { type: "all", blockOnly: false }, // Waterfall tab filters
+    blockTreeQuery: "", // Blocks tab filter
+    blockTreeExpanded: new Set(), // Expanded nodes in the Blocks tab (data-mageforge-id)
+    alpineExpanded: new Set(), // Expanded data paths in the Alpine tab
+    _alpineRoot: null, // Component root the Alpine tab shows
+    _alpineEffect: null, // Alpine effect following its data
     pageTimings: null,
     performanceObservers: [],
 
@@ -226,6 +252,9 @@ function _registerMageforgeInspector() {
         document.removeEventListener("keydown", this.keydownHandler);
       }
 
+      // Stop following Alpine component data
+      this.stopAlpineWatcher();
+
       // Disconnect all PerformanceObservers
       this.performanceObservers.forEach((observer) => observer.disconnect());
       this.performanceObservers = [];
@@ -282,8 +311,14 @@ function _registerMageforgeInspector() {
     ...pickerMethods,
     ...tabsMethods,
     ...accessibilityMethods,
+    ...a11yTreeMethods,
+    ...blockTreeMethods,
     ...performanceMethods,
     ...vitalsMethods,
+    ...waterfallMethods,
+    ...alpineMethods,
+    ...editorMethods,
+    ...overrideMethods,
     ...draggableMethods,
   }));
 }
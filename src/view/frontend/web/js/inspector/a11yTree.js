@@ -0,0 +1,333 @@
+/**
+ * MageForge Inspector - Accessibility Tree Tab
+ *
+ * Renders the computed accessibility subtree of the inspected element the
+ * way assistive technology sees it: generic wrappers without a name are
+ * flattened away, text becomes text leaves, and nodes hidden from AT
+ * (aria-hidden, display:none, inert, …) are shown collapsed and marked.
+ * Clicking a node re-pins the inspector on its DOM element.
+ */
+
+import { getRole } from "../aria.js";
+import { computeAccessibleName, getHiddenReason } from "../accname.js";
+
+// Keep the panel responsive on huge subtrees (mega menus, product grids)
+const MAX_TREE_NODES = 300;
+const MAX_TREE_DEPTH = 25;
+
+const SKIPPED_TAGS = new Set([
+  "SCRIPT",
+  "STYLE",
+  "TEMPLATE",
+  "NOSCRIPT",
+  "LINK",
+  "META",
+]);
+
+// Roles that add nothing to the tree unless named or focusable
+const IGNORED_ROLES = new Set(["generic", "none", "presentation"]);
+
+/**
+ * @typedef {object} A11yTreeNode
+ * @property {?Element} el       – null for text leaves
+ * @property {?string}  role
+ * @property {string}   name     – Accessible name, or the text of a text leaf
+ * @property {string[]} states
+ * @property {?number}  level    – Heading / tree level
+ * @property {boolean}  focusable
+ * @property {?string}  hidden   – Why the node is hidden from AT
+ * @property {A11yTreeNode[]} children
+ */
+
+/**
+ * Hidden reason of `el` itself; ancestors were already checked on the way
+ * down.
+ *
+ * @param {Element} el
+ * @returns {?string}
+ */
+function ownHiddenReason(el) {
+  if (el.getAttribute("aria-hidden") === "true") return "aria-hidden";
+  if (el.hasAttribute("inert")) return "inert";
+  if (el.hidden) return "hidden";
+  const style = getComputedStyle(el);
+  if (style.display === "none") return "display:none";
+  if (style.visibility === "hidden" || style.visibility === "collapse") {
+    // Visible descendants may opt back in – only flag the switch point
+    const parent = el.parentElement;
+    if (!parent || getComputedStyle(parent).visibility === "visible") {
+      return "visibility:hidden";
+    }
+  }
+  return null;
+}
+
+/**
+ * Human-readable ARIA and native states.
+ *
+ * @param {Element} el
+ * @returns {string[]}
+ */
+function getStates(el) {
+  const states = [];
+  const aria = (name) => el.getAttribute(`aria-${name}`);
+
+  const expanded = aria("expanded");
+  if (expanded === "true") states.push("expanded");
+  else if (expanded === "false") states.push("collapsed");
+  else if (el.tagName === "DETAILS") {
+    states.push(el.open ? "expanded" : "collapsed");
+  }
+
+  const checked = aria("checked");
+  if (checked === "true") states.push("checked");
+  else if (checked === "false") states.push("unchecked");
+  else if (checked === "mixed") states.push("mixed");
+  else if (el.tagName === "INPUT" && /^(checkbox|radio)$/i.test(el.type)) {
+    states.push(
+      el.indeterminate ? "mixed" : el.checked ? "checked" : "unchecked",
+    );
+  }
+
+  const pressed = aria("pressed");
+  if (pressed === "true") states.push("pressed");
+  else if (pressed === "mixed") states.push("mixed");
+
+  if (aria("selected") === "true" || (el.tagName === "OPTION" && el.selected)) {
+    states.push("selected");
+  }
+  if (aria("disabled") === "true" || el.matches(":disabled")) {
+    states.push("disabled");
+  }
+  if (aria("required") === "true" || el.required) states.push("required");
+  if (aria("readonly") === "true" || el.readOnly) states.push("readonly");
+
+  const invalid = aria("invalid");
+  if (invalid && invalid !== "false") states.push("invalid");
+
+  const current = aria("current");
+  if (current && current !== "false") {
+    states.push(current === "true" ? "current" : `current ${current}`);
+  }
+  if (aria("modal") === "true") states.push("modal");
+
+  return states;
+}
+
+/**
+ * Level of headings and hierarchical items.
+ *
+ * @param {Element} el
+ * @param {?string} role
+ * @returns {?number}
+ */
+function getLevel(el, role) {
+  const level = parseInt(el.getAttribute("aria-level"), 10);
+  if (level > 0) return level;
+  if (role === "heading") {
+    const match = /^H([1-6])$/.exec(el.tagName);
+    return match ? Number(match[1]) : 2;
+  }
+  return null;
+}
+
+export const a11yTreeMethods = {
+  /**
+   * Render A11y Tree tab content
+   */
+  renderA11yTreeTab(container, element) {
+    if (!element) return;
+
+    const budget = { remaining: MAX_TREE_NODES, truncated: false };
+    // The inspected element itself is never flattened away
+    const root = this.buildA11yNode(
+      element,
+      getHiddenReason(element),
+      0,
+      budget,
+    );
+
+    const stats = { nodes: 0, focusable: 0, hidden: 0 };
+    const count = (node) => {
+      stats.nodes++;
+      if (node.focusable) stats.focusable++;
+      if (node.hidden) stats.hidden++;
+      node.children.forEach(count);
+    };
+    count(root);
+
+    const summary = document.createElement("div");
+    summary.className = "mageforge-a11y-tree-summary";
+    summary.textContent = `${stats.nodes} nodes · ${stats.focusable} focusable · ${stats.hidden} hidden from AT`;
+    container.appendChild(summary);
+
+    const tree = document.createElement("ul");
+    tree.className = "mageforge-a11y-tree";
+    // Plain nested lists: every node is always expanded, so a tree widget
+    // (with its arrow-key contract) would promise more than it does
+    tree.setAttribute("aria-label", "Accessibility tree");
+    tree.appendChild(this.renderA11yNode(root, element));
+    container.appendChild(tree);
+
+    if (budget.truncated) {
+      const note = document.createElement("div");
+      note.className = "mageforge-a11y-tree-note";
+      note.textContent = `Tree truncated after ${MAX_TREE_NODES} nodes – pick a smaller element to see the rest.`;
+      container.appendChild(note);
+    }
+  },
+
+  /**
+   * Compute the accessibility node for `el`. Ignored elements return their
+   * children as a flat list so the caller can hoist them.
+   *
+   * @param {Element} el
+   * @param {?string} hidden – Hidden reason, computed by the caller
+   * @param {number} depth
+   * @param {{remaining: number, truncated: boolean}} budget
+   * @returns {A11yTreeNode|A11yTreeNode[]|null}
+   */
+  buildA11yNode(el, hidden, depth, budget) {
+    if (budget.remaining <= 0) {
+      budget.truncated = true;
+      return null;
+    }
+
+    const role = getRole(el);
+    const focusable = this.isFocusable(el, el.getAttribute("tabindex"));
+    const node = {
+      el,
+      role,
+      name: hidden ? "" : computeAccessibleName(el).name,
+      states: hidden ? [] : getStates(el),
+      level: getLevel(el, role),
+      focusable: !hidden && focusable,
+      hidden,
+      children: [],
+    };
+
+    // Hidden subtrees are shown as a single, collapsed node
+    if (hidden) {
+      budget.remaining--;
+      return node;
+    }
+
+    const children = [];
+    if (depth < MAX_TREE_DEPTH) {
+      el.childNodes.forEach((child) => {
+        if (child.nodeType === Node.TEXT_NODE) {
+          const text = child.textContent.replace(/\s+/g, " ").trim();
+          if (text && budget.remaining > 0) {
+            budget.remaining--;
+            children.push({
+              el: null,
+              role: "text",
+              name: text.length > 80 ? `${text.slice(0, 80)}…` : text,
+              states: [],
+              level: null,
+              focusable: false,
+              hidden: null,
+              children: [],
+            });
+          }
+          return;
+        }
+        if (child.nodeType !== Node.ELEMENT_NODE) return;
+        if (SKIPPED_TAGS.has(child.tagName)) return;
+        if (child.closest(".mageforge-inspector, .mageforge-toolbar")) return;
+
+        const result = this.buildA11yNode(
+          child,
+          ownHiddenReason(child),
+          depth + 1,
+          budget,
+        );
+        if (Array.isArray(result)) children.push(...result);
+        else if (result) children.push(result);
+      });
+    } else if (el.childElementCount) {
+      budget.truncated = true;
+    }
+
+    // Unnamed wrappers are flattened, except the inspected element itself
+    const ignored =
+      depth > 0 &&
+      (!role || IGNORED_ROLES.has(role)) &&
+      !node.name &&
+      !focusable;
+    if (ignored) return children;
+
+    budget.remaining--;
+    node.children = children;
+    return node;
+  },
+
+  /**
+   * Render one tree node (and its children) as a list item.
+   *
+   * @param {A11yTreeNode} node
+   * @param {Element} inspected – Element the tab was opened for
+   * @returns {HTMLLIElement}
+   */
+  renderA11yNode(node, inspected) {
+    const item = document.createElement("li");
+
+    const row = document.createElement(node.el ? "button" : "div");
+    row.className = "mageforge-a11y-node";
+    if (node.hidden) row.classList.add("is-hidden");
+    if (node.el === inspected) row.classList.add("is-current");
+
+    const role = document.createElement("span");
+    role.className =
+      node.el === null ? "mageforge-a11y-text" : "mageforge-a11y-role";
+    role.textContent =
+      node.el === null
+        ? `"${node.name}"`
+        : (node.role ?? `<${node.el.tagName.toLowerCase()}>`);
+    row.appendChild(role);
+
+    if (node.el) {
+      row.type = "button";
+      row.title = `Inspect <${node.el.tagName.toLowerCase()}>`;
+
+      if (node.name) {
+        const name = document.createElement("span");
+        name.className = "mageforge-a11y-name";
+        name.textContent = `"${node.name}"`;
+        row.appendChild(name);
+      }
+
+      const chips = [
+        ...(node.level ? [[`level ${node.level}`, ""]] : []),
+        ...node.states.map((state) => [state, ""]),
+        ...(node.focusable ? [["focusable", "is-focusable"]] : []),
+        ...(node.hidden ? [[node.hidden, "is-hidden"]] : []),
+      ];
+      chips.forEach(([label, modifier]) => {
+        const chip = document.createElement("span");
+        chip.className = `mageforge-a11y-chip ${modifier}`.trim();
+        chip.textContent = label;
+        row.appendChild(chip);
+      });
+
+      row.onclick = (e) => {
+        e.preventDefault();
+        e.stopPropagation();
+        this.inspectElement(node.el);
+      };
+      row.onmouseenter = () => this.showHighlight(node.el);
+      row.onmouseleave = () => this.showHighlight(inspected);
+    }
+    item.appendChild(row);
+
+    if (node.children.length) {
+      const group = document.createElement("ul");
+      node.children.forEach((child) =>
+        group.appendChild(this.renderA11yNode(child, inspected)),
+      );
+      item.appendChild(group);
+    }
+
+    return item;
+  },
+};
@@ -2,6 +2,12 @@
  * MageForge Inspector - Accessibility Tab Rendering & Analysis
  */
 
+import {
+  computeAccessibleDescription,
+  computeAccessibleName,
+} from "../accname.js";
+import { getRole } from "../aria.js";
+
 export const accessibilityMethods = {
   /**
    * Render Accessibility tab content
@@ -23,15 +29,27 @@ export const accessibilityMethods = {
       );
     }
 
-    // Accessible Name
-    if (a11yData.accessibleName) {
+    // Accessible Name (accname 1.2) and the step that produced it
+    const { accessibleName } = a11yData;
+    if (accessibleName.name) {
       container.appendChild(
         this.createInfoSection(
           "Accessible Name",
-          a11yData.accessibleName,
+          accessibleName.name,
           "#34d399",
         ),
       );
+      container.appendChild(
+        this.createInfoSection(
+          "Name Source",
+          `${accessibleName.source} (accname step ${accessibleName.step})`,
+          "#94a3b8",
+        ),
+      );
+    } else if (a11yData.isInteractive) {
+      container.appendChild(
+        this.createInfoSection("Accessible Name", "⚠️ Missing", "#ef4444"),
+      );
     }
 
     // ARIA Label
@@ -41,12 +59,21 @@ export const accessibilityMethods = {
       );
     }
 
-    // ARIA Described By
-    if (a11yData.ariaDescribedBy) {
+    // Accessible Description
+    const { accessibleDescription } = a11yData;
+    if (accessibleDescription.description) {
+      container.appendChild(
+        this.createInfoSection(
+          "Accessible Description",
+          `${accessibleDescription.description} (${accessibleDescription.source})`,
+          "#fbbf24",
+        ),
+      );
+    } else if (a11yData.ariaDescribedBy) {
       container.appendChild(
         this.createInfoSection(
           "ARIA Described By",
-          a11yData.ariaDescribedBy,
+          `⚠️ ${a11yData.ariaDescribedBy} (no text)`,
           "#fbbf24",
         ),
       );
@@ -120,8 +147,9 @@ export const accessibilityMethods = {
    */
   analyzeAccessibility(element) {
     const tagName = element.tagName.toLowerCase();
-    const role =
-      element.getAttribute("role") || this.getImplicitRole(tagName, element);
+    // Same role resolution as the A11y Tree and the toolbar audits
+    const role = getRole(element);
+    const accessibleName = this.determineAccessibleName(element);
 
     return {
       tagName: tagName,
@@ -133,7 +161,11 @@ export const accessibilityMethods = {
       tabindex: element.getAttribute("tabindex"),
       altText: this.getAltText(element, tagName),
       lazyLoading: this.checkLazyLoading(element, tagName),
-      accessibleName: this.determineAccessibleName(element, tagName),
+      accessibleName,
+      accessibleDescription: computeAccessibleDescription(
+        element,
+        accessibleName,
+      ),
       isFocusable: this.isFocusable(element, element.getAttribute("tabindex")),
       isInteractive: this.checkIfInteractive(element, tagName, role),
     };
@@ -167,37 +199,12 @@ export const accessibilityMethods = {
   },
 
   /**
-   * Determine accessible name from various sources
+   * Determine accessible name per accname 1.2 (see accname.js)
+   *
+   * @returns {import('../accname.js').AccessibleName}
    */
-  determineAccessibleName(element, tagName) {
-    const ariaLabel = element.getAttribute("aria-label");
-    if (ariaLabel) return ariaLabel;
-
-    const ariaLabelledBy = element.getAttribute("aria-labelledby");
-    if (ariaLabelledBy) {
-      const labelText = ariaLabelledBy
-        .trim()
-        .split(/\s+/)
-        .map((id) => document.getElementById(id)?.textContent?.trim())
-        .filter(Boolean)
-        .join(" ");
-      return labelText || ariaLabelledBy;
-    }
-
-    const altText = tagName === "img" ? element.getAttribute("alt") : null;
-    if (altText) return altText;
-
-    const title = element.getAttribute("title");
-    if (title) return title;
-
-    const textContent = element.textContent.trim();
-    if (textContent && textContent.length < 100) {
-      return (
-        textContent.substring(0, 50) + (textContent.length > 50 ? "..." : "")
-      );
-    }
-
-    return null;
+  determineAccessibleName(element) {
+    return computeAccessibleName(element);
   },
 
   /**
@@ -231,52 +238,6 @@ export const accessibilityMethods = {
     );
   },
 
-  /**
-   * Get implicit ARIA role for HTML elements
-   */
-  getImplicitRole(tagName, element) {
-    // input role depends on type attribute
-    if (tagName === "input" && element) {
-      const type = (element.getAttribute("type") || "text").toLowerCase();
-      const inputRoleMap = {
-        checkbox: "checkbox",
-        radio: "radio",
-        button: "button",
-        submit: "button",
-        reset: "button",
-        range: "slider",
-        number: "spinbutton",
-        search: "searchbox",
-      };
-      return inputRoleMap[type] || "textbox";
-    }
-
-    const roleMap = {
-      button: "button",
-      a: "link",
-      nav: "navigation",
-      header: "banner",
-      footer: "contentinfo",
-      main: "main",
-      aside: "complementary",
-      section: "region",
-      article: "article",
-      form: "form",
-      img: "img",
-      input: "textbox",
-      h1: "heading",
-      h2: "heading",
-      h3: "heading",
-      h4: "heading",
-      h5: "heading",
-      h6: "heading",
-      ul: "list",
-      ol: "list",
-      li: "listitem",
-    };
-    return roleMap[tagName] || null;
-  },
-
   /**
    * Check if element is focusable
    */
@@ -0,0 +1,429 @@
+/**
+ * MageForge Inspector - Alpine.js Tab
+ *
+ * State of the nearest Alpine component around the inspected element, as
+ * found on Hyvä pages: its reactive data (Alpine.$data – the component's
+ * own scope merged with the scopes around it) as an expandable tree that
+ * follows changes through an Alpine effect, in-place editing of strings,
+ * numbers and booleans, and the Alpine directives on the element itself.
+ */
+
+// Keep the signature walk cheap on components holding large API responses
+const MAX_DEPTH = 6;
+const MAX_ENTRIES = 200;
+
+const DIRECTIVE_PATTERN = /^(x-|@|:)/;
+
+/**
+ * Property read that survives throwing getters.
+ *
+ * @param {object} target
+ * @param {string} key
+ * @returns {*}
+ */
+function readProperty(target, key) {
+  try {
+    return target[key];
+  } catch (_) {
+    return undefined;
+  }
+}
+
+/**
+ * Own property names. Alpine's merged scope proxy (Alpine.$data) only
+ * answers `ownKeys`, so Object.keys() on it comes back empty.
+ *
+ * @param {object} target
+ * @returns {string[]}
+ */
+function listKeys(target) {
+  if (Array.isArray(target)) return Object.keys(target);
+  return Reflect.ownKeys(target).filter((key) => typeof key === "string");
+}
+
+/**
+ * Objects/arrays shown as expandable nodes (DOM nodes are leaves).
+ *
+ * @param {*} value
+ * @returns {boolean}
+ */
+function isExpandable(value) {
+  return (
+    value !== null && typeof value === "object" && !(value instanceof Node)
+  );
+}
+
+/**
+ * Read every (nested) property once. Run inside an Alpine effect this
+ * subscribes to all of them; the returned string changes whenever any
+ * value does.
+ *
+ * @param {*} value
+ * @param {number} depth
+ * @param {Set<object>} seen
+ * @returns {string}
+ */
+function touchData(value, depth, seen) {
+  if (typeof value === "function") return "ƒ";
+  if (!isExpandable(value)) return String(value);
+  if (depth > MAX_DEPTH || seen.has(value)) return "…";
+  seen.add(value);
+  return `{${listKeys(value)
+    .slice(0, MAX_ENTRIES)
+    .map(
+      (key) => `${key}:${touchData(readProperty(value, key), depth + 1, seen)}`,
+    )
+    .join(",")}}`;
+}
+
+/**
+ * One-line preview of a value.
+ *
+ * @param {*} value
+ * @returns {string}
+ */
+function previewValue(value) {
+  if (value instanceof Node) {
+    return value.nodeType === Node.ELEMENT_NODE
+      ? `<${value.tagName.toLowerCase()}>`
+      : value.nodeName;
+  }
+  if (Array.isArray(value)) return `Array(${value.length})`;
+  if (isExpandable(value)) {
+    const size = listKeys(value).length;
+    return `{…} ${size} key${size === 1 ? "" : "s"}`;
+  }
+  if (typeof value === "string") return JSON.stringify(value);
+  return String(value);
+}
+
+/**
+ * Whether assigning `target[key]` can work (no getter-only accessors).
+ *
+ * @param {object} target
+ * @param {string} key
+ * @returns {boolean}
+ */
+function isWritable(target, key) {
+  for (let obj = target; obj; obj = Object.getPrototypeOf(obj)) {
+    const descriptor = Object.getOwnPropertyDescriptor(obj, key);
+    if (descriptor) {
+      return (
+        descriptor.writable !== false && (!descriptor.get || !!descriptor.set)
+      );
+    }
+  }
+  return true;
+}
+
+export const alpineMethods = {
+  /**
+   * Render Alpine tab content
+   *
+   * @param {HTMLElement} container - Tab content container
+   * @param {HTMLElement|null} element - Inspected element
+   * @return {void}
+   */
+  renderAlpineTab(container, element) {
+    this.stopAlpineWatcher();
+    if (!element) return;
+
+    const note = (text) => {
+      const div = document.createElement("div");
+      div.className = "mageforge-alpine-note";
+      div.textContent = text;
+      container.appendChild(div);
+    };
+
+    if (typeof Alpine === "undefined" || typeof Alpine.$data !== "function") {
+      note("Alpine.js is not running on this page.");
+      return;
+    }
+
+    const root = element.closest("[x-data]");
+    if (!root || !root._x_dataStack) {
+      note("No Alpine component around this element.");
+      this.renderAlpineDirectives(container, element);
+      return;
+    }
+
+    if (this._alpineRoot !== root) {
+      this._alpineRoot = root;
+      this.alpineExpanded = new Set();
+    }
+
+    const data = Alpine.$data(root);
+    const keys = listKeys(data);
+    const methods = keys.filter(
+      (key) => typeof readProperty(data, key) === "function",
+    );
+
+    container.appendChild(
+      this.createInfoSection(
+        "Component",
+        `<${root.tagName.toLowerCase()} x-data="${root.getAttribute("x-data")}">`,
+        "#22d3ee",
+      ),
+    );
+
+    const summary = document.createElement("div");
+    summary.className = "mageforge-alpine-summary";
+    summary.textContent = `${keys.length - methods.length} properties · ${methods.length} methods · ${root._x_dataStack.length} scope${root._x_dataStack.length === 1 ? "" : "s"}`;
+    container.appendChild(summary);
+
+    const tree = document.createElement("ul");
+    tree.className = "mageforge-alpine-tree";
+    // Nested lists with disclosure buttons – no tree widget keyboard contract
+    tree.setAttribute("aria-label", "Alpine component data");
+    container.appendChild(tree);
+
+    if (methods.length) {
+      const methodList = document.createElement("div");
+      methodList.className = "mageforge-alpine-methods";
+      methodList.textContent = `Methods: ${methods.join(", ")}`;
+      container.appendChild(methodList);
+    }
+
+    this.renderAlpineDirectives(container, element);
+
+    // Re-render whenever the component data changes, but never under the
+    // cursor of an input that is being edited
+    let signature = null;
+    let pending = false;
+    const render = () => {
+      pending = false;
+      tree.innerHTML = "";
+      this.renderAlpineEntries(tree, data, "", {
+        rerender: render,
+        // Keep keyboard focus on a toggle across re-renders
+        focusToggle: (path) =>
+          [...tree.querySelectorAll(".mageforge-alpine-toggle")]
+            .find((toggle) => toggle.dataset.path === path)
+            ?.focus(),
+        scopes: root._x_dataStack,
+      });
+    };
+    tree.addEventListener("focusout", (e) => {
+      if (pending && !tree.contains(e.relatedTarget)) render();
+    });
+
+    this._alpineEffect = Alpine.effect(() => {
+      const next = touchData(data, 0, new Set());
+      if (signature !== null && !tree.isConnected) {
+        queueMicrotask(() => this.stopAlpineWatcher());
+        return;
+      }
+      if (next === signature) return;
+      signature = next;
+      if (tree.contains(document.activeElement)) {
+        pending = true;
+        return;
+      }
+      render();
+    });
+  },
+
+  /**
+   * Stop following the component data of the Alpine tab.
+   *
+   * @return {void}
+   */
+  stopAlpineWatcher() {
+    if (this._alpineEffect) {
+      Alpine.release(this._alpineEffect);
+      this._alpineEffect = null;
+    }
+  },
+
+  /**
+   * Render the properties of one object as tree items.
+   *
+   * @param {HTMLUListElement} list
+   * @param {object} target - Reactive object (or the merged component data)
+   * @param {string} path - Path of `target`, "" for the component
+   * @param {{rerender: Function, focusToggle: Function, scopes: object[]}} context
+   *   Render pass callbacks and the component's scope stack
+   * @return {void}
+   */
+  renderAlpineEntries(list, target, path, context) {
+    const keys = listKeys(target);
+    keys.slice(0, MAX_ENTRIES).forEach((key) => {
+      const value = readProperty(target, key);
+      if (typeof value === "function") return;
+      list.appendChild(
+        this.renderAlpineEntry(target, key, value, path, context),
+      );
+    });
+
+    if (keys.length > MAX_ENTRIES) {
+      const more = document.createElement("li");
+      more.className = "mageforge-alpine-more";
+      more.textContent = `… ${keys.length - MAX_ENTRIES} more`;
+      list.appendChild(more);
+    }
+  },
+
+  /**
+   * Render one property: expandable for objects/arrays, editable for
+   * primitives.
+   *
+   * @param {object} target
+   * @param {string} key
+   * @param {*} value
+   * @param {string} parentPath
+   * @param {{rerender: Function, focusToggle: Function, scopes: object[]}} context
+   * @returns {HTMLLIElement}
+   */
+  renderAlpineEntry(target, key, value, parentPath, context) {
+    const path = parentPath ? `${parentPath}.${key}` : key;
+    const expandable = isExpandable(value);
+    const expanded = expandable && this.alpineExpanded.has(path);
+
+    const item = document.createElement("li");
+
+    const row = document.createElement("div");
+    row.className = "mageforge-alpine-row";
+
+    const toggle = document.createElement("button");
+    toggle.type = "button";
+    toggle.className = "mageforge-alpine-toggle";
+    if (expandable) {
+      toggle.dataset.path = path;
+      toggle.setAttribute("aria-expanded", String(expanded));
+      toggle.textContent = expanded ? "▾" : "▸";
+      toggle.setAttribute("aria-label", `Entries of ${key}`);
+      toggle.onclick = (e) => {
+        e.preventDefault();
+        e.stopPropagation();
+        if (this.alpineExpanded.has(path)) {
+          this.alpineExpanded.delete(path);
+        } else {
+          this.alpineExpanded.add(path);
+        }
+        context.rerender();
+        context.focusToggle(path);
+      };
+    } else {
+      toggle.tabIndex = -1;
+      toggle.setAttribute("aria-hidden", "true");
+      toggle.style.visibility = "hidden";
+    }
+    row.appendChild(toggle);
+
+    const label = document.createElement("span");
+    label.className = "mageforge-alpine-key";
+    label.textContent = `${key}:`;
+    row.appendChild(label);
+
+    // Top-level keys are defined on one of the merged scopes
+    const owner = parentPath
+      ? target
+      : (context.scopes.find((scope) => key in scope) ?? target);
+    row.appendChild(
+      this.createAlpineValue(target, key, value, isWritable(owner, key)),
+    );
+    item.appendChild(row);
+
+    if (expanded) {
+      const group = document.createElement("ul");
+      this.renderAlpineEntries(group, value, path, context);
+      item.appendChild(group);
+    }
+
+    return item;
+  },
+
+  /**
+   * Value cell: an input for strings, numbers and booleans, a preview for
+   * everything else.
+   *
+   * @param {object} target
+   * @param {string} key
+   * @param {*} value
+   * @param {boolean} writable
+   * @returns {HTMLElement}
+   */
+  createAlpineValue(target, key, value, writable) {
+    const type = typeof value;
+    if (!writable || !["string", "number", "boolean"].includes(type)) {
+      const preview = document.createElement("span");
+      preview.className = `mageforge-alpine-value is-${value === null ? "null" : type}`;
+      preview.textContent = previewValue(value);
+      return preview;
+    }
+
+    const input = document.createElement("input");
+    input.className = `mageforge-alpine-value mageforge-alpine-input is-${type}`;
+    input.setAttribute("aria-label", key);
+    input.spellcheck = false;
+    if (type === "boolean") {
+      input.type = "checkbox";
+      input.checked = value;
+    } else {
+      input.type = type === "number" ? "number" : "text";
+      input.value = String(value);
+    }
+
+    input.onchange = () => {
+      let next;
+      if (type === "boolean") {
+        next = input.checked;
+      } else if (type === "number") {
+        next = Number(input.value);
+        if (input.value.trim() === "" || Number.isNaN(next)) {
+          input.value = String(value);
+          return;
+        }
+      } else {
+        next = input.value;
+      }
+      try {
+        target[key] = next;
+      } catch (e) {
+        console.warn(`[MageForge Inspector] Could not set "${key}":`, e);
+      }
+    };
+    input.onkeydown = (e) => {
+      if (e.key === "Enter") input.blur();
+    };
+
+    return input;
+  },
+
+  /**
+   * List the Alpine directives on the inspected element.
+   *
+   * @param {HTMLElement} container
+   * @param {HTMLElement} element
+   * @return {void}
+   */
+  renderAlpineDirectives(container, element) {
+    const title = document.createElement("div");
+    title.className = "mageforge-alpine-heading";
+    title.textContent = "Directives on this element";
+    container.appendChild(title);
+
+    const directives = [...element.attributes].filter(({ name }) =>
+      DIRECTIVE_PATTERN.test(name),
+    );
+    if (!directives.length) {
+      const empty = document.createElement("div");
+      empty.className = "mageforge-alpine-note";
+      empty.textContent = "None";
+      container.appendChild(empty);
+      return;
+    }
+
+    const list = document.createElement("dl");
+    list.className = "mageforge-alpine-directives";
+    directives.forEach(({ name, value }) => {
+      const term = document.createElement("dt");
+      term.textContent = name;
+      const description = document.createElement("dd");
+      description.textContent = value;
+      list.appendChild(term);
+      list.appendChild(description);
+    });
+    container.appendChild(list);
+  },
+};
@@ -0,0 +1,303 @@
+/**
+ * MageForge Inspector - Block Tree Tab
+ *
+ * Every Magento block rendered on the page (findAllMageForgeBlocks),
+ * nested by DOM containment – a block's parent is the closest enclosing
+ * block element, which also covers blocks whose layout parent is a
+ * container without markup of its own. The tree is filterable by
+ * template, block class, alias, module and ViewModel; hovering a node
+ * highlights the block, clicking re-pins the inspector on it.
+ */
+
+// Keep the panel responsive on block-heavy pages (product grids, mega menus)
+const MAX_TREE_NODES = 500;
+
+const SEARCH_FIELDS = ["template", "block", "alias", "module", "viewModel"];
+
+/**
+ * @typedef {object} BlockTreeNode
+ * @property {string}  id       – data-mageforge-id
+ * @property {Element} el
+ * @property {object}  data     – Parsed data-mageforge-block
+ * @property {?BlockTreeNode}  parent
+ * @property {BlockTreeNode[]} children
+ */
+
+/**
+ * Nest blocks by DOM containment, in document order.
+ *
+ * @param {{data: object, elements: Element[]}[]} blocks
+ * @returns {{roots: BlockTreeNode[], byId: Map<string, BlockTreeNode>}}
+ */
+function buildBlockTree(blocks) {
+  /** @type {Map<Element, BlockTreeNode>} */
+  const byElement = new Map();
+  /** @type {Map<string, BlockTreeNode>} */
+  const byId = new Map();
+  blocks.forEach(({ data, elements }) => {
+    const node = {
+      id: data.id,
+      el: elements[0],
+      data,
+      parent: null,
+      children: [],
+    };
+    byElement.set(node.el, node);
+    byId.set(node.id, node);
+  });
+
+  const roots = [];
+  byElement.forEach((node) => {
+    const parentEl = node.el.parentElement?.closest("[data-mageforge-id]");
+    node.parent = (parentEl && byElement.get(parentEl)) || null;
+    (node.parent ? node.parent.children : roots).push(node);
+  });
+  return { roots, byId };
+}
+
+/**
+ * @param {BlockTreeNode} node
+ * @param {string} query – Lower-case
+ * @returns {boolean}
+ */
+function matchesQuery(node, query) {
+  return SEARCH_FIELDS.some((field) =>
+    String(node.data[field] ?? "")
+      .toLowerCase()
+      .includes(query),
+  );
+}
+
+/**
+ * Short node label: the template file name, or the block class.
+ *
+ * @param {object} data
+ * @returns {string}
+ */
+function getNodeLabel(data) {
+  if (data.template) return data.template.split(/[\\/:]/).pop();
+  return data.block?.split("\\").pop() || data.id;
+}
+
+export const blockTreeMethods = {
+  /**
+   * Render Blocks tab content
+   *
+   * @param {HTMLElement} container - Tab content container
+   * @param {HTMLElement|null} element - Inspected element
+   * @return {void}
+   */
+  renderBlockTreeTab(container, element) {
+    const blocks = this.findAllMageForgeBlocks();
+    if (!blocks.length) {
+      const empty = document.createElement("div");
+      empty.className = "mageforge-block-tree-note";
+      empty.textContent = "No Magento blocks found on this page.";
+      container.appendChild(empty);
+      return;
+    }
+
+    const tree = buildBlockTree(blocks);
+    const currentId = element
+      ? (this.findBlockForElement(element)?.data.id ?? null)
+      : null;
+
+    // Reveal the inspected block
+    for (
+      let node = tree.byId.get(currentId)?.parent;
+      node;
+      node = node.parent
+    ) {
+      this.blockTreeExpanded.add(node.id);
+    }
+
+    const templates = new Set(blocks.map(({ data }) => data.template));
+    const summary = document.createElement("div");
+    summary.className = "mageforge-block-tree-summary";
+    summary.textContent = `${blocks.length} blocks · ${templates.size} templates`;
+    container.appendChild(summary);
+
+    const search = document.createElement("input");
+    search.type = "search";
+    search.className = "mageforge-block-tree-search";
+    search.placeholder = "Filter by template, class, alias, module, ViewModel";
+    search.setAttribute("aria-label", "Filter blocks");
+    search.value = this.blockTreeQuery;
+    container.appendChild(search);
+
+    const list = document.createElement("ul");
+    list.className = "mageforge-block-tree";
+    // Nested lists with disclosure buttons – no tree widget keyboard contract
+    list.setAttribute("aria-label", "Blocks on this page");
+    container.appendChild(list);
+
+    const note = document.createElement("div");
+    note.className = "mageforge-block-tree-note";
+    container.appendChild(note);
+
+    const render = () =>
+      this.renderBlockTreeNodes(list, note, tree, currentId, element);
+    search.oninput = () => {
+      this.blockTreeQuery = search.value;
+      render();
+    };
+    render();
+  },
+
+  /**
+   * (Re)render the tree for the current filter.
+   *
+   * @param {HTMLUListElement} list
+   * @param {HTMLElement} note
+   * @param {{roots: BlockTreeNode[], byId: Map<string, BlockTreeNode>}} tree
+   * @param {?string} currentId - Block of the inspected element
+   * @param {HTMLElement|null} inspected
+   * @return {void}
+   */
+  renderBlockTreeNodes(list, note, tree, currentId, inspected) {
+    list.innerHTML = "";
+    note.textContent = "";
+
+    const query = this.blockTreeQuery.trim().toLowerCase();
+    /** @type {?Set<BlockTreeNode>} Matches and their ancestors */
+    let visible = null;
+    let matches = 0;
+    if (query) {
+      visible = new Set();
+      tree.byId.forEach((node) => {
+        if (!matchesQuery(node, query)) return;
+        matches++;
+        for (let n = node; n && !visible.has(n); n = n.parent) visible.add(n);
+      });
+      if (!matches) {
+        note.textContent = `No block matches "${this.blockTreeQuery.trim()}".`;
+        return;
+      }
+    }
+
+    const context = {
+      query,
+      visible,
+      currentId,
+      inspected,
+      remaining: MAX_TREE_NODES,
+      rerender: () =>
+        this.renderBlockTreeNodes(list, note, tree, currentId, inspected),
+      // Keep keyboard focus on a toggle across re-renders
+      focusToggle: (id) =>
+        [...list.querySelectorAll(".mageforge-block-tree-toggle")]
+          .find((toggle) => toggle.dataset.blockId === id)
+          ?.focus(),
+    };
+    tree.roots.forEach((node) => {
+      const item = this.renderBlockTreeNode(node, context);
+      if (item) list.appendChild(item);
+    });
+
+    if (context.remaining <= 0) {
+      note.textContent = `Showing the first ${MAX_TREE_NODES} blocks – filter to narrow the tree down.`;
+    } else if (query) {
+      note.textContent = `${matches} matching block${matches === 1 ? "" : "s"}`;
+    }
+  },
+
+  /**
+   * Render one block (and its visible children) as a list item.
+   *
+   * @param {BlockTreeNode} node
+   * @param {object} context - Filter state shared by the whole render pass
+   * @returns {?HTMLLIElement}
+   */
+  renderBlockTreeNode(node, context) {
+    if (context.visible && !context.visible.has(node)) return null;
+    if (context.remaining <= 0) return null;
+    context.remaining--;
+
+    const { data } = node;
+    const item = document.createElement("li");
+
+    // While filtering, every ancestor of a match is open
+    const expanded = context.query ? true : this.blockTreeExpanded.has(node.id);
+
+    const row = document.createElement("div");
+    row.className = "mageforge-block-tree-row";
+
+    const toggle = document.createElement("button");
+    toggle.type = "button";
+    toggle.className = "mageforge-block-tree-toggle";
+    if (node.children.length) {
+      toggle.dataset.blockId = node.id;
+      toggle.setAttribute("aria-expanded", String(expanded));
+      toggle.textContent = expanded ? "▾" : "▸";
+      toggle.setAttribute(
+        "aria-label",
+        `${node.children.length} child block${node.children.length === 1 ? "" : "s"} of ${getNodeLabel(data)}`,
+      );
+      toggle.disabled = !!context.query;
+      toggle.onclick = (e) => {
+        e.preventDefault();
+        e.stopPropagation();
+        if (this.blockTreeExpanded.has(node.id)) {
+          this.blockTreeExpanded.delete(node.id);
+        } else {
+          this.blockTreeExpanded.add(node.id);
+        }
+        context.rerender();
+        context.focusToggle(node.id);
+      };
+    } else {
+      toggle.tabIndex = -1;
+      toggle.setAttribute("aria-hidden", "true");
+      toggle.style.visibility = "hidden";
+    }
+    row.appendChild(toggle);
+
+    const button = document.createElement("button");
+    button.type = "button";
+    button.className = "mageforge-block-tree-node";
+    if (node.id === context.currentId) button.classList.add("is-current");
+    if (context.query && matchesQuery(node, context.query)) {
+      button.classList.add("is-match");
+    }
+    button.title = [data.template, data.block].filter(Boolean).join("\n");
+
+    const label = document.createElement("span");
+    label.className = "mageforge-block-tree-label";
+    label.textContent = getNodeLabel(data);
+    button.appendChild(label);
+
+    [data.alias, data.module].filter(Boolean).forEach((text) => {
+      const chip = document.createElement("span");
+      chip.className = "mageforge-block-tree-chip";
+      chip.textContent = text;
+      button.appendChild(chip);
+    });
+
+    button.onclick = (e) => {
+      e.preventDefault();
+      e.stopPropagation();
+      this.inspectElement(node.el);
+    };
+    button.onmouseenter = () => this.showHighlight(node.el);
+    button.onmouseleave = () => {
+      if (context.inspected?.isConnected) {
+        this.showHighlight(context.inspected);
+      } else {
+        this.hideHighlight();
+      }
+    };
+    row.appendChild(button);
+    item.appendChild(row);
+
+    if (node.children.length && expanded) {
+      const group = document.createElement("ul");
+      node.children.forEach((child) => {
+        const childItem = this.renderBlockTreeNode(child, context);
+        if (childItem) group.appendChild(childItem);
+      });
+      item.appendChild(group);
+    }
+
+    return item;
+  },
+};
@@ -0,0 +1,166 @@
+/**
+ * MageForge Inspector - "Open in editor" action for the Structure tab
+ *
+ * Link to the block's template plus the per-browser editor settings
+ * (editor URL scheme, container → host path mapping), see ../editor-link.js.
+ */
+
+import {
+  EDITORS,
+  buildEditorUrl,
+  getEditorSettings,
+  resolveEditorPath,
+  saveEditorSettings,
+} from "../editor-link.js";
+
+export const editorMethods = {
+  /**
+   * Render the "Open in editor" link and its settings form.
+   *
+   * @param {HTMLElement} container - Tab content container
+   * @param {string} template - Template path from the block data
+   * @return {void}
+   */
+  renderEditorActions(container, template) {
+    const section = document.createElement("div");
+    section.className = "mageforge-editor-actions";
+
+    const root = this.$el?.getAttribute("data-magento-root") || "";
+    const settings = getEditorSettings();
+    const url = buildEditorUrl(template, root, settings);
+
+    const link = document.createElement("a");
+    link.className = "mageforge-editor-link";
+    if (url) {
+      const editor = EDITORS.find((e) => e.key === settings.editor);
+      link.href = url;
+      link.textContent =
+        editor && editor.key !== "custom"
+          ? `Open in ${editor.label}`
+          : "Open in editor";
+      link.title = resolveEditorPath(template, root, settings);
+    } else {
+      link.setAttribute("aria-disabled", "true");
+      link.textContent = "Set up an editor URL";
+    }
+
+    const toggle = document.createElement("button");
+    toggle.type = "button";
+    toggle.className = "mageforge-editor-settings-toggle";
+    toggle.textContent = "⚙";
+    toggle.title = "Editor settings";
+    toggle.setAttribute("aria-label", "Editor settings");
+
+    const form = this.renderEditorSettingsForm(settings, root, () => {
+      const next = document.createElement("div");
+      this.renderEditorActions(next, template);
+      section.replaceWith(next.firstElementChild);
+    });
+    form.hidden = !!url;
+    toggle.setAttribute("aria-expanded", String(!form.hidden));
+    toggle.onclick = (e) => {
+      e.stopPropagation();
+      form.hidden = !form.hidden;
+      toggle.setAttribute("aria-expanded", String(!form.hidden));
+    };
+    if (!url) {
+      link.onclick = (e) => {
+        e.preventDefault();
+        form.hidden = false;
+        toggle.setAttribute("aria-expanded", "true");
+      };
+    }
+
+    const row = document.createElement("div");
+    row.className = "mageforge-editor-row";
+    row.appendChild(link);
+    row.appendChild(toggle);
+    section.appendChild(row);
+    section.appendChild(form);
+    container.appendChild(section);
+  },
+
+  /**
+   * Settings form: editor, custom URL template and path mapping.
+   *
+   * @param {import('../editor-link.js').EditorSettings} settings
+   * @param {string} root - Magento root as PHP sees it
+   * @param {Function} onSave
+   * @return {HTMLFormElement}
+   */
+  renderEditorSettingsForm(settings, root, onSave) {
+    const form = document.createElement("form");
+    form.className = "mageforge-editor-settings";
+
+    const field = (label, control) => {
+      const wrapper = document.createElement("label");
+      wrapper.className = "mageforge-editor-field";
+      const text = document.createElement("span");
+      text.textContent = label;
+      wrapper.appendChild(text);
+      wrapper.appendChild(control);
+      form.appendChild(wrapper);
+      return wrapper;
+    };
+    const input = (name, value, placeholder) =>
+      Object.assign(document.createElement("input"), {
+        type: "text",
+        name,
+        value,
+        placeholder,
+        spellcheck: false,
+      });
+
+    const select = document.createElement("select");
+    select.name = "editor";
+    EDITORS.forEach(({ key, label }) => {
+      select.appendChild(
+        new Option(label, key, false, key === settings.editor),
+      );
+    });
+    field("Editor", select);
+
+    const customField = field(
+      "URL ({file}, {line})",
+      input(
+        "customUrl",
+        settings.customUrl,
+        "idea://open?file={file}&line={line}",
+      ),
+    );
+    customField.hidden = settings.editor !== "custom";
+    select.onchange = () => {
+      customField.hidden = select.value !== "custom";
+    };
+
+    field(
+      "Path in container",
+      input("pathFrom", settings.pathFrom, root || "/var/www/html"),
+    );
+    field(
+      "Path on host",
+      input("pathTo", settings.pathTo, "/home/me/projects/shop"),
+    );
+
+    const save = document.createElement("button");
+    save.type = "submit";
+    save.className = "mageforge-editor-save";
+    save.textContent = "Save";
+    form.appendChild(save);
+
+    form.onsubmit = (e) => {
+      e.preventDefault();
+      e.stopPropagation();
+      const values = Object.fromEntries(new FormData(form));
+      saveEditorSettings({
+        editor: values.editor,
+        customUrl: values.customUrl.trim(),
+        pathFrom: values.pathFrom.trim(),
+        pathTo: values.pathTo.trim(),
+      });
+      onSave();
+    };
+
+    return form;
+  },
+};
@@ -0,0 +1,132 @@
+/**
+ * MageForge Inspector - Theme override helper for the Structure tab
+ *
+ * Derives where the inspected template goes when it is overridden in the
+ * active theme (`data-design-theme` on the inspector root) and offers the
+ * `mageforge:template:override` command that copies it there. The command
+ * gets the template's file path, so the CLI resolves the exact module and
+ * fallback location (Hyvä compat modules included) on its own.
+ */
+
+const COMMAND = "bin/magento mageforge:template:override";
+
+/**
+ * @typedef {object} TemplateLocation
+ * @property {string}  module    – Module_Name the override directory is named after
+ * @property {string}  path      – Path below <Module_Name>/templates/
+ * @property {?string} themeCode – Vendor/theme when the file already lives in a
+ *                                theme ("" for theme packages outside app/design)
+ */
+
+/**
+ * Split a template file path (relative to the Magento root) into module
+ * and template path.
+ *
+ * The module comes from the file path where it is unambiguous – theme
+ * overrides, app/code and Magento's vendor/magento/module-* packages – and
+ * from the block's module (`data.module`) otherwise.
+ *
+ * @param {string} template - data.template
+ * @param {string} blockModule - data.module
+ * @returns {?TemplateLocation} null when the file is not a module/theme template
+ */
+function parseTemplateLocation(template, blockModule) {
+  const file = template.replace(/\\/g, "/");
+
+  const theme = file.match(
+    /(?:^|\/)app\/design\/[a-z_]+\/([^/]+\/[^/]+)\/([A-Za-z0-9]+_[A-Za-z0-9]+)\/templates\/(.+)$/,
+  );
+  if (theme) return { themeCode: theme[1], module: theme[2], path: theme[3] };
+
+  const view = file.match(/\/view\/[a-z_]+\/templates\/(.+)$/);
+  if (!view) {
+    // Theme installed as a package, e.g. vendor/hyva-themes/magento2-default-theme
+    const themePackage = file.match(
+      /(?:^|\/)([A-Z][A-Za-z0-9]*_[A-Za-z0-9]+)\/templates\/(.+)$/,
+    );
+    return themePackage
+      ? { themeCode: "", module: themePackage[1], path: themePackage[2] }
+      : null;
+  }
+
+  const appCode = file.match(/(?:^|\/)app\/code\/([^/]+)\/([^/]+)\/view\//);
+  const magento = file.match(
+    /(?:^|\/)vendor\/magento\/module-([a-z0-9-]+)\/view\//,
+  );
+  let module = blockModule;
+  if (appCode) {
+    module = `${appCode[1]}_${appCode[2]}`;
+  } else if (magento) {
+    module = `Magento_${magento[1]
+      .split("-")
+      .map((part) => part.charAt(0).toUpperCase() + part.slice(1))
+      .join("")}`;
+  }
+  return module ? { themeCode: null, module, path: view[1] } : null;
+}
+
+/**
+ * Quote a shell argument when it needs it.
+ *
+ * @param {string} value
+ * @returns {string}
+ */
+function shellArg(value) {
+  return /^[\w@%+=:,./-]+$/.test(value)
+    ? value
+    : `'${value.replace(/'/g, "'\\''")}'`;
+}
+
+export const overrideMethods = {
+  /**
+   * Render the override status, destination path and CLI command.
+   *
+   * @param {HTMLElement} container - Tab content container
+   * @param {object} data - Structure data (template, module)
+   * @return {void}
+   */
+  renderOverrideActions(container, data) {
+    const location = parseTemplateLocation(data.template, data.module);
+    if (!location) return;
+
+    const activeTheme = this.$el?.getAttribute("data-design-theme") || "";
+    const destination = `app/design/frontend/${activeTheme || "<Vendor>/<theme>"}/${location.module}/templates/${location.path}`;
+    const inActiveTheme =
+      activeTheme !== "" && location.themeCode === activeTheme;
+
+    let status;
+    let color;
+    if (inActiveTheme) {
+      status = "✅ Already overridden in the active theme";
+      color = "#34d399";
+    } else if (location.themeCode !== null) {
+      status = `Overridden in ${location.themeCode || "a parent theme"}`;
+      if (activeTheme) status += ` – not yet in ${activeTheme}`;
+      color = "#f59e0b";
+    } else {
+      status = "Module template – not overridden";
+      color = "#94a3b8";
+    }
+    container.appendChild(
+      this.createInfoSection("Theme Override", status, color),
+    );
+
+    container.appendChild(
+      this.createInfoSection(
+        inActiveTheme ? "Override File" : "Override Path",
+        destination,
+        "#34d399",
+      ),
+    );
+
+    if (inActiveTheme) return;
+    const command = [
+      COMMAND,
+      shellArg(data.template),
+      ...(activeTheme ? ["--theme", shellArg(activeTheme)] : []),
+    ].join(" ");
+    container.appendChild(
+      this.createInfoSection("Override Command", command, "#22d3ee"),
+    );
+  },
+};
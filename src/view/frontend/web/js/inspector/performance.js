@@ -2,6 +2,12 @@
  * MageForge Inspector - Performance & Cache Tab + Web Vitals Tab Rendering
  */
 
+import {
+  BLOCKING_THRESHOLD,
+  SOURCE_KIND_LABELS,
+} from "../long-animation-frames.js";
+import { getRenderTime } from "../render-time.js";
+
 export const performanceMethods = {
   /**
    * Render Performance tab content
@@ -120,6 +126,8 @@ export const performanceMethods = {
     if (this.renderLCPMetric(container, element)) hasMetrics = true;
     if (this.renderCLSMetric(container, element)) hasMetrics = true;
     if (this.renderElementTimingMetric(container, element)) hasMetrics = true;
+    if (this.renderINPMetric(container, element)) hasMetrics = true;
+    if (this.renderBlockersMetric(container, element)) hasMetrics = true;
     if (this.renderImageOptimizationMetric(container, element))
       hasMetrics = true;
     if (this.renderResourceMetric(container, element)) hasMetrics = true;
@@ -142,7 +150,18 @@ export const performanceMethods = {
       this.cachePageTimings();
     }
 
-    if (!this.pageTimings || this.pageTimings.domContentLoaded === 0) {
+    const hasTimings =
+      this.pageTimings && this.pageTimings.domContentLoaded !== 0;
+    const ttfb = this.getTTFB();
+
+    if (
+      !hasTimings &&
+      ttfb === null &&
+      !this.webVitals.cls.length &&
+      !this.webVitals.interactions.length &&
+      !this.animationFrames.length &&
+      !this.longTasks.length
+    ) {
       return;
     }
 
@@ -152,6 +171,27 @@ export const performanceMethods = {
     divider.textContent = "Global Page-Metrics";
     container.appendChild(divider);
 
+    if (ttfb !== null) {
+      const { label, color } = this.getVitalRating(
+        ttfb,
+        this.VITALS_TTFB_GOOD,
+        this.VITALS_TTFB_POOR,
+      );
+      container.appendChild(
+        this.createInfoSection(
+          "TTFB (Time to First Byte)",
+          `${Math.round(ttfb)} ms · ${label}`,
+          color,
+        ),
+      );
+    }
+
+    this.renderPageCLSSection(container);
+    this.renderPageINPSection(container);
+    this.renderPageBlockersSection(container);
+
+    if (!hasTimings) return;
+
     const dclColor =
       this.pageTimings.domContentLoaded < 1500
         ? "#34d399"
@@ -186,7 +226,7 @@ export const performanceMethods = {
   renderRenderTimeMetric(container, element) {
     const blockData = this.getBlockMetaData(element);
     if (blockData && blockData.performance) {
-      const renderTime = parseFloat(blockData.performance.renderTime);
+      const renderTime = getRenderTime(blockData);
       const color = this.getRenderTimeColor(renderTime);
       const formattedTime = `${blockData.performance.renderTime} ms`;
       container.appendChild(
@@ -236,14 +276,14 @@ export const performanceMethods = {
   },
 
   renderCLSMetric(container, element) {
-    const elementCLS = this.getElementCLS(element);
-    if (elementCLS > 0) {
-      const clsColor =
-        elementCLS < 0.1
-          ? "#34d399"
-          : elementCLS < 0.25
-            ? "#f59e0b"
-            : "#ef4444";
+    const shiftWindow = this.getElementShiftWindow(element);
+    if (shiftWindow) {
+      const elementCLS = shiftWindow.value;
+      const { color: clsColor } = this.getVitalRating(
+        elementCLS,
+        this.VITALS_CLS_GOOD,
+        this.VITALS_CLS_POOR,
+      );
       container.appendChild(
         this.createInfoSection(
           "CLS (Layout Shift)",
@@ -251,6 +291,17 @@ export const performanceMethods = {
           clsColor,
         ),
       );
+      container.appendChild(
+        this.createInfoSection(
+          "Shift Session Window",
+          `${this.formatShiftWindow(shiftWindow.session)} · ${
+            shiftWindow.isWorst
+              ? "defines the page CLS"
+              : "page CLS comes from another window"
+          }`,
+          shiftWindow.isWorst ? "#ef4444" : "#94a3b8",
+        ),
+      );
       const stabilityScore = Math.max(0, 1 - elementCLS * 4).toFixed(2);
       const stabilityColor =
         stabilityScore > 0.75
@@ -294,6 +345,302 @@ export const performanceMethods = {
     return false;
   },
 
+  /**
+   * Slowest interaction whose target is this element or inside it
+   *
+   * @param {HTMLElement} container
+   * @param {HTMLElement} element
+   * @return {boolean}
+   */
+  renderINPMetric(container, element) {
+    const interaction = this.webVitals.interactions.find(
+      (i) => i.target && (i.target === element || element.contains(i.target)),
+    );
+    if (!interaction) return false;
+
+    const { label, color } = this.getVitalRating(
+      interaction.duration,
+      this.VITALS_INP_GOOD,
+      this.VITALS_INP_POOR,
+    );
+    container.appendChild(
+      this.createInfoSection(
+        "Slowest Interaction here",
+        `${Math.round(interaction.duration)} ms ${interaction.type} · ${label}`,
+        color,
+      ),
+    );
+    container.appendChild(
+      this.createInfoSection(
+        "Interaction Breakdown",
+        this.formatInteractionPhases(interaction),
+        "#94a3b8",
+      ),
+    );
+    return true;
+  },
+
+  /**
+   * Scripts initialised inside this element that blocked the main thread
+   *
+   * @param {HTMLElement} container
+   * @param {HTMLElement} element
+   * @return {boolean}
+   */
+  renderBlockersMetric(container, element) {
+    const blockers = this.getMainThreadBlockers().filter(
+      (blocker) =>
+        blocker.blockingTime > 0 &&
+        blocker.elements.some((el) => el === element || element.contains(el)),
+    );
+    if (!blockers.length) return false;
+
+    const total = blockers.reduce((sum, b) => sum + b.blockingTime, 0);
+    const { color } = this.getVitalRating(
+      total,
+      this.VITALS_TBT_GOOD,
+      this.VITALS_TBT_POOR,
+    );
+    container.appendChild(
+      this.createInfoSection(
+        "Main-Thread Blocking here",
+        `${Math.round(total)} ms from ${blockers.length} script source${blockers.length === 1 ? "" : "s"}`,
+        color,
+      ),
+    );
+    container.appendChild(this.renderBlockerList(blockers.slice(0, 5)));
+    return true;
+  },
+
+  /**
+   * Total blocking time plus the scripts that caused most of it
+   *
+   * @param {HTMLElement} container
+   */
+  renderPageBlockersSection(container) {
+    const tbt = this.getTotalBlockingTime();
+    if (!tbt.count) return;
+
+    const { label, color } = this.getVitalRating(
+      tbt.value,
+      this.VITALS_TBT_GOOD,
+      this.VITALS_TBT_POOR,
+    );
+    container.appendChild(
+      this.createInfoSection(
+        "Main-Thread Blocking",
+        `${Math.round(tbt.value)} ms · ${label} (${tbt.count} long ${tbt.attributed ? "animation frame" : "task"}${tbt.count === 1 ? "" : "s"})`,
+        color,
+      ),
+    );
+
+    if (!tbt.attributed) {
+      container.appendChild(
+        this.createInfoSection(
+          "Main-Thread Blockers",
+          "Script attribution needs the Long Animation Frames API (Chromium 123+)",
+          "#94a3b8",
+        ),
+      );
+      return;
+    }
+
+    const blockers = this.getMainThreadBlockers().filter(
+      (blocker) => blocker.blockingTime > 0,
+    );
+    if (blockers.length) {
+      container.appendChild(this.renderBlockerList(blockers.slice(0, 5)));
+    }
+  },
+
+  /**
+   * Ranked blocker rows; clicking a row inspects the element that
+   * initialises the script (x-data, data-mage-init, <script src>).
+   *
+   * @param {Array<object>} blockers - From getMainThreadBlockers()
+   * @return {HTMLDivElement}
+   */
+  renderBlockerList(blockers) {
+    const list = document.createElement("div");
+    list.className = "mageforge-vitals-blockers";
+
+    blockers.forEach((blocker) => {
+      const target = blocker.elements.find((el) => el.isConnected);
+      const template = target
+        ? this.findBlockForElement(target)?.data?.template
+        : null;
+
+      const row = document.createElement("button");
+      row.type = "button";
+      row.className = "mageforge-vitals-blocker";
+      row.disabled = !target;
+      row.title = [
+        `Script ${Math.round(blocker.scriptTime)} ms · forced layout ${Math.round(blocker.layoutTime)} ms · ${blocker.frames} frame${blocker.frames === 1 ? "" : "s"}`,
+        blocker.functions.length
+          ? `Functions: ${blocker.functions.slice(0, 5).join(", ")}`
+          : "",
+        blocker.url,
+        template,
+      ]
+        .filter(Boolean)
+        .join("\n");
+
+      // A single source over the page-wide TBT budget is poor on its own
+      const { color } = this.getVitalRating(
+        blocker.blockingTime,
+        BLOCKING_THRESHOLD,
+        this.VITALS_TBT_GOOD,
+      );
+      const duration = document.createElement("span");
+      duration.className = "mageforge-vitals-blocker-duration";
+      duration.style.color = color;
+      duration.textContent = `${Math.round(blocker.blockingTime)} ms`;
+
+      const kind = document.createElement("span");
+      kind.className = "mageforge-vitals-blocker-kind";
+      kind.textContent = SOURCE_KIND_LABELS[blocker.kind] ?? blocker.kind;
+
+      const source = document.createElement("span");
+      source.className = "mageforge-vitals-blocker-source";
+      source.textContent = blocker.label;
+
+      row.appendChild(duration);
+      row.appendChild(kind);
+      row.appendChild(source);
+      if (template) {
+        const block = document.createElement("span");
+        block.className = "mageforge-vitals-blocker-block";
+        block.textContent = template;
+        row.appendChild(block);
+      }
+
+      row.onclick = (e) => {
+        e.preventDefault();
+        e.stopPropagation();
+        this.inspectElement(target);
+      };
+      list.appendChild(row);
+    });
+
+    return list;
+  },
+
+  /**
+   * Page CLS from the worst session window (1 s gap, 5 s max)
+   *
+   * @param {HTMLElement} container
+   */
+  renderPageCLSSection(container) {
+    const cls = this.getPageCLS();
+    const { label, color } = this.getVitalRating(
+      cls.value,
+      this.VITALS_CLS_GOOD,
+      this.VITALS_CLS_POOR,
+    );
+    const details = cls.session
+      ? `worst of ${cls.windowCount} session window${cls.windowCount === 1 ? "" : "s"}, ${cls.session.shifts.length} shift${cls.session.shifts.length === 1 ? "" : "s"} at ${this.formatShiftWindow(cls.session)}`
+      : "no layout shifts";
+    container.appendChild(
+      this.createInfoSection(
+        "CLS (Cumulative Layout Shift)",
+        `${cls.value.toFixed(3)} · ${label} (${details})`,
+        color,
+      ),
+    );
+  },
+
+  /**
+   * Page INP plus the slowest interactions with their target and block
+   *
+   * @param {HTMLElement} container
+   */
+  renderPageINPSection(container) {
+    const inp = this.getINP();
+    if (!inp) {
+      container.appendChild(
+        this.createInfoSection(
+          "INP (Interaction to Next Paint)",
+          "No interactions yet – click, tap or type on the page",
+          "#94a3b8",
+        ),
+      );
+      return;
+    }
+
+    const { label, color } = this.getVitalRating(
+      inp.value,
+      this.VITALS_INP_GOOD,
+      this.VITALS_INP_POOR,
+    );
+    container.appendChild(
+      this.createInfoSection(
+        "INP (Interaction to Next Paint)",
+        `${Math.round(inp.value)} ms · ${label} (${inp.count} interaction${inp.count === 1 ? "" : "s"})`,
+        color,
+      ),
+    );
+
+    const list = document.createElement("div");
+    list.className = "mageforge-vitals-interactions";
+    this.webVitals.interactions.slice(0, 5).forEach((interaction) => {
+      const row = document.createElement("button");
+      row.type = "button";
+      row.className = "mageforge-vitals-interaction";
+      row.disabled = !interaction.target?.isConnected;
+      row.title = [
+        this.formatInteractionPhases(interaction),
+        interaction.template,
+      ]
+        .filter(Boolean)
+        .join("\n");
+
+      const { color: rowColor } = this.getVitalRating(
+        interaction.duration,
+        this.VITALS_INP_GOOD,
+        this.VITALS_INP_POOR,
+      );
+      const duration = document.createElement("span");
+      duration.className = "mageforge-vitals-interaction-duration";
+      duration.style.color = rowColor;
+      duration.textContent = `${Math.round(interaction.duration)} ms`;
+
+      const target = document.createElement("span");
+      target.className = "mageforge-vitals-interaction-target";
+      target.textContent = `${interaction.type} → ${interaction.selector}`;
+
+      row.appendChild(duration);
+      row.appendChild(target);
+      if (interaction.template) {
+        const block = document.createElement("span");
+        block.className = "mageforge-vitals-interaction-block";
+        block.textContent = interaction.template;
+        row.appendChild(block);
+      }
+
+      row.onclick = (e) => {
+        e.preventDefault();
+        e.stopPropagation();
+        this.inspectElement(interaction.target);
+      };
+      list.appendChild(row);
+    });
+    container.appendChild(list);
+  },
+
+  /**
+   * "Input delay · Processing · Presentation" text for an interaction
+   *
+   * @param {object} interaction
+   * @return {string}
+   */
+  formatInteractionPhases(interaction) {
+    return [
+      `Input delay ${Math.round(interaction.inputDelay)} ms`,
+      `Processing ${Math.round(interaction.processing)} ms`,
+      `Presentation ${Math.round(interaction.presentation)} ms`,
+    ].join(" · ");
+  },
+
   renderImageOptimizationMetric(container, element) {
     const imageAnalysis = this.analyzeImageOptimization(element);
     if (imageAnalysis) {
@@ -5,6 +5,53 @@
 import { matchesShortcut } from "../shortcut-parser.js";
 import { blockDataMap } from "./blockData.js";
 
+/**
+ * Arrow keys that move the selection through the DOM, see navigatePicker().
+ * With Shift the same keys jump between MageForge blocks.
+ */
+const NAVIGATION_KEYS = {
+  ArrowUp: "parent",
+  ArrowDown: "firstChild",
+  ArrowLeft: "previousSibling",
+  ArrowRight: "nextSibling",
+};
+
+const BLOCK_NAVIGATION_KEYS = {
+  ArrowUp: "parentBlock",
+  ArrowLeft: "previousBlock",
+  ArrowRight: "nextBlock",
+};
+
+/**
+ * Typing in form controls (editor settings, block filter) must not move
+ * the selection.
+ *
+ * @param {EventTarget} target
+ * @returns {boolean}
+ */
+function isEditableTarget(target) {
+  return (
+    target instanceof Element &&
+    (target.isContentEditable ||
+      ["INPUT", "TEXTAREA", "SELECT"].includes(target.tagName))
+  );
+}
+
+// MageForge's own UI: the inspector panel, its float button and the toolbar
+const OWN_UI_SELECTOR =
+  ".mageforge-inspector, .mageforge-inspector-float-button, .mageforge-toolbar";
+
+/**
+ * True when a key event comes from MageForge's own UI, e.g. the arrow keys
+ * of a focused tab or disclosure button in the inspector panel.
+ *
+ * @param {EventTarget|null} target
+ * @returns {boolean}
+ */
+function isOwnUiTarget(target) {
+  return target instanceof Element && !!target.closest(OWN_UI_SELECTOR);
+}
+
 export const pickerMethods = {
   /**
    * Setup keyboard shortcuts
@@ -25,6 +72,8 @@ export const pickerMethods = {
       if (e.key === "Escape" && this.isOpen) {
         this.closeInspector();
       }
+
+      this.handlePickerKeydown(e);
     };
     document.addEventListener("keydown", this.keydownHandler);
   },
@@ -55,6 +104,7 @@ export const pickerMethods = {
     this.removeDraggable();
     this.deactivatePicker();
     this.hideHighlight();
+    this.stopAlpineWatcher();
     this.$dispatch("mageforge:inspector:closed");
     this.updateFloatingButton();
   },
@@ -188,6 +238,135 @@ export const pickerMethods = {
     }
   },
 
+  /**
+   * Keyboard navigation while picking or pinned: arrow keys move the
+   * selection (Shift: between blocks), Enter locks the hovered element.
+   * Only keys pressed with focus on the page count – the panel's own
+   * controls keep their keyboard behaviour.
+   */
+  handlePickerKeydown(e) {
+    if (!this.isOpen || e.ctrlKey || e.metaKey || e.altKey) return;
+    if (!this.isPickerActive && !this.isPinned) return;
+    if (isEditableTarget(e.target) || isOwnUiTarget(e.target)) return;
+
+    const current = this.isPinned ? this.selectedElement : this.hoveredElement;
+    if (!current) return;
+
+    if (e.key === "Enter" && !this.isPinned && this.isPickerActive) {
+      e.preventDefault();
+      this.selectedElement = current;
+      this.updatePanelData(current);
+      this.pinBadge();
+      return;
+    }
+
+    const move = (e.shiftKey ? BLOCK_NAVIGATION_KEYS : NAVIGATION_KEYS)[e.key];
+    if (!move) return;
+
+    e.preventDefault();
+    this.navigatePicker(move);
+  },
+
+  /**
+   * Move the selection (pinned) or the hover highlight (picking).
+   *
+   * @param {'parent'|'firstChild'|'previousSibling'|'nextSibling'|'parentBlock'|'previousBlock'|'nextBlock'} move
+   * @returns {boolean} Whether there was an element to move to
+   */
+  navigatePicker(move) {
+    const current = this.isPinned ? this.selectedElement : this.hoveredElement;
+    const target = current ? this.findNavigationTarget(current, move) : null;
+    if (!target) return false;
+
+    target.scrollIntoView({ block: "nearest" });
+
+    if (this.isPinned) {
+      this.inspectElement(target);
+      return true;
+    }
+
+    if (this.hoverTimeout) {
+      clearTimeout(this.hoverTimeout);
+      this.hoverTimeout = null;
+    }
+    this.hoveredElement = target;
+    this.showHighlight(target);
+    this.updatePanelData(target);
+    this.showInfoBadge(target);
+    return true;
+  },
+
+  /**
+   * Nearest inspectable element in the given direction.
+   *
+   * @param {Element} element
+   * @param {string} move - See navigatePicker()
+   * @returns {Element|null}
+   */
+  findNavigationTarget(element, move) {
+    const inspectable = (el) => !!el && !!this.findInspectableElement(el);
+
+    switch (move) {
+      case "parent": {
+        let el = element.parentElement;
+        while (el && !inspectable(el)) el = el.parentElement;
+        return el;
+      }
+      case "firstChild":
+        return [...element.children].find(inspectable) ?? null;
+      case "previousSibling":
+      case "nextSibling": {
+        const step =
+          move === "nextSibling"
+            ? "nextElementSibling"
+            : "previousElementSibling";
+        let el = element[step];
+        while (el && !inspectable(el)) el = el[step];
+        return el;
+      }
+      case "parentBlock": {
+        const target = this.findParentBlockElement(element);
+        return inspectable(target) ? target : null;
+      }
+      case "previousBlock":
+      case "nextBlock": {
+        // Blocks in document order; the block the element sits in counts
+        // as "current", so previous skips it
+        const own = element.closest("[data-mageforge-id]");
+        const bit =
+          move === "nextBlock"
+            ? Node.DOCUMENT_POSITION_FOLLOWING
+            : Node.DOCUMENT_POSITION_PRECEDING;
+        const candidates = this.findAllMageForgeBlocks()
+          .map(({ elements }) => elements[0])
+          .filter(
+            (el) => el !== own && element.compareDocumentPosition(el) & bit,
+          )
+          .filter(inspectable);
+        return (
+          (move === "nextBlock" ? candidates[0] : candidates.pop()) ?? null
+        );
+      }
+      default:
+        return null;
+    }
+  },
+
+  /**
+   * Root element of the block containing `element` – or, when `element` is
+   * a block root itself, of the enclosing block.
+   *
+   * @param {Element} element
+   * @returns {Element|null}
+   */
+  findParentBlockElement(element) {
+    const own = this.findBlockForElement(element)?.elements[0];
+    if (own && own !== element && own.contains(element)) return own;
+    return (
+      (own ?? element).parentElement?.closest("[data-mageforge-id]") ?? null
+    );
+  },
+
   /**
    * Pin the badge after element selection
    */
@@ -202,6 +381,29 @@ export const pickerMethods = {
     this.setupDraggable();
   },
 
+  /**
+   * Re-pin the inspector on another element (e.g. from the A11y Tree tab)
+   */
+  inspectElement(element) {
+    if (!element?.isConnected) return;
+
+    // Caches block data when the element lives inside a Magento block
+    this.findInspectableElement(element);
+    this.selectedElement = element;
+    this.updatePanelData(element);
+    this.showHighlight(element);
+
+    if (!this.isPinned) {
+      this.pinBadge();
+      return;
+    }
+    this.buildBadgeContent(element);
+    this.infoBadge.dataset.currentElement =
+      element.getAttribute("data-mageforge-id") ?? "";
+    this.infoBadge._currentElement = element;
+    this.updateConnector();
+  },
+
   /**
    * Unpin and close the badge
    */
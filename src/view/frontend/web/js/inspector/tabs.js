@@ -18,9 +18,13 @@ export const tabsMethods = {
     // Define tabs
     const tabs = [
       { id: "structure", label: "Structure", icon: "🏰" },
+      { id: "blocks", label: "Blocks", icon: "🧱" },
       { id: "accessibility", label: "Accessibility", icon: "♿" },
+      { id: "a11y-tree", label: "A11y Tree", icon: "🌳" },
       { id: "performance", label: "Cache", icon: "💾" },
       { id: "core-web-vitals", label: "Core Web Vitals", icon: "🌐" },
+      { id: "waterfall", label: "Waterfall", icon: "🌊" },
+      { id: "alpine", label: "Alpine", icon: "⛰️" },
     ];
 
     // Tab content container
@@ -77,12 +81,20 @@ export const tabsMethods = {
 
     if (tabId === "structure") {
       this.renderStructureTab(data, container, element);
+    } else if (tabId === "blocks") {
+      this.renderBlockTreeTab(container, element);
     } else if (tabId === "accessibility") {
       this.renderAccessibilityTab(container, element);
+    } else if (tabId === "a11y-tree") {
+      this.renderA11yTreeTab(container, element);
     } else if (tabId === "performance") {
       this.renderPerformanceTab(container, element);
     } else if (tabId === "core-web-vitals") {
       this.renderBrowserMetricsTab(container, element);
+    } else if (tabId === "waterfall") {
+      this.renderWaterfallTab(container, element);
+    } else if (tabId === "alpine") {
+      this.renderAlpineTab(container, element);
     }
   },
 
@@ -181,6 +193,7 @@ export const tabsMethods = {
     container.appendChild(
       this.createInfoSection("Template", data.template, "#60a5fa"),
     );
+    if (data.template) this.renderEditorActions(container, data.template);
 
     // Block section
     container.appendChild(
@@ -215,5 +228,7 @@ export const tabsMethods = {
     container.appendChild(
       this.createInfoSection("Module", data.module, "#fbbf24"),
     );
+
+    if (data.template) this.renderOverrideActions(container, data);
   },
 };
@@ -160,9 +160,10 @@ export const uiMethods = {
     // Clear badge
     this.infoBadge.innerHTML = "";
 
-    // Add close button if pinned
+    // Add close and parent block buttons if pinned
     if (this.isPinned) {
       this.infoBadge.appendChild(this.createCloseButton());
+      this.infoBadge.appendChild(this.createParentBlockButton(element));
     }
 
     // Create tab system
@@ -191,6 +192,31 @@ export const uiMethods = {
     return closeBtn;
   },
 
+  /**
+   * Create "select parent block" button for pinned badge
+   */
+  createParentBlockButton(element) {
+    const parentBtn = document.createElement("button");
+    parentBtn.type = "button";
+    parentBtn.className = "mageforge-inspector-parent";
+    parentBtn.textContent = "⤴";
+
+    const target = this.findNavigationTarget(element, "parentBlock");
+    parentBtn.disabled = !target;
+    parentBtn.title = target
+      ? "Select parent block (Shift+↑)"
+      : "No parent block";
+    parentBtn.setAttribute("aria-label", "Select parent block");
+
+    parentBtn.onclick = (e) => {
+      e.preventDefault();
+      e.stopPropagation();
+      this.inspectElement(target);
+    };
+
+    return parentBtn;
+  },
+
   /**
    * Position badge relative to element
    */
@@ -2,6 +2,33 @@
  * MageForge Inspector - Web Vitals Tracking & Performance Data Utilities
  */
 
+import { getReadableSelector } from "../toolbar/audits/highlight.js";
+import {
+  formatWindowTime,
+  getSessionWindows,
+  getWorstSessionWindow,
+  toLayoutShift,
+} from "../layout-shift.js";
+import {
+  BLOCKING_THRESHOLD,
+  getSourceElements,
+  groupBlockingTime,
+  isLoAFSupported,
+  toAnimationFrame,
+} from "../long-animation-frames.js";
+
+// Slowest interactions kept for INP – enough for the p98 estimate up to
+// 500 interactions, as in Google's web-vitals library
+const MAX_TRACKED_INTERACTIONS = 10;
+
+// MageForge's own UI – interactions with it are not the page's
+const OWN_UI_SELECTOR =
+  ".mageforge-toolbar, .mageforge-inspector, .mageforge-inspector-float-button";
+
+// Long animation frames kept for blocker attribution; the least blocking
+// frames are dropped first
+const MAX_TRACKED_FRAMES = 300;
+
 export const vitalsMethods = {
   /**
    * Initialize Web Vitals tracking
@@ -31,11 +58,7 @@ export const vitalsMethods = {
       const clsObserver = new PerformanceObserver((list) => {
         for (const entry of list.getEntries()) {
           if (!entry.hadRecentInput) {
-            this.webVitals.cls.push({
-              value: entry.value,
-              time: entry.startTime,
-              sources: entry.sources || [],
-            });
+            this.webVitals.cls.push(toLayoutShift(entry));
           }
         }
       });
@@ -69,6 +92,17 @@ export const vitalsMethods = {
       longTaskObserver.observe({ type: "longtask", buffered: true });
       this.performanceObservers.push(longTaskObserver);
 
+      // Long Animation Frames (Chromium) – long tasks with script attribution
+      if (isLoAFSupported()) {
+        const loafObserver = new PerformanceObserver((list) => {
+          for (const entry of list.getEntries()) {
+            this.recordAnimationFrame(entry);
+          }
+        });
+        loafObserver.observe({ type: "long-animation-frame", buffered: true });
+        this.performanceObservers.push(loafObserver);
+      }
+
       // Element Timing API - for elements with elementtiming attribute
       const elementTimingObserver = new PerformanceObserver((list) => {
         for (const entry of list.getEntries()) {
@@ -83,11 +117,190 @@ export const vitalsMethods = {
       });
       elementTimingObserver.observe({ type: "element", buffered: true });
       this.performanceObservers.push(elementTimingObserver);
+
+      // Interaction to Next Paint (INP) – Event Timing grouped by interaction.
+      // first-input is observed too: it is reported even below the threshold.
+      const eventObserver = new PerformanceObserver((list) => {
+        for (const entry of list.getEntries()) {
+          this.recordInteraction(entry);
+        }
+      });
+      eventObserver.observe({
+        type: "event",
+        durationThreshold: 40,
+        buffered: true,
+      });
+      eventObserver.observe({ type: "first-input", buffered: true });
+      this.performanceObservers.push(eventObserver);
     } catch (e) {
       console.warn("[MageForge Inspector] Performance tracking failed:", e);
     }
   },
 
+  /**
+   * Record an Event Timing entry. Entries of the same interaction (keydown,
+   * keyup, pointerup, click, …) are merged by interactionId; only the
+   * slowest MAX_TRACKED_INTERACTIONS interactions are kept, with their
+   * target element and MageForge block captured at the time they happened.
+   * Interactions with MageForge's own UI (rendering a heavy tab, running
+   * audits) are not the page's and are skipped.
+   *
+   * @param {PerformanceEventTiming} entry
+   */
+  recordInteraction(entry) {
+    if (!entry.interactionId) return;
+    if (entry.target?.closest?.(OWN_UI_SELECTOR)) return;
+
+    this._interactionIds ??= new Set();
+    this._interactionIds.add(entry.interactionId);
+
+    const interactions = this.webVitals.interactions;
+    const existing = interactions.findIndex(
+      (i) => i.id === entry.interactionId,
+    );
+    if (existing !== -1) {
+      if (entry.duration <= interactions[existing].duration) return;
+      interactions.splice(existing, 1);
+    } else if (
+      interactions.length >= MAX_TRACKED_INTERACTIONS &&
+      entry.duration <= interactions[interactions.length - 1].duration
+    ) {
+      return;
+    }
+
+    const target = entry.target ?? null;
+    const block = target ? this.findBlockForElement(target) : null;
+    interactions.push({
+      id: entry.interactionId,
+      type: entry.name,
+      duration: entry.duration,
+      startTime: entry.startTime,
+      target,
+      selector: target ? getReadableSelector(target) : "(removed element)",
+      template: block?.data?.template || null,
+      inputDelay: entry.processingStart - entry.startTime,
+      processing: entry.processingEnd - entry.processingStart,
+      presentation: entry.startTime + entry.duration - entry.processingEnd,
+    });
+    interactions.sort((a, b) => b.duration - a.duration);
+    interactions.length = Math.min(
+      interactions.length,
+      MAX_TRACKED_INTERACTIONS,
+    );
+  },
+
+  /**
+   * Interaction to Next Paint: the slowest interaction, ignoring one
+   * outlier per 50 interactions (p98), as Core Web Vitals defines it.
+   *
+   * @return {{value: number, interaction: object, count: number}|null}
+   */
+  getINP() {
+    const interactions = this.webVitals.interactions;
+    if (!interactions.length) return null;
+
+    const count = Math.max(
+      performance.interactionCount ?? 0,
+      this._interactionIds?.size ?? 0,
+    );
+    const interaction =
+      interactions[Math.min(interactions.length - 1, Math.floor(count / 50))];
+    return { value: interaction.duration, interaction, count };
+  },
+
+  /**
+   * Record a long animation frame, dropping the least blocking frame once
+   * MAX_TRACKED_FRAMES is reached.
+   *
+   * @param {PerformanceEntry} entry
+   */
+  recordAnimationFrame(entry) {
+    const frames = this.animationFrames;
+    frames.push(toAnimationFrame(entry));
+    if (frames.length <= MAX_TRACKED_FRAMES) return;
+
+    let least = 0;
+    frames.forEach((frame, i) => {
+      if (frame.blockingDuration < frames[least].blockingDuration) least = i;
+    });
+    frames.splice(least, 1);
+  },
+
+  /**
+   * Blocking time per script source (RequireJS module, Alpine component,
+   * third-party host, …), slowest first, with the elements that
+   * initialise each source.
+   *
+   * @return {Array<import('../long-animation-frames.js').MainThreadBlocker & {elements: Element[]}>}
+   */
+  getMainThreadBlockers() {
+    return groupBlockingTime(this.animationFrames).map((blocker) => ({
+      ...blocker,
+      elements: getSourceElements(blocker),
+    }));
+  },
+
+  /**
+   * Total main-thread blocking time: from long animation frames where
+   * supported, else from long tasks (time above 50 ms each).
+   *
+   * @return {{value: number, count: number, attributed: boolean}}
+   */
+  getTotalBlockingTime() {
+    if (isLoAFSupported()) {
+      return {
+        value: this.animationFrames.reduce(
+          (sum, frame) => sum + frame.blockingDuration,
+          0,
+        ),
+        count: this.animationFrames.length,
+        attributed: true,
+      };
+    }
+    return {
+      value: this.longTasks.reduce(
+        (sum, task) => sum + Math.max(0, task.duration - BLOCKING_THRESHOLD),
+        0,
+      ),
+      count: this.longTasks.length,
+      attributed: false,
+    };
+  },
+
+  /**
+   * Time to First Byte from the navigation entry (relative to activation
+   * for prerendered pages).
+   *
+   * @return {number|null}
+   */
+  getTTFB() {
+    const [nav] = performance.getEntriesByType("navigation");
+    if (!nav || !nav.responseStart) return null;
+    return Math.max(0, nav.responseStart - (nav.activationStart || 0));
+  },
+
+  /**
+   * Rate a metric against its Core Web Vitals thresholds.
+   *
+   * @param {number} value
+   * @param {number} good - Upper bound for "good"
+   * @param {number} poor - Values above this are "poor"
+   * @return {{rating: string, label: string, color: string}}
+   */
+  getVitalRating(value, good, poor) {
+    if (value <= good) {
+      return { rating: "good", label: "Good", color: "#34d399" };
+    }
+    if (value <= poor) {
+      return {
+        rating: "needs-improvement",
+        label: "Needs improvement",
+        color: "#f59e0b",
+      };
+    }
+    return { rating: "poor", label: "Poor", color: "#ef4444" };
+  },
+
   /**
    * Cache page timing metrics
    */
@@ -115,33 +328,71 @@ export const vitalsMethods = {
   },
 
   /**
-   * Get CLS (Cumulative Layout Shift) for specific element
+   * Page CLS: total of the worst session window
+   *
+   * @return {{value: number, session: object|null, windowCount: number}}
+   */
+  getPageCLS() {
+    const windows = getSessionWindows(this.webVitals.cls);
+    const worst = getWorstSessionWindow(windows);
+    return {
+      value: worst ? worst.value : 0,
+      session: worst,
+      windowCount: windows.length,
+    };
+  },
+
+  /**
+   * Session window in which the element (or a related node) shifted most
+   *
+   * Windowing matches the page CLS, so the value is comparable with it.
+   * Each shift counts once, however many of its sources match.
    *
    * @param {HTMLElement} element
-   * @return {number}
+   * @return {{value: number, session: object, isWorst: boolean}|null}
    */
-  getElementCLS(element) {
-    if (!this.webVitals.cls || this.webVitals.cls.length === 0) {
-      return 0;
-    }
+  getElementShiftWindow(element) {
+    const windows = getSessionWindows(this.webVitals.cls);
+    const worst = getWorstSessionWindow(windows);
+    const involves = (shift) =>
+      shift.sources.some(
+        ({ node }) =>
+          node &&
+          (node === element ||
+            element.contains(node) ||
+            node.contains(element)),
+      );
 
-    let totalCLS = 0;
-    this.webVitals.cls.forEach((shift) => {
-      if (shift.sources) {
-        shift.sources.forEach((source) => {
-          if (
-            source.node &&
-            (source.node === element ||
-              element.contains(source.node) ||
-              source.node.contains(element))
-          ) {
-            totalCLS += shift.value;
-          }
-        });
+    let result = null;
+    windows.forEach((session) => {
+      const value = session.shifts
+        .filter(involves)
+        .reduce((sum, shift) => sum + shift.value, 0);
+      if (value > 0 && (!result || value > result.value)) {
+        result = { value, session, isWorst: session === worst };
       }
     });
+    return result;
+  },
 
-    return totalCLS;
+  /**
+   * Time span of a session window for display
+   *
+   * @param {object} session
+   * @return {string}
+   */
+  formatShiftWindow(session) {
+    return formatWindowTime(session);
+  },
+
+  /**
+   * Get CLS (Cumulative Layout Shift) for specific element
+   *
+   * @param {HTMLElement} element
+   * @return {number}
+   */
+  getElementCLS(element) {
+    return this.getElementShiftWindow(element)?.value ?? 0;
   },
 
   /**
@@ -166,6 +417,40 @@ export const vitalsMethods = {
     return timing || null;
   },
 
+  /**
+   * Absolute URLs the element and its children reference: images (incl. the
+   * srcset candidate in use), scripts, stylesheets, media and posters.
+   *
+   * @param {HTMLElement} element
+   * @return {Set<string>}
+   */
+  getReferencedResourceUrls(element) {
+    const urls = new Set();
+    const add = (url) => {
+      if (url && !url.startsWith("data:")) urls.add(url);
+    };
+
+    [element, ...element.querySelectorAll("img")].forEach((img) => {
+      if (img.tagName !== "IMG") return;
+      add(img.src);
+      add(img.currentSrc);
+    });
+    element
+      .querySelectorAll("script[src]")
+      .forEach((script) => add(script.src));
+    element
+      .querySelectorAll('link[rel="stylesheet"], link[rel="preload"]')
+      .forEach((link) => add(link.href));
+    element
+      .querySelectorAll("video[src], audio[src], source[src]")
+      .forEach((media) => add(media.src));
+    element
+      .querySelectorAll("video[poster]")
+      .forEach((video) => add(video.poster));
+
+    return urls;
+  },
+
   /**
    * Get resources loaded by element (images, scripts, stylesheets)
    *
@@ -180,40 +465,7 @@ export const vitalsMethods = {
       items: [],
     };
 
-    // Get all resource URLs from element and children
-    const resourceUrls = new Set();
-
-    // Images
-    const images = [element, ...element.querySelectorAll("img")];
-    images.forEach((img) => {
-      if (img.tagName === "IMG" && img.src) {
-        resourceUrls.add(img.src);
-      }
-    });
-
-    // Scripts
-    const scripts = element.querySelectorAll("script[src]");
-    scripts.forEach((script) => {
-      if (script.src) {
-        resourceUrls.add(script.src);
-      }
-    });
-
-    // Stylesheets
-    const links = element.querySelectorAll('link[rel="stylesheet"]');
-    links.forEach((link) => {
-      if (link.href) {
-        resourceUrls.add(link.href);
-      }
-    });
-
-    // Videos
-    const videos = element.querySelectorAll("video[src], source[src]");
-    videos.forEach((video) => {
-      if (video.src) {
-        resourceUrls.add(video.src);
-      }
-    });
+    const resourceUrls = this.getReferencedResourceUrls(element);
 
     // Get performance entries for these resources
     const allResources = performance.getEntriesByType("resource");
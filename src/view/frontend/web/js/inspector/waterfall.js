@@ -0,0 +1,433 @@
+/**
+ * MageForge Inspector - Resource Waterfall Tab
+ *
+ * Lists every PerformanceResourceTiming entry on one timeline with its
+ * phases (redirect, DNS, connect, TTFB, download), transfer vs. decoded
+ * size, initiator type and cache status. Entries can be filtered by type
+ * and narrowed to the resources the inspected block references.
+ *
+ * Cross-origin resources without Timing-Allow-Origin expose neither phases
+ * nor sizes; they are drawn as a single bar and marked as opaque.
+ */
+
+// Keep the panel responsive on pages with hundreds of requests
+const MAX_WATERFALL_ROWS = 200;
+
+const RESOURCE_TYPES = [
+  { key: "all", label: "All" },
+  { key: "script", label: "JS" },
+  { key: "css", label: "CSS" },
+  { key: "img", label: "Img" },
+  { key: "font", label: "Font" },
+  { key: "fetch", label: "Fetch" },
+  { key: "other", label: "Other" },
+];
+
+const PHASES = [
+  {
+    key: "redirect",
+    label: "Redirect",
+    from: "redirectStart",
+    to: "redirectEnd",
+  },
+  {
+    key: "dns",
+    label: "DNS",
+    from: "domainLookupStart",
+    to: "domainLookupEnd",
+  },
+  { key: "connect", label: "Connect", from: "connectStart", to: "connectEnd" },
+  { key: "ttfb", label: "TTFB", from: "requestStart", to: "responseStart" },
+  {
+    key: "download",
+    label: "Download",
+    from: "responseStart",
+    to: "responseEnd",
+  },
+];
+
+const CACHE_LABELS = {
+  cache: "cache",
+  revalidated: "304",
+  network: "network",
+  opaque: "opaque",
+};
+
+/**
+ * @typedef {object} WaterfallPhase
+ * @property {string} key
+ * @property {string} label
+ * @property {number} start – ms since navigation start
+ * @property {number} end
+ */
+
+/**
+ * @typedef {object} WaterfallEntry
+ * @property {string} url
+ * @property {string} name        – File name for display
+ * @property {string} type        – Key of RESOURCE_TYPES
+ * @property {string} initiator   – initiatorType as reported
+ * @property {number} start
+ * @property {number} end
+ * @property {WaterfallPhase[]} phases – Empty for opaque entries
+ * @property {number} transferSize
+ * @property {number} decodedSize
+ * @property {'cache'|'revalidated'|'network'|'opaque'} cache
+ */
+
+/**
+ * @param {PerformanceResourceTiming} entry
+ * @returns {string} Key of RESOURCE_TYPES
+ */
+function getResourceType(entry) {
+  const path = entry.name.split(/[?#]/)[0];
+  if (/\.m?js$/i.test(path)) return "script";
+  if (/\.css$/i.test(path)) return "css";
+  if (/\.(avif|gif|jpe?g|png|svg|webp|ico)$/i.test(path)) return "img";
+  if (/\.(woff2?|ttf|otf|eot)$/i.test(path)) return "font";
+
+  // Extension-less URLs: fall back to what requested them
+  switch (entry.initiatorType) {
+    case "script":
+      return "script";
+    case "img":
+    case "image":
+      return "img";
+    case "fetch":
+    case "xmlhttprequest":
+    case "beacon":
+      return "fetch";
+    default:
+      return "other";
+  }
+}
+
+/**
+ * Where the response came from. A transferSize of 0 with a body means the
+ * HTTP cache answered; a transfer smaller than the body means only headers
+ * went over the wire (304 Not Modified).
+ *
+ * @param {PerformanceResourceTiming} entry
+ * @returns {'cache'|'revalidated'|'network'|'opaque'}
+ */
+function getCacheStatus(entry) {
+  if (entry.deliveryType === "cache") return "cache";
+  if (entry.transferSize === 0) {
+    return entry.decodedBodySize > 0 ? "cache" : "opaque";
+  }
+  if (entry.encodedBodySize > 0 && entry.transferSize < entry.encodedBodySize) {
+    return "revalidated";
+  }
+  return "network";
+}
+
+/**
+ * @param {string} url
+ * @returns {string}
+ */
+function getFileName(url) {
+  try {
+    const { pathname, host } = new URL(url);
+    return pathname.split("/").filter(Boolean).pop() || host;
+  } catch (_) {
+    return url;
+  }
+}
+
+/**
+ * @param {PerformanceResourceTiming} entry
+ * @returns {WaterfallEntry}
+ */
+function toWaterfallEntry(entry) {
+  // Without Timing-Allow-Origin every detailed timestamp is 0
+  const detailed = entry.requestStart > 0 || entry.responseStart > 0;
+  const phases = detailed
+    ? PHASES.map(({ key, label, from, to }) => ({
+        key,
+        label,
+        start: entry[from],
+        end: entry[to],
+      })).filter((phase) => phase.start > 0 && phase.end > phase.start)
+    : [];
+
+  return {
+    url: entry.name,
+    name: getFileName(entry.name),
+    type: getResourceType(entry),
+    initiator: entry.initiatorType,
+    start: entry.startTime,
+    end: entry.responseEnd || entry.startTime + entry.duration,
+    phases,
+    transferSize: entry.transferSize || 0,
+    decodedSize: entry.decodedBodySize || 0,
+    cache: getCacheStatus(entry),
+  };
+}
+
+export const waterfallMethods = {
+  /**
+   * Render Waterfall tab content
+   */
+  renderWaterfallTab(container, element) {
+    const entries = performance
+      .getEntriesByType("resource")
+      .map(toWaterfallEntry)
+      .sort((a, b) => a.start - b.start);
+
+    if (!entries.length) {
+      const noDataDiv = document.createElement("div");
+      noDataDiv.className = "mageforge-no-data";
+      noDataDiv.innerHTML = `
+            <div class="mageforge-no-data-icon">🌊</div>
+            <div class="mageforge-no-data-title">No Resource Timings</div>
+            <div class="mageforge-no-data-desc">The browser has not reported any loaded resources</div>
+        `;
+      container.appendChild(noDataDiv);
+      return;
+    }
+
+    const block = element ? this.findBlockForElement(element) : null;
+    // A block may render several sibling root elements – cover all of them,
+    // plus the PageBuilder row the element sits in (see findBlockForElement())
+    const scopeRoots = [...(block?.elements ?? [])];
+    if (element && !scopeRoots.some((root) => root.contains(element))) {
+      scopeRoots.push(this._findRootPageBuilderElement(element) ?? element);
+    }
+    const referenced = new Set(
+      scopeRoots.flatMap((root) => [...this.getReferencedResourceUrls(root)]),
+    );
+
+    const { type, blockOnly } = this.waterfallFilter;
+    const visible = entries.filter(
+      (entry) =>
+        (type === "all" || entry.type === type) &&
+        (!blockOnly || referenced.has(entry.url)),
+    );
+
+    this.renderWaterfallSummary(container, visible);
+    this.renderWaterfallFilters(
+      container,
+      element,
+      entries,
+      referenced,
+      block ? "block" : "element",
+    );
+
+    if (!visible.length) {
+      const empty = document.createElement("div");
+      empty.className = "mageforge-waterfall-note";
+      const typeLabel =
+        type === "all"
+          ? ""
+          : `${RESOURCE_TYPES.find((t) => t.key === type).label} `;
+      empty.textContent = blockOnly
+        ? `No ${typeLabel}resources referenced by this ${block ? "block" : "element"}.`
+        : `No ${typeLabel}resources.`;
+      container.appendChild(empty);
+      return;
+    }
+
+    // One timeline for all rows, from navigation start to the last response
+    const timelineEnd = Math.max(...visible.map((entry) => entry.end), 1);
+    const list = document.createElement("div");
+    list.className = "mageforge-waterfall";
+    visible
+      .slice(0, MAX_WATERFALL_ROWS)
+      .forEach((entry) =>
+        list.appendChild(
+          this.renderWaterfallRow(
+            entry,
+            timelineEnd,
+            referenced.has(entry.url),
+          ),
+        ),
+      );
+    container.appendChild(list);
+
+    if (visible.length > MAX_WATERFALL_ROWS) {
+      const note = document.createElement("div");
+      note.className = "mageforge-waterfall-note";
+      note.textContent = `Showing the first ${MAX_WATERFALL_ROWS} of ${visible.length} resources – filter by type to see the rest.`;
+      container.appendChild(note);
+    }
+
+    this.renderWaterfallLegend(container);
+  },
+
+  /**
+   * Request count, bytes and cache hits of the visible entries.
+   *
+   * @param {HTMLElement} container
+   * @param {WaterfallEntry[]} entries
+   */
+  renderWaterfallSummary(container, entries) {
+    const transferred = entries.reduce((sum, e) => sum + e.transferSize, 0);
+    const decoded = entries.reduce((sum, e) => sum + e.decodedSize, 0);
+    const cached = entries.filter((e) => e.cache === "cache").length;
+
+    const summary = document.createElement("div");
+    summary.className = "mageforge-waterfall-summary";
+    summary.textContent = `${entries.length} request${entries.length === 1 ? "" : "s"} · ${this.formatResourceSize(transferred)} transferred · ${this.formatResourceSize(decoded)} decoded · ${cached} from cache`;
+    container.appendChild(summary);
+  },
+
+  /**
+   * Type chips and the "referenced by block" toggle. Both re-render the tab.
+   *
+   * @param {HTMLElement} container
+   * @param {?HTMLElement} element
+   * @param {WaterfallEntry[]} entries
+   * @param {Set<string>} referenced
+   * @param {string} scopeLabel – "block" or "element"
+   */
+  renderWaterfallFilters(container, element, entries, referenced, scopeLabel) {
+    const rerender = () => {
+      container.innerHTML = "";
+      this.renderWaterfallTab(container, element);
+    };
+
+    const bar = document.createElement("div");
+    bar.className = "mageforge-waterfall-filters";
+
+    RESOURCE_TYPES.forEach(({ key, label }) => {
+      const count =
+        key === "all"
+          ? entries.length
+          : entries.filter((entry) => entry.type === key).length;
+      if (!count && key !== "all") return;
+
+      const chip = document.createElement("button");
+      chip.type = "button";
+      chip.className = "mageforge-waterfall-filter";
+      chip.classList.toggle("active", this.waterfallFilter.type === key);
+      chip.setAttribute(
+        "aria-pressed",
+        String(this.waterfallFilter.type === key),
+      );
+      chip.textContent = `${label} ${count}`;
+      chip.onclick = (e) => {
+        e.preventDefault();
+        e.stopPropagation();
+        this.waterfallFilter.type = key;
+        rerender();
+      };
+      bar.appendChild(chip);
+    });
+
+    const toggle = document.createElement("label");
+    toggle.className = "mageforge-waterfall-toggle";
+    const checkbox = document.createElement("input");
+    checkbox.type = "checkbox";
+    checkbox.checked = this.waterfallFilter.blockOnly;
+    checkbox.disabled = !element;
+    checkbox.onchange = () => {
+      this.waterfallFilter.blockOnly = checkbox.checked;
+      rerender();
+    };
+    toggle.appendChild(checkbox);
+    toggle.append(
+      ` Referenced by this ${scopeLabel} (${entries.filter((entry) => referenced.has(entry.url)).length})`,
+    );
+    toggle.onclick = (e) => e.stopPropagation();
+    bar.appendChild(toggle);
+
+    container.appendChild(bar);
+  },
+
+  /**
+   * One resource: name, type, cache status, sizes, duration and timeline bar.
+   *
+   * @param {WaterfallEntry} entry
+   * @param {number} timelineEnd – ms the full bar width stands for
+   * @param {boolean} isReferenced
+   * @returns {HTMLElement}
+   */
+  renderWaterfallRow(entry, timelineEnd, isReferenced) {
+    const row = document.createElement("div");
+    row.className = "mageforge-waterfall-row";
+    row.classList.toggle("is-referenced", isReferenced);
+
+    const duration = Math.round(entry.end - entry.start);
+    const phaseText = entry.phases.length
+      ? entry.phases
+          .map((p) => `${p.label} ${Math.round(p.end - p.start)} ms`)
+          .join(" · ")
+      : "No phase timings (cross-origin without Timing-Allow-Origin)";
+    row.title = `${entry.url}\n${entry.initiator} · ${phaseText}`;
+
+    const info = document.createElement("div");
+    info.className = "mageforge-waterfall-info";
+
+    const name = document.createElement("span");
+    name.className = "mageforge-waterfall-name";
+    name.textContent = entry.name;
+    info.appendChild(name);
+
+    const type = document.createElement("span");
+    type.className = "mageforge-waterfall-chip";
+    type.textContent = entry.initiator || entry.type;
+    info.appendChild(type);
+
+    const cache = document.createElement("span");
+    cache.className = `mageforge-waterfall-chip is-${entry.cache}`;
+    cache.textContent = CACHE_LABELS[entry.cache];
+    info.appendChild(cache);
+
+    const size = document.createElement("span");
+    size.className = "mageforge-waterfall-size";
+    size.textContent =
+      entry.cache === "opaque"
+        ? "size n/a"
+        : `${this.formatResourceSize(entry.transferSize)} / ${this.formatResourceSize(entry.decodedSize)}`;
+    size.title = "Transferred / decoded";
+    info.appendChild(size);
+
+    const time = document.createElement("span");
+    time.className = "mageforge-waterfall-duration";
+    time.textContent = `${duration} ms`;
+    info.appendChild(time);
+
+    row.appendChild(info);
+
+    // Bar: whole request (queueing included), phases drawn on top of it
+    const track = document.createElement("div");
+    track.className = "mageforge-waterfall-track";
+    const percent = (ms) => `${(ms / timelineEnd) * 100}%`;
+
+    const bar = document.createElement("div");
+    bar.className = "mageforge-waterfall-bar";
+    bar.style.left = percent(entry.start);
+    bar.style.width = percent(Math.max(entry.end - entry.start, 0));
+    track.appendChild(bar);
+
+    entry.phases.forEach((phase) => {
+      const segment = document.createElement("div");
+      segment.className = `mageforge-waterfall-phase is-${phase.key}`;
+      segment.style.left = percent(phase.start);
+      segment.style.width = percent(phase.end - phase.start);
+      track.appendChild(segment);
+    });
+
+    row.appendChild(track);
+    return row;
+  },
+
+  /**
+   * Colour legend for the phase segments.
+   *
+   * @param {HTMLElement} container
+   */
+  renderWaterfallLegend(container) {
+    const legend = document.createElement("div");
+    legend.className = "mageforge-waterfall-legend";
+    PHASES.forEach(({ key, label }) => {
+      const item = document.createElement("span");
+      const swatch = document.createElement("span");
+      swatch.className = `mageforge-waterfall-phase is-${key}`;
+      item.appendChild(swatch);
+      item.append(label);
+      legend.appendChild(item);
+    });
+    container.appendChild(legend);
+  },
+};
@@ -0,0 +1,141 @@
+/**
+ * MageForge Layout Shift Sessions
+ *
+ * Groups layout-shift entries into session windows as Core Web Vitals
+ * defines them (https://web.dev/articles/cls): a window closes after a gap
+ * of 1 s without shifts or once it spans 5 s, and the page CLS is the total
+ * of the worst window – not the sum of every shift since navigation.
+ *
+ * Shared by the inspector's Core Web Vitals tab and the toolbar
+ * layout-shift audit.
+ */
+
+export const SESSION_GAP = 1000; // ms
+export const SESSION_MAX_DURATION = 5000; // ms
+export const CLS_GOOD = 0.1;
+export const CLS_POOR = 0.25;
+
+/**
+ * @typedef {object} LayoutShiftSource
+ * @property {?Node}    node         – Shifted node (null once removed)
+ * @property {DOMRectReadOnly} previousRect – Viewport rect before the shift
+ * @property {DOMRectReadOnly} currentRect  – Viewport rect after the shift
+ */
+
+/**
+ * @typedef {object} LayoutShift
+ * @property {number} value
+ * @property {number} time – startTime of the entry (ms)
+ * @property {LayoutShiftSource[]} sources
+ */
+
+/**
+ * @typedef {object} SessionWindow
+ * @property {number} value – Sum of all shift values in the window
+ * @property {number} start – Time of the first shift (ms)
+ * @property {number} end   – Time of the last shift (ms)
+ * @property {LayoutShift[]} shifts
+ */
+
+/**
+ * Copy what we need from a LayoutShift performance entry.
+ *
+ * @param {PerformanceEntry} entry
+ * @returns {LayoutShift}
+ */
+export function toLayoutShift(entry) {
+  return {
+    value: entry.value,
+    time: entry.startTime,
+    sources: Array.from(entry.sources ?? [], (source) => ({
+      node: source.node ?? null,
+      previousRect: source.previousRect,
+      currentRect: source.currentRect,
+    })),
+  };
+}
+
+/**
+ * Layout shifts recorded so far, without those caused by recent input.
+ *
+ * Reads the browser's buffer synchronously (it keeps the first 150
+ * entries). Returns an empty list where layout-shift is not supported.
+ *
+ * @returns {LayoutShift[]}
+ */
+export function getBufferedLayoutShifts() {
+  if (
+    typeof PerformanceObserver === "undefined" ||
+    !PerformanceObserver.supportedEntryTypes?.includes("layout-shift")
+  ) {
+    return [];
+  }
+
+  const observer = new PerformanceObserver(() => {});
+  observer.observe({ type: "layout-shift", buffered: true });
+  const entries = observer.takeRecords();
+  observer.disconnect();
+
+  return entries.filter((entry) => !entry.hadRecentInput).map(toLayoutShift);
+}
+
+/**
+ * Group shifts into session windows, in chronological order.
+ *
+ * @param {LayoutShift[]} shifts
+ * @returns {SessionWindow[]}
+ */
+export function getSessionWindows(shifts) {
+  const windows = [];
+  let current = null;
+
+  [...shifts]
+    .sort((a, b) => a.time - b.time)
+    .forEach((shift) => {
+      if (
+        current &&
+        shift.time - current.end < SESSION_GAP &&
+        shift.time - current.start < SESSION_MAX_DURATION
+      ) {
+        current.shifts.push(shift);
+        current.value += shift.value;
+        current.end = shift.time;
+        return;
+      }
+      current = {
+        value: shift.value,
+        start: shift.time,
+        end: shift.time,
+        shifts: [shift],
+      };
+      windows.push(current);
+    });
+
+  return windows;
+}
+
+/**
+ * The window that defines the page CLS.
+ *
+ * @param {SessionWindow[]} windows
+ * @returns {?SessionWindow}
+ */
+export function getWorstSessionWindow(windows) {
+  return windows.reduce(
+    (worst, session) =>
+      !worst || session.value > worst.value ? session : worst,
+    null,
+  );
+}
+
+/**
+ * "100–600 ms", or "3000 ms" for a single shift.
+ *
+ * @param {SessionWindow} session
+ * @returns {string}
+ */
+export function formatWindowTime(session) {
+  const start = Math.round(session.start);
+  const end = Math.round(session.end);
+  return start === end ? `${start} ms` : `${start}–${end} ms`;
+}
@@ -0,0 +1,326 @@
+/**
+ * MageForge Long Animation Frames
+ *
+ * Attributes main-thread blocking time to the scripts that caused it, using
+ * the Long Animation Frames API (LoAF, Chromium 123+). Scripts are grouped
+ * by source: RequireJS module (Magento static URL → module id), Alpine
+ * component (x-data function), third-party host, first-party file or inline
+ * script. Sources are mapped back to the elements that initialise them
+ * (data-mage-init, text/x-magento-init, x-data, <script src>) so callers
+ * can resolve the Magento block.
+ *
+ * A frame's blocking time is split across its scripts by their share of
+ * the frame duration; the rest is style, layout and paint work that no
+ * script owns.
+ *
+ * Shared by the inspector's Core Web Vitals tab and the toolbar
+ * main-thread-blockers audit.
+ */
+
+import { isMageForgeAsset } from "./mageforge-assets.js";
+
+export const BLOCKING_THRESHOLD = 50; // ms, as for long tasks
+
+// Magento static files: /static/[versionN/]<area>/<Vendor>/<theme>/<locale>/<path>.js
+const STATIC_URL_PATTERN =
+  /\/static\/(?:version[^/]+\/)?(?:frontend|adminhtml|base)\/[^/]+\/[^/]+\/[^/]+\/(.+?)(?:\.min)?\.js$/;
+const ALPINE_URL_PATTERN = /alpine(?:js)?(?:[.-][\w.-]*)?\.js$/i;
+
+/** @type {ScriptSource} */
+const RENDERING_SOURCE = {
+  key: "rendering",
+  label: "Style, layout & paint",
+  kind: "rendering",
+  url: "",
+};
+
+/**
+ * @typedef {object} FrameScript
+ * @property {string} invoker            – e.g. "BUTTON#add.onclick", a script URL
+ * @property {string} invokerType        – classic-script, event-listener, user-callback, …
+ * @property {string} sourceURL
+ * @property {string} sourceFunctionName
+ * @property {number} startTime
+ * @property {number} duration
+ * @property {number} forcedStyleAndLayoutDuration
+ */
+
+/**
+ * @typedef {object} AnimationFrame
+ * @property {number} startTime
+ * @property {number} duration
+ * @property {number} blockingDuration
+ * @property {FrameScript[]} scripts
+ */
+
+/**
+ * @typedef {object} ScriptSource
+ * @property {string} key   – Grouping key
+ * @property {string} label – Module id, component name, host, path, …
+ * @property {'requirejs'|'alpine'|'third-party'|'first-party'|'inline'|'rendering'} kind
+ * @property {string} url   – Script URL ("" for inline code)
+ */
+
+/**
+ * @typedef {ScriptSource & {
+ *   blockingTime: number,
+ *   scriptTime: number,
+ *   layoutTime: number,
+ *   frames: number,
+ *   functions: string[],
+ * }} MainThreadBlocker
+ */
+
+export const SOURCE_KIND_LABELS = {
+  requirejs: "RequireJS module",
+  alpine: "Alpine component",
+  "third-party": "Third-party",
+  "first-party": "Script",
+  inline: "Inline script",
+  rendering: "Rendering",
+};
+
+/**
+ * Whether the browser reports long animation frames.
+ *
+ * @returns {boolean}
+ */
+export function isLoAFSupported() {
+  return (
+    typeof PerformanceObserver !== "undefined" &&
+    !!PerformanceObserver.supportedEntryTypes?.includes("long-animation-frame")
+  );
+}
+
+/**
+ * Copy what we need from a long-animation-frame entry.
+ *
+ * @param {PerformanceEntry} entry
+ * @returns {AnimationFrame}
+ */
+export function toAnimationFrame(entry) {
+  return {
+    startTime: entry.startTime,
+    duration: entry.duration,
+    blockingDuration: entry.blockingDuration ?? 0,
+    scripts: Array.from(entry.scripts ?? [], (script) => ({
+      invoker: script.invoker ?? "",
+      invokerType: script.invokerType ?? "",
+      sourceURL: script.sourceURL ?? "",
+      sourceFunctionName: script.sourceFunctionName ?? "",
+      startTime: script.startTime,
+      duration: script.duration,
+      forcedStyleAndLayoutDuration: script.forcedStyleAndLayoutDuration ?? 0,
+    })),
+  };
+}
+
+/**
+ * Long animation frames recorded so far (the browser buffers the first 200).
+ *
+ * @returns {AnimationFrame[]}
+ */
+export function getBufferedAnimationFrames() {
+  if (!isLoAFSupported()) return [];
+
+  const observer = new PerformanceObserver(() => {});
+  observer.observe({ type: "long-animation-frame", buffered: true });
+  const entries = observer.takeRecords();
+  observer.disconnect();
+
+  return entries.map(toAnimationFrame);
+}
+
+/**
+ * Elements whose x-data calls the given function, e.g. x-data="initCart()".
+ *
+ * @param {string} name
+ * @returns {Element[]}
+ */
+function findAlpineComponents(name) {
+  if (!/^[\w$]+$/.test(name)) return [];
+  const pattern = new RegExp(`^\\s*${name.replace(/\$/g, "\\$")}\\s*(\\(|$)`);
+  return Array.from(document.querySelectorAll("[x-data]")).filter((el) =>
+    pattern.test(el.getAttribute("x-data")),
+  );
+}
+
+/**
+ * Group key, label and kind for a script of a long animation frame.
+ *
+ * @param {FrameScript} script
+ * @returns {ScriptSource}
+ */
+export function getScriptSource(script) {
+  const fn = script.sourceFunctionName;
+  const pageUrl = location.href.split("#")[0];
+  let url = null;
+  try {
+    url = script.sourceURL ? new URL(script.sourceURL, location.href) : null;
+  } catch (_) {
+    // Opaque sources (e.g. "eval") count as inline code
+  }
+  const inline = !url || url.href.split("#")[0] === pageUrl;
+
+  // Hyvä-style components: x-data="initFoo()" defined in an inline script
+  if (fn && (inline || ALPINE_URL_PATTERN.test(url.pathname))) {
+    if (findAlpineComponents(fn).length) {
+      return { key: `alpine:${fn}`, label: fn, kind: "alpine", url: "" };
+    }
+  }
+
+  if (inline) {
+    const label = fn || script.invoker || "anonymous";
+    return { key: `inline:${label}`, label, kind: "inline", url: "" };
+  }
+
+  if (url.origin !== location.origin) {
+    return {
+      key: `host:${url.host}`,
+      label: url.host,
+      kind: "third-party",
+      url: url.href,
+    };
+  }
+
+  if (ALPINE_URL_PATTERN.test(url.pathname)) {
+    return {
+      key: "alpine:runtime",
+      label: "Alpine.js",
+      kind: "alpine",
+      url: url.href,
+    };
+  }
+
+  const module = STATIC_URL_PATTERN.exec(url.pathname)?.[1];
+  if (module) {
+    return {
+      key: `module:${module}`,
+      label: module,
+      kind: "requirejs",
+      url: url.href,
+    };
+  }
+
+  return {
+    key: `file:${url.pathname}`,
+    label: url.pathname,
+    kind: "first-party",
+    url: url.href,
+  };
+}
+
+/**
+ * Blocking time per script source, slowest first. MageForge's own
+ * modules are left out – running an audit must not blame the toolbar.
+ *
+ * @param {AnimationFrame[]} frames
+ * @returns {MainThreadBlocker[]}
+ */
+export function groupBlockingTime(frames) {
+  /** @type {Map<string, MainThreadBlocker>} */
+  const blockers = new Map();
+  /** @type {Map<string, Set<AnimationFrame>>} */
+  const seenFrames = new Map();
+
+  const add = (frame, source, blockingTime, script = null) => {
+    if (!blockers.has(source.key)) {
+      blockers.set(source.key, {
+        ...source,
+        blockingTime: 0,
+        scriptTime: 0,
+        layoutTime: 0,
+        frames: 0,
+        functions: [],
+      });
+      seenFrames.set(source.key, new Set());
+    }
+    const blocker = blockers.get(source.key);
+    blocker.blockingTime += blockingTime;
+    seenFrames.get(source.key).add(frame);
+    blocker.frames = seenFrames.get(source.key).size;
+    if (!script) return;
+
+    blocker.scriptTime += script.duration;
+    blocker.layoutTime += script.forcedStyleAndLayoutDuration;
+    const fn = script.sourceFunctionName;
+    if (fn && !blocker.functions.includes(fn)) blocker.functions.push(fn);
+  };
+
+  frames.forEach((frame) => {
+    let share = 0;
+    frame.scripts.forEach((script) => {
+      const scriptShare = frame.duration
+        ? Math.min(script.duration / frame.duration, 1 - share)
+        : 0;
+      share += scriptShare;
+      if (isMageForgeAsset(script.sourceURL)) return;
+      add(
+        frame,
+        getScriptSource(script),
+        frame.blockingDuration * scriptShare,
+        script,
+      );
+    });
+
+    const rest = frame.blockingDuration * (1 - share);
+    if (rest > 0) add(frame, RENDERING_SOURCE, rest);
+  });
+
+  return [...blockers.values()].sort(
+    (a, b) => b.blockingTime - a.blockingTime || b.scriptTime - a.scriptTime,
+  );
+}
+
+/**
+ * Page elements that initialise a script source: data-mage-init and
+ * text/x-magento-init targets of a RequireJS module, x-data roots of an
+ * Alpine component, or the <script src> element of a file.
+ *
+ * @param {ScriptSource} source
+ * @returns {Element[]}
+ */
+export function getSourceElements(source) {
+  const found = new Set();
+
+  if (source.kind === "alpine" && source.key !== "alpine:runtime") {
+    findAlpineComponents(source.label).forEach((el) => found.add(el));
+  }
+
+  if (source.kind === "requirejs") {
+    const module = source.label;
+    document.querySelectorAll("[data-mage-init]").forEach((el) => {
+      try {
+        const config = JSON.parse(el.getAttribute("data-mage-init"));
+        if (module in config) found.add(el);
+      } catch (_) {
+        // Invalid JSON is Magento's problem, not ours
+      }
+    });
+    document
+      .querySelectorAll('script[type="text/x-magento-init"]')
+      .forEach((script) => {
+        try {
+          const config = JSON.parse(script.textContent);
+          Object.entries(config).forEach(([selector, components]) => {
+            if (selector === "*" || !(module in (components ?? {}))) return;
+            document.querySelectorAll(selector).forEach((el) => found.add(el));
+          });
+        } catch (_) {
+          // Same as above
+        }
+      });
+  }
+
+  if (source.url) {
+    document.querySelectorAll("script[src]").forEach((script) => {
+      const match =
+        source.kind === "third-party"
+          ? new URL(script.src, location.href).host === source.label
+          : script.src === source.url;
+      if (match) found.add(script);
+    });
+  }
+
+  return [...found].filter((el) => !el.closest(".mageforge-toolbar"));
+}
@@ -0,0 +1,20 @@
+/**
+ * MageForge's own static assets
+ *
+ * Toolbar and inspector modules load from the module's static directory
+ * (`/static/…/OpenForgeProject_MageForge/js/…`). Page measurements leave
+ * them out so MageForge never reports itself as a problem of the page.
+ *
+ * Shared by the main-thread blocker attribution and the performance
+ * budgets audit.
+ */
+
+const MAGEFORGE_ASSET_PATTERN = /\/OpenForgeProject_MageForge\//;
+
+/**
+ * @param {?string} url – Absolute or root-relative URL
+ * @returns {boolean}
+ */
+export function isMageForgeAsset(url) {
+  return !!url && MAGEFORGE_ASSET_PATTERN.test(url);
+}
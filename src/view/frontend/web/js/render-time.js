@@ -0,0 +1,37 @@
+/**
+ * MageForge Block Render Times
+ *
+ * Server-side render time of a block, as InspectorHints records it in
+ * `data-mageforge-block` (`performance.renderTime`, PHP number_format with
+ * two decimals – "1,234.56" once a block takes a second or more). Times
+ * include the block's children.
+ *
+ * Shared by the inspector's Core Web Vitals tab and the toolbar render-time
+ * heatmap.
+ */
+
+export const RENDER_TIME_GOOD = 50; // ms
+export const RENDER_TIME_WARNING = 200; // ms
+
+/**
+ * Render time in ms from block data.
+ *
+ * @param {?object} data – Parsed data-mageforge-block
+ * @returns {?number} null when the block has no (valid) render time
+ */
+export function getRenderTime(data) {
+  const value = data?.performance?.renderTime;
+  if (typeof value !== "string" && typeof value !== "number") return null;
+  const ms = parseFloat(String(value).replace(/,/g, ""));
+  return Number.isFinite(ms) ? ms : null;
+}
+
+/**
+ * @param {number} ms
+ * @returns {'good'|'warning'|'slow'}
+ */
+export function getRenderTimeRating(ms) {
+  if (ms < RENDER_TIME_GOOD) return "good";
+  if (ms < RENDER_TIME_WARNING) return "warning";
+  return "slow";
+}
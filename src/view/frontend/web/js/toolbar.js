@@ -5,6 +5,14 @@
 import { matchesShortcut } from "./shortcut-parser.js";
 import { uiMethods } from "./toolbar/ui.js";
 import { auditMethods } from "./toolbar/audits.js";
+import { pluginMethods } from "./toolbar/plugins.js";
+import { liveMethods } from "./toolbar/live.js";
+import { historyMethods } from "./toolbar/history.js";
+import { suppressionMethods } from "./toolbar/suppressions.js";
+import { scopeMethods } from "./toolbar/scope.js";
+import { budgetMethods } from "./toolbar/budgets.js";
+import { heatmapMethods } from "./toolbar/heatmap.js";
+import { cacheExplorerMethods } from "./toolbar/cache.js";
 
 function _registerMageforgeToolbar() {
   Alpine.data("mageforgeToolbar", () => ({
@@ -49,6 +57,72 @@ function _registerMageforgeToolbar() {
     /** @type {Map<string, 'success'|'warning'|'error'>} In-memory audit badge status (avoids DOM reads in score calc) */
     _auditStatus: new Map(),
 
+    /** @type {Map<string, string>} Error message per failed audit (threw or timed out) */
+    _auditErrors: new Map(),
+
+    /** @type {Map<string, AbortController>} Controllers of audit runs still in flight */
+    _auditControllers: new Map(),
+
+    /** @type {Map<string, {errors: number, warnings: number}>} Issue counts of page-level audits (scoring) */
+    _auditIssueCounts: new Map(),
+
+    /** @type {Map<string, string>} Counter badge text per audit (exports, history) */
+    _auditBadges: new Map(),
+
+    /** @type {boolean} Whether a Full Check or group run is in progress */
+    _batchRunning: false,
+
+    /** @type {Map<string, object[]>} Serialized findings per audit (exports, history) */
+    _auditFindings: new Map(),
+
+    /** @type {boolean} Whether active audits re-run on page mutations */
+    liveMode: false,
+
+    /** @type {MutationObserver|null} Page observer while live mode is on */
+    _liveObserver: null,
+
+    /** @type {number|null} Pending debounced live re-run */
+    _liveTimer: null,
+
+    /** @type {Promise<void>|null} Live re-run in flight (batch runs wait for it) */
+    _liveRun: null,
+
+    /** @type {boolean} Whether the overall health score is currently shown */
+    _healthScoreShown: false,
+
+    /** @type {Set<string>} Group keys whose score ring is currently shown */
+    _scoredGroups: new Set(),
+
+    /** @type {string[]} Ids of the (max. two) history runs selected for comparison */
+    _historySelection: [],
+
+    /** @type {import('./toolbar/scope.js').AuditScope|null} Subtree audits are restricted to */
+    auditScope: null,
+
+    /** @type {boolean} Whether the scope picker is waiting for a click on the page */
+    _scopePicking: false,
+
+    /** @type {object|null} Document listeners of the scope picker */
+    _scopePickHandlers: null,
+
+    /** @type {HTMLDivElement|null} Hover outline shown while picking a scope */
+    _scopeOutline: null,
+
+    /** @type {boolean} Whether the render-time heatmap overlay is shown */
+    heatmapActive: false,
+
+    /** @type {import('./toolbar/audits/highlight.js').BlockOverlay|null} Heatmap overlay and its boxes */
+    _heatmapOverlay: null,
+
+    /** @type {{column: string, direction: 'asc'|'desc'}} Sort order of the render-time table */
+    _heatmapSort: { column: "max", direction: "desc" },
+
+    /** @type {import('./toolbar/cache.js').CacheHighlight|null} Blocks the cache explorer highlights */
+    cacheHighlight: null,
+
+    /** @type {import('./toolbar/audits/highlight.js').BlockOverlay|null} Cache highlight overlay and its boxes */
+    _cacheOverlay: null,
+
     // ====================================================================
     // Lifecycle
     // ====================================================================
@@ -70,6 +144,9 @@ function _registerMageforgeToolbar() {
         }
       };
       document.addEventListener("keydown", this._keyboardShortcutHandler);
+
+      // Public API for third-party audits (window.MageForge.registerAudit)
+      this._exposePluginApi();
     },
 
     destroy() {
@@ -77,6 +154,11 @@ function _registerMageforgeToolbar() {
         document.removeEventListener("keydown", this._keyboardShortcutHandler);
         this._keyboardShortcutHandler = null;
       }
+      this._removePluginApi();
+      this._stopLiveMode();
+      this._stopScopePicker();
+      this._stopHeatmap();
+      this._stopCacheHighlight();
       this.deactivateAllAudits();
       this.activeAudits.clear();
       this.destroyToolbar();
@@ -88,6 +170,14 @@ function _registerMageforgeToolbar() {
 
     ...uiMethods,
     ...auditMethods,
+    ...pluginMethods,
+    ...liveMethods,
+    ...historyMethods,
+    ...suppressionMethods,
+    ...scopeMethods,
+    ...budgetMethods,
+    ...heatmapMethods,
+    ...cacheExplorerMethods,
   }));
 }
 
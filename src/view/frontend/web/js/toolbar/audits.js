@@ -3,25 +3,67 @@
  */
 
 import { audits, auditGroups } from "./audits/index.js";
+import { scoreAudit, weightedMean } from "./scoring.js";
 
-// Allow async DOM mutations to settle; 200ms gives async audits enough
-// time to finish after synchronous mutations (typically 1–2 frames = 16ms).
-const AUDIT_SETTLE_DELAY_MS = 200;
+// Upper bound for a single audit run. Audits that have not settled by then
+// are aborted and reported as "failed" instead of blocking the batch forever.
+// Individual audits may override this via AuditDefinition.timeout.
+const AUDIT_TIMEOUT_MS = 10000;
+
+const SARIF_SCHEMA = "https://json.schemastore.org/sarif-2.1.0.json";
+const MAGEFORGE_URL = "https://github.com/OpenForgeProject/mageforge";
+
+/**
+ * Escape a value for use in XML text and attribute content.
+ *
+ * @param {*} value
+ * @returns {string}
+ */
+function escapeXml(value) {
+  return String(value ?? "").replace(
+    /[<>&"']/g,
+    (c) =>
+      ({
+        "<": "&lt;",
+        ">": "&gt;",
+        "&": "&amp;",
+        '"': "&quot;",
+        "'": "&apos;",
+      })[c],
+  );
+}
+
+/**
+ * @typedef {object} ScoreBreakdownGroup
+ * @property {string} key
+ * @property {string} label
+ * @property {number} weight – Group weight in the overall score
+ * @property {number} score  – Unrounded group score
+ * @property {Array<{key: string, label: string} & import('./scoring.js').AuditScore>} audits
+ *
+ * @typedef {object} ScoreBreakdown
+ * @property {number} score – Rounded overall score
+ * @property {ScoreBreakdownGroup[]} groups
+ */
 
 export const auditMethods = {
   /**
    * Toggles an audit on/off and updates the menu item state.
+   * Resolves once the audit has finished (or failed); never rejects.
    *
    * @param {string} auditKey
+   * @returns {Promise<void>}
    */
-  runAudit(auditKey) {
+  async runAudit(auditKey) {
     const audit = audits.find((a) => a.key === auditKey);
     if (!audit) return;
 
     const isActive = this.activeAudits.has(auditKey);
     if (isActive) {
+      // Cancel a run that is still in flight before cleaning up
+      this._auditControllers.get(auditKey)?.abort();
       try {
-        audit.run(this, false);
+        await audit.run(this, false);
         this.activeAudits.delete(auditKey);
         this.setAuditCounterBadge(auditKey, "", "success");
       } catch (err) {
@@ -32,63 +74,216 @@ export const auditMethods = {
         // Restore prior active state – do not deactivate if cleanup failed
       }
     } else {
+      // Page-level audits cannot be restricted to the scoped subtree
+      if (this.auditScope && !audit.scoped) return;
       this.activeAudits.add(auditKey);
       try {
-        audit.run(this, true);
+        await this._executeAudit(audit);
       } catch (err) {
         console.warn(
           `[MageForge] Audit "${auditKey}" failed on activate:`,
           err,
         );
-        this.activeAudits.delete(auditKey);
+        // Keep the audit active so the failure stays visible in the badge,
+        // score and export; toggling it off runs the normal cleanup.
+        if (this.activeAudits.has(auditKey)) {
+          this._setAuditFailed(auditKey, err);
+        }
       }
     }
     this.setAuditActive(auditKey, this.activeAudits.has(auditKey));
   },
 
+  /**
+   * Run an audit's activate path, racing it against its timeout.
+   * The AbortSignal handed to the audit fires on timeout or when the audit
+   * is toggled off mid-run, so late results are discarded.
+   *
+   * @param {import('./audits/index.js').AuditDefinition} audit
+   * @returns {Promise<void>} Rejects when the audit throws or times out
+   */
+  async _executeAudit(audit) {
+    const controller = new AbortController();
+    const timeoutMs = audit.timeout ?? AUDIT_TIMEOUT_MS;
+    let timer;
+
+    this._auditControllers.get(audit.key)?.abort();
+    this._auditControllers.set(audit.key, controller);
+
+    const timeout = new Promise((_, reject) => {
+      timer = setTimeout(() => {
+        controller.abort();
+        reject(new Error(`Timed out after ${timeoutMs} ms`));
+      }, timeoutMs);
+    });
+
+    try {
+      await Promise.race([
+        // Wrapping in then() turns synchronous throws into rejections
+        Promise.resolve().then(() =>
+          audit.run(this, true, { signal: controller.signal }),
+        ),
+        timeout,
+      ]);
+    } finally {
+      clearTimeout(timer);
+      if (this._auditControllers.get(audit.key) === controller) {
+        this._auditControllers.delete(audit.key);
+      }
+    }
+  },
+
+  /**
+   * Mark an audit as failed: clear partial output and show the failed badge.
+   *
+   * @param {string} key
+   * @param {unknown} err
+   */
+  _setAuditFailed(key, err) {
+    const audit = audits.find((a) => a.key === key);
+    try {
+      // Best-effort cleanup of whatever the audit managed to render
+      audit?.run(this, false)?.catch?.(() => {});
+    } catch (_) {}
+    this.setAuditFindings(key, []);
+    this.setAuditCounterBadge(key, "Failed", "failed");
+    this._auditErrors.set(key, String(err?.message ?? err));
+  },
+
+  /**
+   * Run an audit's cleanup (`run(context, false)`). A cleanup that throws or
+   * rejects is logged instead of escaping as an unhandled rejection.
+   *
+   * @param {import('./audits/index.js').AuditDefinition} audit
+   * @returns {Promise<void>}
+   */
+  async _cleanupAudit(audit) {
+    try {
+      await audit.run(this, false);
+    } catch (err) {
+      console.warn(
+        `[MageForge] Audit "${audit.key}" failed on deactivate:`,
+        err,
+      );
+    }
+  },
+
   /**
    * Activates all inactive audits or deactivates all if all are already active.
+   *
+   * @returns {Promise<void>}
    */
-  toggleAllAudits() {
+  async toggleAllAudits() {
     const allActive = this.activeAudits.size === audits.length;
     if (allActive) {
-      this.deactivateAllAudits();
+      await this.deactivateAllAudits();
     } else {
-      audits.forEach((audit) => {
-        if (!this.activeAudits.has(audit.key)) {
-          this.runAudit(audit.key);
-        }
-      });
+      await Promise.all(
+        audits
+          .filter((audit) => !this.activeAudits.has(audit.key))
+          .map((audit) => this.runAudit(audit.key)),
+      );
     }
   },
 
   /**
-   * Calculate a 0–100 score for the given audit list.
-   * Reads from the in-memory _auditStatus map; unrun audits count as perfect (100).
+   * Calculate a 0–100 score for the given audit list (see scoring.js).
+   * Unrun audits count as perfect (100); failed audits produced no verdict
+   * and are left out of the calculation.
    *
    * @param {import('./audits/index.js').AuditDefinition[]} auditList
    * @returns {number}
    */
   _calcScore(auditList) {
-    let total = 0;
-    let max = 0;
+    return this._scoreBreakdown(auditList).score;
+  },
+
+  /**
+   * Per-group, per-audit derivation of the score for `auditList`.
+   *
+   * @param {import('./audits/index.js').AuditDefinition[]} auditList
+   * @returns {ScoreBreakdown}
+   */
+  _scoreBreakdown(auditList) {
+    /** @type {Map<string, ScoreBreakdownGroup>} */
+    const groups = new Map();
     auditList.forEach((audit) => {
-      if (!this.menu?.querySelector(`[data-audit-key="${audit.key}"]`)) return;
-      max += 100;
+      // Headless runs (toolbar/runner.js) have no menu and score every audit
+      if (
+        this.menu &&
+        !this.menu.querySelector(`[data-audit-key="${audit.key}"]`)
+      )
+        return;
+      // Skipped while scoped – an unrun audit would count as a perfect 100
+      if (this.auditScope && !audit.scoped) return;
       const status = this._auditStatus.get(audit.key);
-      if (!status || status === "success") {
-        total += 100;
-      } else if (status === "warning") {
-        total += 50;
+      if (status === "failed") return;
+
+      const groupKey = audit.group ?? "";
+      if (!groups.has(groupKey)) {
+        const group = this.getAuditGroups().find((g) => g.key === groupKey);
+        groups.set(groupKey, {
+          key: groupKey,
+          label: group?.label ?? "Other",
+          weight: group?.weight ?? 1,
+          score: 100,
+          audits: [],
+        });
       }
-      // error → 0 pts, nothing added
+      groups.get(groupKey).audits.push({
+        key: audit.key,
+        label: audit.label,
+        ...scoreAudit(audit, this._findingCounts(audit.key, status)),
+      });
     });
-    return max > 0 ? Math.round((total / max) * 100) : 100;
+
+    const groupList = [...groups.values()];
+    groupList.forEach((group) => {
+      group.score = weightedMean(group.audits);
+    });
+    return { score: Math.round(weightedMean(groupList)), groups: groupList };
   },
 
   /**
-   * Run every audit, wait for the DOM to settle, then compute and display
-   * an overall health score (0–100) in the footer gauge.
+   * Error / warning counts of a finished audit. Element audits are counted
+   * from their findings list; page-level audits report an issue count via
+   * setAuditIssueCount() – or count as one issue of their badge severity.
+   * Badge numbers are never scored: they may count anything (focusable
+   * elements, JSON-LD scripts, …).
+   *
+   * @param {string} key
+   * @param {string|undefined} status
+   * @returns {{errors: number, warnings: number}}
+   */
+  _findingCounts(key, status) {
+    if (!status || status === "success") return { errors: 0, warnings: 0 };
+
+    const findings = this._auditFindings.get(key);
+    if (findings?.length) {
+      const errors = findings.filter((f) => f.severity === "error").length;
+      return { errors, warnings: findings.length - errors };
+    }
+    const issues = this._auditIssueCounts.get(key);
+    if (issues && issues.errors + issues.warnings > 0) return issues;
+    return status === "error"
+      ? { errors: 1, warnings: 0 }
+      : { errors: 0, warnings: 1 };
+  },
+
+  /**
+   * Count audits in the given list that failed (threw or timed out).
+   *
+   * @param {import('./audits/index.js').AuditDefinition[]} auditList
+   * @returns {number}
+   */
+  _countFailed(auditList) {
+    return auditList.filter((a) => this._auditStatus.get(a.key) === "failed")
+      .length;
+  },
+
+  /**
+   * Run every audit, wait until all of them have completed, failed or timed
+   * out, then compute and display an overall health score (0–100).
    */
   async runAllAuditsForScore() {
     if (this._batchRunning) return;
@@ -99,20 +294,22 @@ export const auditMethods = {
 
     try {
       this._batchRunning = true;
-      this.deactivateAllAudits();
-
-      audits.forEach((audit) => {
-        if (!this.activeAudits.has(audit.key)) {
-          this.runAudit(audit.key);
-        }
-      });
-
-      // Allow async DOM mutations to settle
-      await new Promise((resolve) =>
-        setTimeout(resolve, AUDIT_SETTLE_DELAY_MS),
+      // Let a live re-run that is still in flight finish first
+      await this._liveRun;
+      await this.deactivateAllAudits();
+
+      await Promise.all(
+        audits
+          .filter((audit) => !this.activeAudits.has(audit.key))
+          .map((audit) => this.runAudit(audit.key)),
       );
 
-      this.updateHealthScore(this._calcScore(audits));
+      const breakdown = this._scoreBreakdown(audits);
+      const score = breakdown.score;
+      this.updateHealthScore(score, this._countFailed(audits), breakdown);
+      this._healthScoreShown = true;
+      // Scoped runs only cover one block – they would skew the page trend
+      if (!this.auditScope) this.recordAuditHistory(score);
 
       // Update per-group scores on the dashboard
       const grouped = {};
@@ -120,7 +317,9 @@ export const auditMethods = {
         if (a.group) (grouped[a.group] = grouped[a.group] ?? []).push(a);
       });
       Object.entries(grouped).forEach(([groupKey, groupAudits]) => {
-        this.updateGroupScore(groupKey, this._calcScore(groupAudits));
+        const groupBreakdown = this._scoreBreakdown(groupAudits);
+        this.updateGroupScore(groupKey, groupBreakdown.score, groupBreakdown);
+        this._scoredGroups.add(groupKey);
       });
 
       this.updateHomeSummary();
@@ -132,8 +331,8 @@ export const auditMethods = {
   },
 
   /**
-   * Run all audits for a specific group, wait for the DOM to settle, then
-   * compute and display a score (0–100) in that panel's ring.
+   * Run all audits for a specific group, wait until they have all settled,
+   * then compute and display a score (0–100) in that panel's ring.
    */
   async runGroupAuditsForScore(groupKey) {
     if (this._batchRunning) return;
@@ -144,29 +343,27 @@ export const auditMethods = {
 
     try {
       this._batchRunning = true;
+      // Let a live re-run that is still in flight finish first
+      await this._liveRun;
       const groupAudits = audits.filter((a) => a.group === groupKey);
 
       // Deactivate existing audits in this group
-      groupAudits.forEach((audit) => {
-        if (this.activeAudits.has(audit.key)) {
-          this.activeAudits.delete(audit.key);
-          audit.run(this, false);
-        }
-      });
-
-      // Run all audits in the group
-      groupAudits.forEach((audit) => {
-        if (!this.activeAudits.has(audit.key)) {
-          this.runAudit(audit.key);
-        }
-      });
-
-      // Allow async DOM mutations to settle
-      await new Promise((resolve) =>
-        setTimeout(resolve, AUDIT_SETTLE_DELAY_MS),
+      await Promise.all(
+        groupAudits
+          .filter((audit) => this.activeAudits.has(audit.key))
+          .map((audit) => {
+            this._auditControllers.get(audit.key)?.abort();
+            this.activeAudits.delete(audit.key);
+            return this._cleanupAudit(audit);
+          }),
       );
 
-      this.updateGroupScore(groupKey, this._calcScore(groupAudits));
+      // Run all audits in the group and wait for every one to settle
+      await Promise.all(groupAudits.map((audit) => this.runAudit(audit.key)));
+
+      const breakdown = this._scoreBreakdown(groupAudits);
+      this.updateGroupScore(groupKey, breakdown.score, breakdown);
+      this._scoredGroups.add(groupKey);
       this.updateHomeSummary();
     } finally {
       this._batchRunning = false;
@@ -177,36 +374,45 @@ export const auditMethods = {
 
   /**
    * Reset all audits for a specific group (deactivate + hide score).
+   *
+   * @returns {Promise<void>} Resolves once every cleanup has settled
    */
-  resetGroupAudits(groupKey) {
-    const groupAudits = audits.filter((a) => a.group === groupKey);
-    groupAudits.forEach((audit) => {
-      if (this.activeAudits.has(audit.key)) {
+  async resetGroupAudits(groupKey) {
+    const cleanups = audits
+      .filter((a) => a.group === groupKey && this.activeAudits.has(a.key))
+      .map((audit) => {
+        this._auditControllers.get(audit.key)?.abort();
         this.activeAudits.delete(audit.key);
-        audit.run(this, false);
         this.setAuditCounterBadge(audit.key, "", "success");
         this.setAuditActive(audit.key, false);
-      }
-    });
+        return this._cleanupAudit(audit);
+      });
 
     // Reset score ring
     this.updateGroupScore(groupKey, 0);
+    this._scoredGroups.delete(groupKey);
+    await Promise.all(cleanups);
   },
 
   /**
    * Deactivates all currently active audits (called when closing the toolbar).
+   * The audits are marked inactive right away; the returned promise resolves
+   * once every cleanup has settled.
+   *
+   * @returns {Promise<void>}
    */
-  deactivateAllAudits() {
-    const keys = [...this.activeAudits];
-    keys.forEach((key) => {
+  async deactivateAllAudits() {
+    const cleanups = [...this.activeAudits].map((key) => {
+      this._auditControllers.get(key)?.abort();
       this.activeAudits.delete(key);
-      const audit = audits.find((a) => a.key === key);
-      if (audit) audit.run(this, false);
       this.setAuditCounterBadge(key, "", "success");
       this.setAuditActive(key, false);
+      const audit = audits.find((a) => a.key === key);
+      return audit ? this._cleanupAudit(audit) : null;
     });
 
     this.updateToggleAllButton();
+    await Promise.all(cleanups);
   },
 
   /**
@@ -231,52 +437,60 @@ export const auditMethods = {
    * Collect the current audit state into a plain data structure shared by
    * all export formatters.
    *
+   * Each audit carries its badge `status`; failed audits (threw or timed
+   * out) additionally carry the `error` message. Findings carry selector,
+   * severity and whatever detail fields the audit provided (message, rule,
+   * measured, expected, fix).
+   *
    * @returns {{ timestamp: string, url: string, audits: Array<object> }}
    */
   _collectExportData() {
     const data = {
       timestamp: new Date().toISOString(),
       url: location.href,
+      scope: this._describeAuditScope?.() ?? null,
       audits: [],
     };
     audits.forEach((audit) => {
-      if (!this.activeAudits.has(audit.key)) return;
-      const item = this.menu?.querySelector(`[data-audit-key="${audit.key}"]`);
-      if (!item) return;
-
-      // Extract per-element selectors stored in the findings list DOM
-      const findings = Array.from(
-        item.querySelectorAll(".mageforge-audit-finding"),
-      ).map((row) => ({
-        selector:
-          row
-            .querySelector(".mageforge-finding-selector")
-            ?.textContent?.trim() ?? "",
-        severity: row.classList.contains("mageforge-audit-finding--warning")
-          ? "warning"
-          : "error",
-      }));
-
-      data.audits.push({
-        key: audit.key,
-        label: audit.label,
-        group: audit.group ?? null,
-        errors: parseInt(item.dataset.findingErrors || "0", 10),
-        warnings: parseInt(item.dataset.findingWarnings || "0", 10),
-        badge:
-          item
-            .querySelector(".mageforge-toolbar-menu-status")
-            ?.textContent?.trim() ?? "",
-        findings,
-      });
+      if (this.activeAudits.has(audit.key)) {
+        data.audits.push(this._auditReportEntry(audit));
+      }
     });
     return data;
   },
 
+  /**
+   * One audit's entry in exports, history snapshots and headless reports.
+   * Counts and badge come from the in-memory state, never from the menu, so
+   * the toolbar and the headless runner report the same numbers.
+   *
+   * @param {import('./audits/index.js').AuditDefinition} audit
+   * @returns {object}
+   */
+  _auditReportEntry(audit) {
+    // Per-element findings incl. detail fields, kept by setAuditFindings()
+    const findings = this._auditFindings.get(audit.key) ?? [];
+    const warnings = findings.filter((f) => f.severity === "warning").length;
+    const status = this._auditStatus.get(audit.key) ?? "success";
+    return {
+      key: audit.key,
+      label: audit.label,
+      group: audit.group ?? null,
+      status,
+      ...(status === "failed"
+        ? { error: this._auditErrors.get(audit.key) ?? "" }
+        : {}),
+      errors: findings.length - warnings,
+      warnings,
+      badge: this._auditBadges.get(audit.key) ?? "",
+      findings,
+    };
+  },
+
   /**
    * Export all active audit findings in the given format.
    *
-   * @param {'json'|'md'|'txt'} [format='json']
+   * @param {'json'|'md'|'txt'|'sarif'|'junit'} [format='json']
    */
   exportFindings(format = "json") {
     const data = this._collectExportData();
@@ -291,6 +505,14 @@ export const auditMethods = {
       content = this._exportAsTxt(data);
       mimeType = "text/plain";
       ext = "txt";
+    } else if (format === "sarif") {
+      content = JSON.stringify(this._exportAsSarif(data), null, 2);
+      mimeType = "application/sarif+json";
+      ext = "sarif";
+    } else if (format === "junit") {
+      content = this._exportAsJunit(data);
+      mimeType = "application/xml";
+      ext = "xml";
     } else {
       content = JSON.stringify(data, null, 2);
       mimeType = "application/json";
@@ -320,6 +542,9 @@ export const auditMethods = {
       "",
       `**Date:** ${data.timestamp}`,
       `**URL:** ${data.url}`,
+      ...(data.scope
+        ? [`**Scope:** ${data.scope.label} (\`${data.scope.selector}\`)`]
+        : []),
       "",
       "## Summary",
       "",
@@ -330,30 +555,61 @@ export const auditMethods = {
     } else {
       lines.push("| Audit | Group | Errors | Warnings |");
       lines.push("|-------|-------|-------:|---------:|");
-      data.audits.forEach(({ label, group, errors, warnings }) => {
+      data.audits.forEach(({ label, group, status, errors, warnings }) => {
+        if (status === "failed") {
+          lines.push(`| ${label} | ${group ?? "—"} | failed | failed |`);
+          return;
+        }
         lines.push(`| ${label} | ${group ?? "—"} | ${errors} | ${warnings} |`);
       });
 
       const totalErrors = data.audits.reduce((s, a) => s + a.errors, 0);
       const totalWarnings = data.audits.reduce((s, a) => s + a.warnings, 0);
+      const totalFailed = data.audits.filter(
+        (a) => a.status === "failed",
+      ).length;
       lines.push(
         "",
-        `**Total errors:** ${totalErrors} · **Total warnings:** ${totalWarnings}`,
+        `**Total errors:** ${totalErrors} · **Total warnings:** ${totalWarnings}` +
+          (totalFailed ? ` · **Failed audits:** ${totalFailed}` : ""),
         "",
         "## Details",
       );
 
       data.audits.forEach(
-        ({ label, group, errors, warnings, badge, findings }) => {
-          const icon = errors > 0 ? "❌" : warnings > 0 ? "⚠️" : "✅";
+        ({
+          label,
+          group,
+          status,
+          error,
+          errors,
+          warnings,
+          badge,
+          findings,
+        }) => {
+          const icon =
+            status === "failed"
+              ? "💥"
+              : errors > 0
+                ? "❌"
+                : warnings > 0
+                  ? "⚠️"
+                  : "✅";
           const groupNote = group ? ` \`${group}\`` : "";
           lines.push("", `### ${icon} ${label}${groupNote}`, "");
 
-          if (findings.length > 0) {
-            lines.push("| Selector | Severity |");
-            lines.push("|----------|----------|");
-            findings.forEach(({ selector, severity }) => {
-              lines.push(`| \`${selector}\` | ${severity} |`);
+          if (status === "failed") {
+            lines.push(`_Audit failed — ${error || "unknown error"}_`);
+          } else if (findings.length > 0) {
+            lines.push("| Selector | Severity | Details |");
+            lines.push("|----------|----------|---------|");
+            findings.forEach((finding) => {
+              const details = this._findingDetailLines(finding)
+                .join("<br>")
+                .replace(/\|/g, "\\|");
+              lines.push(
+                `| \`${finding.selector}\` | ${finding.severity} | ${details} |`,
+              );
             });
           } else {
             // Page-level audit: badge only, no element selectors
@@ -386,6 +642,9 @@ export const auditMethods = {
       sep,
       `Date : ${data.timestamp}`,
       `URL  : ${data.url}`,
+      ...(data.scope
+        ? [`Scope: ${data.scope.label} (${data.scope.selector})`]
+        : []),
       sep,
       "",
     ];
@@ -402,32 +661,58 @@ export const auditMethods = {
 
       Object.entries(groups).forEach(([groupKey, groupAudits]) => {
         lines.push(groupKey.toUpperCase(), "-".repeat(30));
-        groupAudits.forEach(({ label, errors, warnings, badge, findings }) => {
-          const status =
-            errors > 0 ? "[ERROR]" : warnings > 0 ? "[WARN] " : "[OK]   ";
-          const detail =
-            errors > 0
-              ? `${errors} error(s)`
-              : warnings > 0
-                ? `${warnings} warning(s)`
-                : badge || "passed";
-          lines.push(`  ${status} ${label}: ${detail}`);
-
-          // Render element selectors as indented tree
-          findings.forEach(({ selector, severity }, i) => {
-            const branch = i === findings.length - 1 ? "└─" : "├─";
-            const tag = severity === "warning" ? "[warn]" : "[err] ";
-            lines.push(`           ${branch} ${tag} ${selector}`);
-          });
-        });
+        groupAudits.forEach(
+          ({
+            label,
+            status: auditStatus,
+            error,
+            errors,
+            warnings,
+            badge,
+            findings,
+          }) => {
+            const status =
+              auditStatus === "failed"
+                ? "[FAIL] "
+                : errors > 0
+                  ? "[ERROR]"
+                  : warnings > 0
+                    ? "[WARN] "
+                    : "[OK]   ";
+            const detail =
+              auditStatus === "failed"
+                ? `audit failed (${error || "unknown error"})`
+                : errors > 0
+                  ? `${errors} error(s)`
+                  : warnings > 0
+                    ? `${warnings} warning(s)`
+                    : badge || "passed";
+            lines.push(`  ${status} ${label}: ${detail}`);
+
+            // Render element selectors as indented tree
+            findings.forEach((finding, i) => {
+              const isLast = i === findings.length - 1;
+              const branch = isLast ? "└─" : "├─";
+              const tag = finding.severity === "warning" ? "[warn]" : "[err] ";
+              lines.push(`           ${branch} ${tag} ${finding.selector}`);
+              this._findingDetailLines(finding).forEach((text) => {
+                lines.push(`           ${isLast ? "  " : "│ "}        ${text}`);
+              });
+            });
+          },
+        );
         lines.push("");
       });
 
       const totalErrors = data.audits.reduce((s, a) => s + a.errors, 0);
       const totalWarnings = data.audits.reduce((s, a) => s + a.warnings, 0);
+      const totalFailed = data.audits.filter(
+        (a) => a.status === "failed",
+      ).length;
       lines.push(
         sep,
-        `Total: ${totalErrors} error(s), ${totalWarnings} warning(s)`,
+        `Total: ${totalErrors} error(s), ${totalWarnings} warning(s)` +
+          (totalFailed ? `, ${totalFailed} failed audit(s)` : ""),
       );
     }
 
@@ -438,6 +723,206 @@ export const auditMethods = {
     return lines.join("\n");
   },
 
+  /**
+   * Human-readable detail lines of a serialized finding, shared by the
+   * text-based export formats.
+   *
+   * @param {object} finding
+   * @returns {string[]}
+   */
+  _findingDetailLines({ message, rule, ruleUrl, measured, expected, fix }) {
+    const lines = [];
+    if (message) lines.push(message);
+    if (measured || expected) {
+      lines.push(
+        [
+          measured && `Measured: ${measured}`,
+          expected && `expected: ${expected}`,
+        ]
+          .filter(Boolean)
+          .join(", "),
+      );
+    }
+    if (fix) lines.push(`Fix: ${fix}`);
+    if (rule) lines.push(`Rule: ${rule}${ruleUrl ? ` (${ruleUrl})` : ""}`);
+    return lines;
+  },
+
+  /**
+   * Format audit data as a SARIF 2.1.0 log for code-scanning dashboards.
+   *
+   * Every registered audit becomes a rule (tagged with its group); each
+   * finding becomes a result whose logical location is the element selector.
+   * Page-level audits without selectors yield a single result on the page URL.
+   * Failed audits are reported as tool execution notifications.
+   *
+   * @param {object} data
+   * @returns {object}
+   */
+  _exportAsSarif(data) {
+    const rules = audits.map((audit) => ({
+      id: audit.key,
+      name: audit.label,
+      shortDescription: { text: audit.label },
+      fullDescription: { text: audit.description || audit.label },
+      defaultConfiguration: { level: "error" },
+      properties: { tags: audit.group ? [audit.group] : [] },
+    }));
+    const ruleIndex = new Map(rules.map((rule, i) => [rule.id, i]));
+    const pageLocation = {
+      physicalLocation: { artifactLocation: { uri: data.url } },
+    };
+
+    const results = [];
+    const notifications = [];
+    data.audits.forEach((audit) => {
+      const ref = { ruleId: audit.key, ruleIndex: ruleIndex.get(audit.key) };
+
+      if (audit.status === "failed") {
+        notifications.push({
+          level: "error",
+          message: { text: `Audit failed: ${audit.error || "unknown error"}` },
+          associatedRule: { id: audit.key, index: ref.ruleIndex },
+        });
+        return;
+      }
+
+      if (audit.findings.length) {
+        audit.findings.forEach((finding) => {
+          const { selector, severity, message, ...details } = finding;
+          results.push({
+            ...ref,
+            level: severity === "warning" ? "warning" : "error",
+            message: {
+              text: [
+                message ?? `${audit.label}: ${selector}`,
+                ...this._findingDetailLines({ ...details, rule: null }),
+              ].join(" "),
+            },
+            locations: [
+              {
+                ...pageLocation,
+                logicalLocations: [
+                  { fullyQualifiedName: selector, kind: "element" },
+                ],
+              },
+            ],
+            ...(Object.keys(details).length ? { properties: details } : {}),
+          });
+        });
+      } else if (audit.status === "error" || audit.status === "warning") {
+        // Page-level audit: badge only, no element selectors
+        results.push({
+          ...ref,
+          level: audit.status,
+          message: {
+            text: audit.badge ? `${audit.label} (${audit.badge})` : audit.label,
+          },
+          locations: [pageLocation],
+        });
+      }
+    });
+
+    return {
+      $schema: SARIF_SCHEMA,
+      version: "2.1.0",
+      runs: [
+        {
+          tool: {
+            driver: {
+              name: "MageForge",
+              informationUri: MAGEFORGE_URL,
+              rules,
+            },
+          },
+          invocations: [
+            {
+              executionSuccessful: notifications.length === 0,
+              endTimeUtc: data.timestamp,
+              toolExecutionNotifications: notifications,
+            },
+          ],
+          artifacts: [{ location: { uri: data.url } }],
+          results,
+          ...(data.scope ? { properties: { scope: data.scope } } : {}),
+        },
+      ],
+    };
+  },
+
+  /**
+   * Format audit data as JUnit XML for CI test reporters.
+   *
+   * One <testsuite> per audit group, one <testcase> per active audit.
+   * Error findings fail the test case, failed audits are reported as
+   * <error>; warnings do not fail the build and are listed in <system-out>.
+   *
+   * @param {object} data
+   * @returns {string}
+   */
+  _exportAsJunit(data) {
+    const groups = {};
+    data.audits.forEach((audit) => {
+      const g = audit.group ?? "other";
+      (groups[g] = groups[g] ?? []).push(audit);
+    });
+
+    const isFailure = (a) =>
+      a.status !== "failed" && (a.errors > 0 || a.status === "error");
+    const count = (list, fn) => list.filter(fn).length;
+
+    const suites = Object.entries(groups).map(([groupKey, groupAudits]) => {
+      const cases = groupAudits.map((audit) => {
+        const attrs = `name="${escapeXml(audit.label)}" classname="mageforge.${escapeXml(groupKey)}.${escapeXml(audit.key)}"`;
+        const lines = (severity) =>
+          audit.findings
+            .filter((f) => f.severity === severity)
+            .map((f) =>
+              [f.selector, ...this._findingDetailLines(f)].join("\n  "),
+            )
+            .join("\n");
+        const body = [];
+
+        if (audit.status === "failed") {
+          body.push(
+            `      <error message="${escapeXml(audit.error || "unknown error")}" type="failed"></error>`,
+          );
+        } else if (isFailure(audit)) {
+          const message = audit.errors
+            ? `${audit.errors} error(s)`
+            : `badge: ${audit.badge || "error"}`;
+          body.push(
+            `      <failure message="${escapeXml(message)}" type="error">${escapeXml(lines("error"))}</failure>`,
+          );
+        }
+        if (audit.status !== "failed" && audit.warnings > 0) {
+          body.push(
+            `      <system-out>${escapeXml(`${audit.warnings} warning(s)\n${lines("warning")}`)}</system-out>`,
+          );
+        }
+
+        return body.length
+          ? `    <testcase ${attrs}>\n${body.join("\n")}\n    </testcase>`
+          : `    <testcase ${attrs}></testcase>`;
+      });
+
+      return [
+        `  <testsuite name="${escapeXml(groupKey)}" tests="${groupAudits.length}" failures="${count(groupAudits, isFailure)}" errors="${count(groupAudits, (a) => a.status === "failed")}" timestamp="${escapeXml(data.timestamp)}">`,
+        ...cases,
+        "  </testsuite>",
+      ].join("\n");
+    });
+
+    const all = data.audits;
+    return [
+      '<?xml version="1.0" encoding="UTF-8"?>',
+      `<testsuites name="MageForge ${escapeXml(data.url)}" tests="${all.length}" failures="${count(all, isFailure)}" errors="${count(all, (a) => a.status === "failed")}">`,
+      ...suites,
+      "</testsuites>",
+      "",
+    ].join("\n");
+  },
+
   /**
    * Update the description text of an audit menu item.
    * Useful for audits that want to surface detail (e.g. which IDs are duplicated).
@@ -458,20 +943,37 @@ export const auditMethods = {
     desc.classList.toggle("mageforge-active", isChanged);
   },
 
+  /**
+   * Issue count of a page-level audit for scoring. Call after
+   * setAuditCounterBadge(), which resets it.
+   *
+   * @param {string} key
+   * @param {number} errors
+   * @param {number} [warnings]
+   */
+  setAuditIssueCount(key, errors, warnings = 0) {
+    this._auditIssueCounts.set(key, { errors, warnings });
+  },
+
   /**
    * Set the inline counter badge of an audit menu item.
    *
    * @param {string} key
    * @param {string} message
-   * @param {'success'|'error'} type
+   * @param {'success'|'warning'|'error'|'failed'} type
    */
   setAuditCounterBadge(key, message, type = "success") {
     // Keep in-memory status in sync; delete key when badge is cleared (unrun state)
     if (message.trim()) {
       this._auditStatus.set(key, type);
+      this._auditBadges.set(key, message.trim());
     } else {
       this._auditStatus.delete(key);
+      this._auditBadges.delete(key);
     }
+    // A new result replaces the issue count of the previous run
+    this._auditIssueCounts.delete(key);
+    if (type !== "failed") this._auditErrors.delete(key);
     if (!this.menu) return;
     const item = this.menu.querySelector(`[data-audit-key="${key}"]`);
     if (!item) return;
@@ -482,5 +984,6 @@ export const auditMethods = {
     // Reflect error/warning/success on the active item background
     item.classList.toggle("mageforge-active--error", type === "error");
     item.classList.toggle("mageforge-active--warning", type === "warning");
+    item.classList.toggle("mageforge-active--failed", type === "failed");
   },
 };
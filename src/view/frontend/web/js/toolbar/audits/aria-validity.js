@@ -0,0 +1,308 @@
+/**
+ * MageForge Toolbar Audit – ARIA validity
+ *
+ * Invalid ARIA is worse than none: screen readers ignore unknown roles,
+ * announce widgets without their state and read nothing for labels that
+ * point to missing elements.
+ *
+ * Errors:
+ *   - role attribute without any known, non-abstract role
+ *   - unknown aria-* attribute (usually a typo, e.g. aria-labeledby)
+ *   - ID references (aria-labelledby, aria-describedby, aria-controls, …)
+ *     where no referenced element exists
+ *   - explicit role missing a required state/property (e.g. role="checkbox"
+ *     without aria-checked)
+ *   - disclosure button controlling a hidden element without aria-expanded
+ * Warnings:
+ *   - aria-* attribute not supported on the element's role
+ *   - aria-label / aria-labelledby on roles that prohibit naming (div, span, …)
+ *   - ID reference lists where only some IDs exist
+ *
+ * Icon source: Tabler Icons (MIT)
+ */
+
+import { createAudit } from "./createAudit.js";
+import {
+  ABSTRACT_ROLES,
+  ARIA_ATTRIBUTES,
+  ARIA_IDREF_ATTRIBUTES,
+  ARIA_ROLES,
+  GLOBAL_ARIA_ATTRIBUTES,
+  getExplicitRole,
+  getIdRefs,
+  getImplicitRole,
+} from "../../aria.js";
+
+const ARIA_SPEC = "https://www.w3.org/TR/wai-aria-1.2/";
+const RULE = "WCAG 2.2 SC 4.1.2 (A)";
+
+// Native controls expose their state through HTML (checked, value, …)
+const NATIVE_STATE_TAGS = new Set([
+  "input",
+  "meter",
+  "progress",
+  "select",
+  "textarea",
+]);
+
+/**
+ * Whether `el` is hidden until something expands it.
+ *
+ * @param {Element} el
+ * @returns {boolean}
+ */
+function isCollapsed(el) {
+  return (
+    el.hidden ||
+    el.closest("[hidden]") !== null ||
+    getComputedStyle(el).display === "none"
+  );
+}
+
+/**
+ * Role whose supported states and properties apply to `el`. <summary> has no
+ * ARIA role, but browsers expose the summary of a <details> element as a
+ * disclosure button – aria-expanded and the other button attributes are
+ * valid there.
+ *
+ * @param {Element} el
+ * @param {?string} role - Explicit or implicit role of `el`
+ * @returns {?string}
+ */
+function getAttributeRole(el, role) {
+  if (role || el.tagName.toLowerCase() !== "summary") return role;
+  const details = el.parentElement;
+  return details?.tagName.toLowerCase() === "details" &&
+    details.querySelector(":scope > summary") === el
+    ? "button"
+    : role;
+}
+
+/**
+ * @param {Element} el
+ * @returns {import('./createAudit.js').AuditFinding[]}
+ */
+function checkRole(el) {
+  const value = el.getAttribute("role");
+  if (value === null || getExplicitRole(el)) return [];
+
+  const tokens = value.trim().toLowerCase().split(/\s+/).filter(Boolean);
+  const abstract = tokens.find((token) => ABSTRACT_ROLES.has(token));
+  return [
+    {
+      el,
+      message: abstract
+        ? `role="${value}" is an abstract role and must not be used in content`
+        : `role="${value}" is not a WAI-ARIA role`,
+      measured: `role="${value}"`,
+      expected: "A concrete WAI-ARIA 1.2 role",
+      fix: "Use a valid role or remove the attribute and rely on the element's native semantics",
+      rule: RULE,
+      ruleUrl: `${ARIA_SPEC}#role_definitions`,
+    },
+  ];
+}
+
+/**
+ * Unknown attributes plus attributes the role does not support.
+ *
+ * @param {Element} el
+ * @param {?string} role
+ * @param {string[]} ariaAttrs
+ * @returns {{errors: import('./createAudit.js').AuditFinding[], warnings: import('./createAudit.js').AuditFinding[]}}
+ */
+function checkAttributes(el, role, ariaAttrs) {
+  const errors = [];
+  const warnings = [];
+  const definition = role ? ARIA_ROLES[role] : null;
+  const supported = new Set([
+    ...(definition?.supported ?? []),
+    ...(definition?.required ?? []),
+  ]);
+
+  ariaAttrs.forEach((attr) => {
+    if (!ARIA_ATTRIBUTES.has(attr)) {
+      errors.push({
+        el,
+        message: `${attr} is not a WAI-ARIA attribute`,
+        measured: attr,
+        fix: "Check the spelling (e.g. aria-labelledby, not aria-labeledby) or remove the attribute",
+        rule: RULE,
+        ruleUrl: `${ARIA_SPEC}#state_prop_def`,
+      });
+      return;
+    }
+
+    const naming = attr === "aria-label" || attr === "aria-labelledby";
+    if (naming && definition?.nameProhibited) {
+      warnings.push({
+        el,
+        message: `${attr} is not supported on role "${role}" – screen readers may ignore it`,
+        measured: `role="${role}"`,
+        expected: "A role that supports naming (e.g. button, link, region)",
+        fix: "Move the label to an interactive or landmark element, or use visible / visually hidden text",
+        rule: RULE,
+        ruleUrl: `${ARIA_SPEC}#namefromprohibited`,
+      });
+      return;
+    }
+
+    if (GLOBAL_ARIA_ATTRIBUTES.has(attr) || supported.has(attr)) return;
+    warnings.push({
+      el,
+      message: `${attr} is not supported on ${role ? `role "${role}"` : `<${el.tagName.toLowerCase()}>`}`,
+      measured: attr,
+      expected: definition?.supported?.length
+        ? `Global attributes or ${definition.supported.join(", ")}`
+        : "Global ARIA attributes only",
+      fix: "Remove the attribute or give the element a role that supports it",
+      rule: RULE,
+      ruleUrl: role ? `${ARIA_SPEC}#${role}` : `${ARIA_SPEC}#global_states`,
+    });
+  });
+
+  return { errors, warnings };
+}
+
+/**
+ * ID references that point nowhere.
+ *
+ * @param {Element} el
+ * @returns {{errors: import('./createAudit.js').AuditFinding[], warnings: import('./createAudit.js').AuditFinding[]}}
+ */
+function checkIdRefs(el) {
+  const errors = [];
+  const warnings = [];
+  const root = el.getRootNode();
+  const lookup = (id) =>
+    (root.getElementById ? root.getElementById(id) : null) ??
+    document.getElementById(id);
+
+  ARIA_IDREF_ATTRIBUTES.forEach((attr) => {
+    const ids = getIdRefs(el, attr);
+    if (!ids.length) return;
+    const missing = ids.filter((id) => !lookup(id));
+    if (!missing.length) return;
+
+    const all = missing.length === ids.length;
+    (all ? errors : warnings).push({
+      el,
+      message: all
+        ? `${attr} points to no existing element`
+        : `${attr} references missing ID${missing.length > 1 ? "s" : ""}`,
+      measured: missing.map((id) => `#${id}`).join(", "),
+      expected: "Every referenced ID exists in the document",
+      fix: "Fix the ID reference or render the referenced element (also when it is hidden)",
+      rule: RULE,
+      ruleUrl: `${ARIA_SPEC}#${attr}`,
+    });
+  });
+
+  return { errors, warnings };
+}
+
+/**
+ * Required states of explicit roles and the disclosure pattern.
+ *
+ * @param {Element} el
+ * @param {?string} role
+ * @returns {import('./createAudit.js').AuditFinding[]}
+ */
+function checkRequiredStates(el, role) {
+  const errors = [];
+  const tag = el.tagName.toLowerCase();
+  const explicit = getExplicitRole(el);
+
+  // Implicit roles (and native controls) get their state from HTML
+  if (
+    explicit &&
+    explicit !== getImplicitRole(el) &&
+    !NATIVE_STATE_TAGS.has(tag)
+  ) {
+    const missing = (ARIA_ROLES[explicit].required ?? []).filter(
+      (attr) => !el.hasAttribute(attr),
+    );
+    if (missing.length) {
+      errors.push({
+        el,
+        message: `role="${explicit}" requires ${missing.join(", ")}`,
+        measured: `Missing ${missing.join(", ")}`,
+        expected: missing.join(", "),
+        fix: `Add ${missing.join(", ")} and keep ${missing.length > 1 ? "them" : "it"} in sync with the widget state`,
+        rule: RULE,
+        ruleUrl: `${ARIA_SPEC}#${explicit}`,
+      });
+    }
+  }
+
+  // A button that shows/hides another element must expose whether it is open
+  if (role === "button" && !el.hasAttribute("aria-expanded")) {
+    const targets = getIdRefs(el, "aria-controls")
+      .map((id) => document.getElementById(id))
+      .filter(Boolean);
+    if (targets.some(isCollapsed)) {
+      errors.push({
+        el,
+        message:
+          "Disclosure button controls a hidden element but has no aria-expanded",
+        measured: "aria-expanded missing",
+        expected: 'aria-expanded="false" (collapsed) / "true" (expanded)',
+        fix: "Set aria-expanded on the button and toggle it together with the controlled element",
+        rule: RULE,
+        ruleUrl: "https://www.w3.org/WAI/ARIA/apg/patterns/disclosure/",
+      });
+    }
+  }
+
+  return errors;
+}
+
+/** @type {import('./index.js').AuditDefinition} */
+export default createAudit(
+  {
+    key: "aria-validity",
+    icon: '<svg xmlns="http://www.w3.org/2000/svg" width="24" height="24" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><path stroke="none" d="M0 0h24v24H0z" fill="none"></path><path d="M7 8l-4 4l4 4"></path><path d="M17 8l4 4l-4 4"></path><path d="M14 4l-4 16"></path></svg>',
+    label: "Invalid ARIA",
+    description:
+      "Flags unknown roles, unsupported or misspelled aria-* attributes and broken ID references",
+  },
+  () => {
+    /** @type {import('./createAudit.js').AuditFinding[]} */
+    const errors = [];
+    /** @type {import('./createAudit.js').AuditFinding[]} */
+    const warnings = [];
+
+    document.querySelectorAll("body *").forEach((el) => {
+      if (el.closest(".mageforge-toolbar")) return;
+
+      const ariaAttrs = Array.from(el.attributes)
+        .map((attr) => attr.name)
+        .filter((name) => name.startsWith("aria-"));
+      if (!ariaAttrs.length && !el.hasAttribute("role")) return;
+
+      const explicit = getExplicitRole(el);
+      const role = explicit ?? getImplicitRole(el);
+      const attributes = checkAttributes(
+        el,
+        getAttributeRole(el, role),
+        ariaAttrs,
+      );
+      const idRefs = checkIdRefs(el);
+      // Support checks against a fallback role would only add noise
+      const invalidRole = !explicit && el.hasAttribute("role");
+
+      errors.push(
+        ...checkRole(el),
+        ...attributes.errors,
+        ...idRefs.errors,
+        ...checkRequiredStates(el, role),
+      );
+      warnings.push(
+        ...(invalidRole ? [] : attributes.warnings),
+        ...idRefs.warnings,
+      );
+    });
+
+    return { errors, warnings };
+  },
+);
@@ -3,10 +3,23 @@
  *
  * Reduces boilerplate in audit files. Each audit provides:
  *   - key, icon, label, description (metadata)
- *   - detect(context) → Element[] | { errors: Element[], warnings: Element[] }
+ *   - detect(context, { signal }) → Element[] | { errors: Element[], warnings: Element[] }
+ *     (or a Promise of either, for audits that need to wait on the page)
+ *
+ * Instead of a bare Element, any entry may be an AuditFinding object
+ * ({ el, message, rule, measured, expected, fix, … }) – the details are shown
+ * in the findings list and carried into every export format. A finding
+ * without `el` is page-level (a script, a budget, …): it is labelled by its
+ * `selector`, listed and counted but not highlighted, and dropped while the
+ * audits are scoped to a subtree. Audits that mostly report such findings
+ * pass `scoped: false` and are skipped while scoped instead.
  *
  * The factory handles the common activate/deactivate cycle:
- *   clearHighlight → detect → applyHighlight
+ *   clearHighlight → await detect → drop out-of-scope and ignored findings
+ *   → applyHighlight
+ *
+ * The returned run() resolves once results are applied. When the dispatcher
+ * aborts the run (timeout or toggled off mid-run) the late result is dropped.
  *
  * Optional onComplete callback for post-processing (e.g. dynamic descriptions):
  *   onComplete(context, elements)
@@ -15,16 +28,51 @@
 import { applyHighlight, clearHighlight } from "./highlight.js";
 
 /**
- * @param {{ key: string, icon: string, label: string, description: string }} meta
- * @param {(context: object) => Element[] | { errors: Element[], warnings: Element[] }} detect - Returns elements to highlight
- * @param {(context: object, elements: Element[] | { errors: Element[], warnings: Element[] }) => void} [onComplete] - Optional post-processing callback
- * @returns {{ key: string, icon: string, label: string, description: string, run: (context: object, active: boolean) => void }}
+ * @typedef {object} AuditFinding
+ * @property {Element} [el]       – Affected element; omit for page-level findings
+ * @property {string}  [selector] – Label shown instead of the element's selector
+ * @property {string}  [message]  – What is wrong with this element
+ * @property {string}  [rule]     – Rule reference, e.g. "WCAG 1.4.3"
+ * @property {string}  [ruleUrl]  – Link to the rule documentation
+ * @property {string}  [measured] – Measured value, e.g. "2.8:1"
+ * @property {string}  [expected] – Required value, e.g. "≥ 4.5:1"
+ * @property {string}  [fix]      – Suggested fix
+ */
+
+/**
+ * @typedef {Array<Element|AuditFinding>} DetectEntries
+ * @typedef {DetectEntries | { errors: DetectEntries, warnings: DetectEntries }} DetectResult
+ */
+
+/**
+ * Normalise a detect() entry to an AuditFinding.
+ *
+ * @param {Element|AuditFinding} entry
+ * @returns {AuditFinding}
+ */
+function toFinding(entry) {
+  return entry instanceof Element ? { el: entry } : entry;
+}
+
+/**
+ * @param {{ key: string, icon: string, label: string, description: string, scoped?: boolean }} meta
+ *   `scoped: false` for audits that are mainly about the whole page (budgets,
+ *   scripts): they are skipped while scoped instead of dropping their
+ *   page-level findings and reporting a clean result
+ * @param {(context: object, options: { signal?: AbortSignal }) => DetectResult | Promise<DetectResult>} detect - Returns elements to highlight
+ * @param {(context: object, result: DetectResult) => void} [onComplete] - Optional post-processing callback
+ * @returns {{ key: string, icon: string, label: string, description: string, scoped: boolean, run: (context: object, active: boolean, options?: { signal?: AbortSignal }) => Promise<void> }}
  */
 export function createAudit(meta, detect, onComplete) {
-  const { key, icon, label, description } = meta;
+  const { key, icon, label, description, scoped = true } = meta;
 
-  /** @type {(context: object, active: boolean) => void} */
-  const run = (context, active) => {
+  /**
+   * The deactivate branch completes synchronously (before the first await),
+   * so callers that do not await cleanup still see it applied immediately.
+   *
+   * @type {(context: object, active: boolean, options?: { signal?: AbortSignal }) => Promise<void>}
+   */
+  const run = async (context, active, { signal } = {}) => {
     if (!active) {
       clearHighlight(key);
       if (typeof context?.setAuditDescription === "function") {
@@ -36,85 +84,90 @@ export function createAudit(meta, detect, onComplete) {
       return;
     }
 
-    const result = detect(context);
+    const result = await detect(context, { signal });
+    if (signal?.aborted) return;
 
     // Support error/warning split: { errors: Element[], warnings: Element[] }
-    if (
+    const split =
       result &&
       typeof result === "object" &&
       "errors" in result &&
-      "warnings" in result
-    ) {
-      const { errors, warnings } = result;
+      "warnings" in result;
+    const tag = (entries, severity) =>
+      entries.map((entry) => ({ ...toFinding(entry), severity }));
+    const found = (
+      split
+        ? [...tag(result.errors, "error"), ...tag(result.warnings, "warning")]
+        : tag(result, "error")
+    ).filter(({ el }) =>
+      el
+        ? !el.closest(".mageforge-toolbar") &&
+          (context.isInAuditScope?.(el) ?? true)
+        : !context.auditScope,
+    );
 
-      const hasErrors = errors.length > 0;
-      const hasWarnings = warnings.length > 0;
-      const total = errors.length + warnings.length;
+    if (found.length === 0) {
+      context.setAuditCounterBadge(key, "0", "success");
+      return;
+    }
 
-      if (total === 0) {
-        context.setAuditCounterBadge(key, "0", "success");
-        return;
-      }
+    // Ignored findings (see toolbar/suppressions.js) are listed separately
+    // but neither highlighted nor counted
+    const { active: counted, ignored } = context.partitionSuppressed?.(
+      key,
+      found,
+    ) ?? { active: found, ignored: [] };
+    const errors = counted.filter((f) => f.severity === "error");
+    const warnings = counted.filter((f) => f.severity === "warning");
 
-      if (hasErrors) {
-        applyHighlight(errors, key, context, {
-          severity: "error",
-          skipBadge: true,
-          autoFindings: false,
-        });
-      }
-      if (hasWarnings) {
-        applyHighlight(warnings, key, context, {
-          severity: "warning",
-          skipBadge: true,
-          autoFindings: false,
-        });
-      }
+    [
+      ["error", errors],
+      ["warning", warnings],
+    ].forEach(([severity, findings]) => {
+      const elements = findings.map((f) => f.el).filter(Boolean);
+      if (!elements.length) return;
+      applyHighlight(elements, key, context, {
+        severity,
+        skipBadge: true,
+        autoFindings: false,
+      });
+    });
 
-      // Build combined findings list (errors first, then warnings)
-      if (typeof context?.setAuditFindings === "function") {
-        context.setAuditFindings(key, [
-          ...errors.map((el) => ({
-            el,
-            severity: "error",
-            action: "Show affected element",
-          })),
-          ...warnings.map((el) => ({
-            el,
-            severity: "warning",
-            action: "Show affected element",
-          })),
-        ]);
-      }
+    // Build combined findings list (errors first, then warnings, then ignored)
+    if (typeof context?.setAuditFindings === "function") {
+      context.setAuditFindings(
+        key,
+        [
+          ...errors,
+          ...warnings,
+          ...ignored.map((f) => ({ ...f, ignored: true })),
+        ].map((finding) => ({
+          action: "Show affected element",
+          ...finding,
+        })),
+      );
+    }
 
-      // Scroll to first issue
-      const first = errors[0] ?? warnings[0];
-      if (first && !context._batchRunning) {
-        first.scrollIntoView({ behavior: "smooth", block: "center" });
-      }
+    // Scroll to first issue (not during batch or live re-runs)
+    const first = [...errors, ...warnings].find((f) => f.el)?.el;
+    if (first && !context._batchRunning && !context._liveRun) {
+      first.scrollIntoView({ behavior: "smooth", block: "center" });
+    }
 
+    if (counted.length) {
       context.setAuditCounterBadge(
         key,
-        `${total}`,
-        hasErrors ? "error" : "warning",
+        `${counted.length}`,
+        errors.length ? "error" : "warning",
       );
     } else {
-      /** @type {Element[]} */
-      const elements = result;
-
-      if (elements.length === 0) {
-        context.setAuditCounterBadge(key, "0", "success");
-        return;
-      }
-
-      applyHighlight(elements, key, context, {
-        autoFindings: true,
-        formatFinding: () => ({ action: "Show affected element" }),
-      });
+      context.setAuditCounterBadge(key, "0", "success");
     }
 
     onComplete?.(context, result);
   };
 
-  return { key, icon, label, description, run };
+  // Findings are filtered per element, so these audits honour the audit
+  // scope unless they opt out
+  return { key, icon, label, description, scoped, run };
 }
@@ -32,11 +32,22 @@ export default createAudit(
       idMap.get(id).push(el);
     });
 
-    /** @type {Element[]} */
+    /** @type {import('./createAudit.js').AuditFinding[]} */
     const duplicates = [];
-    idMap.forEach((els) => {
+    idMap.forEach((els, id) => {
       if (els.length > 1) {
-        els.forEach((el) => duplicates.push(el));
+        els.forEach((el) =>
+          duplicates.push({
+            el,
+            message: `id="${id}" is also used by ${els.length - 1} other element${els.length > 2 ? "s" : ""}`,
+            measured: `${els.length} elements`,
+            expected: "1 element",
+            fix: "Give each element a unique id and update label[for], aria-labelledby / aria-describedby and fragment links that point to it",
+            rule: "HTML: id must be unique",
+            ruleUrl:
+              "https://html.spec.whatwg.org/multipage/dom.html#the-id-attribute",
+          }),
+        );
       }
     });
 
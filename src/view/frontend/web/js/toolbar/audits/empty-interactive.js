@@ -2,10 +2,13 @@
  * MageForge Toolbar Audit – Empty Links & Buttons
  *
  * Links and buttons without an accessible name are unusable for screen
- * reader and keyboard users (WCAG 2.1 SC 4.1.2, 2.4.6).
+ * reader and keyboard users (WCAG 2.1 SC 4.1.2, 2.4.6). The name is
+ * computed per accname 1.2 (see accname.js), so aria-hidden icons and
+ * hidden text do not count.
  */
 
 import { createAudit } from "./createAudit.js";
+import { computeAccessibleName } from "../../accname.js";
 
 export default createAudit(
   {
@@ -28,33 +31,7 @@ export default createAudit(
         )
           return false;
 
-        // Accessible name sources
-        if (el.getAttribute("aria-label")?.trim()) return false;
-        if (el.getAttribute("title")?.trim()) return false;
-        if (
-          el
-            .getAttribute("aria-labelledby")
-            ?.trim()
-            .split(/\s+/)
-            .some((id) => document.getElementById(id)?.textContent.trim())
-        )
-          return false;
-
-        // Text content (excluding whitespace-only)
-        if (el.textContent.trim()) return false;
-
-        // Child <img> with non-empty alt (trimmed)
-        if (
-          Array.from(el.querySelectorAll("img[alt]")).some((img) =>
-            img.getAttribute("alt")?.trim(),
-          )
-        )
-          return false;
-
-        // Child <svg> with a <title> element
-        if (el.querySelector("svg title")?.textContent.trim()) return false;
-
-        return true;
+        return !computeAccessibleName(el).name;
       },
     );
   },
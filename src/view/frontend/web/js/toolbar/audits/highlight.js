@@ -106,6 +106,14 @@ function scheduleUpdate() {
   });
 }
 
+/**
+ * Re-measure all overlays on the next frame, e.g. after the page DOM changed
+ * without a scroll or resize (live re-audit mode).
+ */
+export function refreshOverlays() {
+  if (activeOverlays.size > 0 || extraCallbacks.size > 0) scheduleUpdate();
+}
+
 /**
  * Register a callback to be invoked every animation frame alongside overlay
  * updates. The shared scroll / resize listeners are kept alive while at least
@@ -129,6 +137,59 @@ export function removeSharedCallback(fn) {
   detachSharedListeners();
 }
 
+/**
+ * @typedef {object} BlockOverlay
+ * @property {HTMLDivElement} overlay – Container appended to <body>
+ * @property {Array<{el: Element, box: HTMLElement}>} boxes
+ * @property {function} remove – Removes the overlay and its per-frame callback
+ */
+
+/**
+ * Draws one fixed-position box over each element (e.g. the blocks of the
+ * render-time heatmap or the cache explorer) and keeps the boxes in place
+ * through a shared per-frame callback. Boxes are painted in array order.
+ *
+ * @param {string} className – Class of the overlay container
+ * @param {Array<{el: Element, box: HTMLElement}>} boxes
+ * @returns {BlockOverlay}
+ */
+export function createBlockOverlay(className, boxes) {
+  const overlay = document.createElement("div");
+  overlay.className = className;
+  overlay.setAttribute("aria-hidden", "true");
+  boxes.forEach(({ box }) => overlay.appendChild(box));
+  document.body.appendChild(overlay);
+
+  const reposition = () => {
+    // --- Batched read phase ---
+    const rects = boxes.map(({ el }) =>
+      el.isConnected ? el.getBoundingClientRect() : null,
+    );
+
+    // --- Batched write phase ---
+    boxes.forEach(({ box }, i) => {
+      const rect = rects[i];
+      box.hidden = !rect || (!rect.width && !rect.height);
+      if (box.hidden) return;
+      box.style.top = `${rect.top}px`;
+      box.style.left = `${rect.left}px`;
+      box.style.width = `${rect.width}px`;
+      box.style.height = `${rect.height}px`;
+    });
+  };
+  reposition();
+  addSharedCallback(reposition);
+
+  return {
+    overlay,
+    boxes,
+    remove() {
+      removeSharedCallback(reposition);
+      overlay.remove();
+    },
+  };
+}
+
 /**
  * Creates a fixed-position overlay <span> that tracks any element's bounding
  * box in the viewport. Participates in the shared RAF-throttled update cycle.
@@ -211,6 +272,74 @@ export function getReadableSelector(el) {
   return tag;
 }
 
+/**
+ * CSS path that matches exactly `el`: `tag:nth-of-type(n)` steps up to the
+ * closest ancestor with an id that is unique on the page (or <body>).
+ * Unlike getReadableSelector(), siblings with the same classes get
+ * different paths – ignore rules for single findings are keyed on it.
+ *
+ * @param {Element} el
+ * @returns {string}
+ */
+export function getUniqueSelector(el) {
+  const steps = [];
+  for (let node = el; node; node = node.parentElement) {
+    const tag = node.tagName.toLowerCase();
+    if (node.id) {
+      const id = `#${CSS.escape(node.id)}`;
+      if (document.querySelectorAll(id).length === 1) {
+        steps.unshift(id);
+        break;
+      }
+    }
+    if (tag === "body" || tag === "html") {
+      steps.unshift(tag);
+      break;
+    }
+    const siblings = [...(node.parentElement?.children ?? [])].filter(
+      (sibling) => sibling.tagName === node.tagName,
+    );
+    steps.unshift(
+      siblings.length > 1
+        ? `${tag}:nth-of-type(${siblings.indexOf(node) + 1})`
+        : tag,
+    );
+  }
+  return steps.join(" > ");
+}
+
+// Optional detail fields a finding may carry (see createAudit AuditFinding)
+const FINDING_DETAIL_FIELDS = [
+  "message",
+  "rule",
+  "ruleUrl",
+  "measured",
+  "expected",
+  "fix",
+];
+
+/**
+ * Serializable copy of a finding for exports, history and the headless
+ * runner: the element reference becomes its readable selector and only
+ * detail fields that are set are kept.
+ *
+ * @param {{el?: Element, selector?: string, severity?: string}} finding
+ * @returns {{selector: string, severity: 'error'|'warning', message?: string, rule?: string, ruleUrl?: string, measured?: string, expected?: string, fix?: string}}
+ */
+export function serializeFinding(finding) {
+  const result = {
+    selector:
+      finding.selector ?? (finding.el ? getReadableSelector(finding.el) : ""),
+    severity: finding.severity === "warning" ? "warning" : "error",
+  };
+  FINDING_DETAIL_FIELDS.forEach((field) => {
+    if (finding[field] != null && finding[field] !== "") {
+      result[field] = String(finding[field]);
+    }
+  });
+  return result;
+}
+
 /**
  * Highlights a set of elements by injecting a positioned overlay, scrolls to
  * the first result, and updates the counter badge on the toolbar menu item.
@@ -218,7 +347,7 @@ export function getReadableSelector(el) {
  *
  * @param {Element[]}  elements        - Elements to mark
  * @param {string}     key             - Audit key (e.g. 'images-without-alt')
- * @param {object}     context         - Alpine toolbar component instance
+ * @param {object}     context         - Alpine toolbar component instance (or headless runner context)
  * @param {object}     [options={}]    - Options
  * @param {'error'|'warning'} [options.severity='error'] - Visual severity level
  * @param {boolean}    [options.skipBadge=false]  - Skip badge + scroll update
@@ -240,20 +369,23 @@ export function applyHighlight(elements, key, context, options = {}) {
     return;
   }
   const cls = `mageforge-audit-${key}`;
-  elements.forEach((el) => {
-    el.classList.add(cls);
-    const existing = overlayRegistry.get(el);
-    if (existing) {
-      existing.keys.add(key);
-    } else {
-      overlayRegistry.set(el, {
-        cleanup: createOverlay(el, severity),
-        keys: new Set([key]),
-      });
-    }
-  });
+  // Headless runs only report findings and leave the page DOM untouched
+  if (!context.headless) {
+    elements.forEach((el) => {
+      el.classList.add(cls);
+      const existing = overlayRegistry.get(el);
+      if (existing) {
+        existing.keys.add(key);
+      } else {
+        overlayRegistry.set(el, {
+          cleanup: createOverlay(el, severity),
+          keys: new Set([key]),
+        });
+      }
+    });
+  }
   if (!skipBadge) {
-    if (!context._batchRunning) {
+    if (!context._batchRunning && !context._liveRun) {
       elements[0].scrollIntoView({ behavior: "smooth", block: "center" });
     }
     context.setAuditCounterBadge(key, `${elements.length}`, severity);
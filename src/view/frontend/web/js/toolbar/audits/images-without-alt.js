@@ -35,6 +35,26 @@ export default createAudit(
     // Warnings: explicit alt="" – intentionally decorative, but flagged for review
     const warnings = visible.filter((img) => img.getAttribute("alt") === "");
 
-    return { errors, warnings };
+    const rule = {
+      rule: "WCAG 2.2 SC 1.1.1 (A)",
+      ruleUrl:
+        "https://www.w3.org/WAI/WCAG22/Understanding/non-text-content.html",
+    };
+    return {
+      errors: errors.map((el) => ({
+        el,
+        message: el.hasAttribute("alt")
+          ? "alt contains only whitespace"
+          : "alt attribute is missing",
+        fix: 'Describe the image in alt, or use alt="" if it is purely decorative',
+        ...rule,
+      })),
+      warnings: warnings.map((el) => ({
+        el,
+        message: 'alt="" marks the image as decorative',
+        fix: "Confirm the image conveys no information; otherwise describe it in alt",
+        ...rule,
+      })),
+    };
   },
 );
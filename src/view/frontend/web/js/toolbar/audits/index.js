@@ -9,19 +9,35 @@
  * 1. Add an entry to `auditGroups`
  * 2. Set `group: '<key>'` on the relevant audits below
  *
+ * Third-party audits can be added at runtime without touching this file via
+ * `window.MageForge.registerAudit()` / `registerAuditGroup()`. The API is
+ * available once the toolbar has rendered; listen for the
+ * `mageforge:toolbar:ready` window event if your script may load earlier.
+ * Both functions validate their input and throw a TypeError on bad shapes.
+ *
  * @typedef {object} AuditDefinition
  * @property {string}  key         - Unique identifier
  * @property {string}  icon        - Emoji or SVG string shown in menu
  * @property {string}  label       - Short display name
  * @property {string}  description - Tooltip / subtitle text
  * @property {string}  [group]     - Optional group key (must match an AuditGroup key)
- * @property {function(object, boolean): void} run - Audit logic; receives Alpine component as context and active state
+ * @property {number}  [timeout]   - Max run time in ms before the audit is reported as failed
+ * @property {import('../scoring.js').AuditImpact} [impact] - How much each finding costs (default "moderate")
+ * @property {number}  [weight]    - Relative importance within its group (default 1)
+ * @property {boolean} [scoped]    - Honours the audit scope (set by createAudit); other audits are
+ *   skipped while the toolbar is scoped to a subtree
+ * @property {function(object, boolean, {signal?: AbortSignal}=): (void|Promise<void>)} run
+ *   Audit logic; receives Alpine component as context and active state. May return a
+ *   Promise – the dispatcher awaits it and aborts the signal on timeout or deactivation.
  *
  * @typedef {object} AuditGroup
- * @property {string} key   - Unique group identifier
- * @property {string} label - Display name shown as group header
+ * @property {string} key    - Unique group identifier
+ * @property {string} label  - Display name shown as group header
+ * @property {string} [icon] - Optional SVG string for the nav tab (defaults to GROUP_ICONS)
+ * @property {number} [weight] - Weight of the group score in the overall score (default 1)
  */
 
+import ariaValidity from "./aria-validity.js";
 import buttonsWithoutType from "./buttons-without-type.js";
 import duplicateIds from "./duplicate-ids.js";
 import emptyInteractive from "./empty-interactive.js";
@@ -30,10 +46,13 @@ import imagesWithoutDimensions from "./images-without-dimensions.js";
 import imagesWithoutLazyLoad from "./images-without-lazy-load.js";
 import inlineEventHandlers from "./inline-event-handlers.js";
 import inputsWithoutLabel from "./inputs-without-label.js";
+import layoutShifts from "./layout-shifts.js";
 import lowContrastText from "./low-contrast-text.js";
+import mainThreadBlockers from "./main-thread-blockers.js";
 import missingLandmarks from "./missing-landmarks.js";
 import multipleH1 from "./multiple-h1.js";
 import nestedInteractive from "./nested-interactive.js";
+import performanceBudgets from "./performance-budgets.js";
 import renderBlockingScripts from "./render-blocking-scripts.js";
 import seoDuplicateMeta from "./seo-duplicate-meta.js";
 import seoHeadingHierarchy from "./seo-heading-hierarchy.js";
@@ -48,42 +67,166 @@ import smallTouchTargets from "./small-touch-targets.js";
 import svgIconsAriaHidden from "./svg-icons-aria-hidden.js";
 import tabOrder from "./tab-order.js";
 import unsafeBlankTarget from "./unsafe-blank-target.js";
+import { IMPACT_LEVELS } from "../scoring.js";
 
 /** @type {AuditGroup[]} */
 export const auditGroups = [
-  { key: "seo", label: "SEO" },
-  { key: "structured-data", label: "Structured Data" },
-  { key: "performance", label: "Performance" },
-  { key: "html-quality", label: "HTML Quality" },
-  { key: "wcag", label: "Accessibility" },
+  { key: "seo", label: "SEO", weight: 2 },
+  { key: "structured-data", label: "Structured Data", weight: 1 },
+  { key: "performance", label: "Performance", weight: 2 },
+  { key: "html-quality", label: "HTML Quality", weight: 1 },
+  { key: "wcag", label: "Accessibility", weight: 3 },
 ];
 
 /** @type {AuditDefinition[]} */
 export const audits = [
-  { ...imagesWithoutAlt, group: "wcag" },
-  { ...inputsWithoutLabel, group: "wcag" },
-  { ...lowContrastText, group: "wcag" },
-  { ...tabOrder, group: "wcag" },
-  { ...multipleH1, group: "wcag" },
-  { ...emptyInteractive, group: "wcag" },
-  { ...buttonsWithoutType, group: "wcag" },
-  { ...smallTouchTargets, group: "wcag" },
-  { ...missingLandmarks, group: "wcag" },
-  { ...svgIconsAriaHidden, group: "wcag" },
-  { ...duplicateIds, group: "html-quality" },
-  { ...unsafeBlankTarget, group: "html-quality" },
-  { ...inlineEventHandlers, group: "html-quality" },
-  { ...nestedInteractive, group: "html-quality" },
-  { ...imagesWithoutDimensions, group: "performance" },
-  { ...imagesWithoutLazyLoad, group: "performance" },
-  { ...renderBlockingScripts, group: "performance" },
-  { ...seoMissingTitle, group: "seo" },
-  { ...seoMissingMetaDescription, group: "seo" },
-  { ...seoMissingCanonical, group: "seo" },
-  { ...seoMissingLang, group: "seo" },
-  { ...seoHeadingHierarchy, group: "seo" },
-  { ...seoDuplicateMeta, group: "seo" },
-  { ...structuredMissingJsonLd, group: "structured-data" },
-  { ...structuredJsonLdViewer, group: "structured-data" },
-  { ...schemaOrgViewer, group: "structured-data" },
+  { ...imagesWithoutAlt, group: "wcag", impact: "serious" },
+  { ...inputsWithoutLabel, group: "wcag", impact: "critical" },
+  { ...lowContrastText, group: "wcag", impact: "serious" },
+  { ...tabOrder, group: "wcag", impact: "moderate" },
+  { ...multipleH1, group: "wcag", impact: "minor" },
+  { ...emptyInteractive, group: "wcag", impact: "critical" },
+  { ...buttonsWithoutType, group: "wcag", impact: "minor" },
+  { ...smallTouchTargets, group: "wcag", impact: "moderate" },
+  { ...missingLandmarks, group: "wcag", impact: "moderate" },
+  { ...svgIconsAriaHidden, group: "wcag", impact: "minor" },
+  { ...ariaValidity, group: "wcag", impact: "serious" },
+  { ...duplicateIds, group: "html-quality", impact: "moderate" },
+  { ...unsafeBlankTarget, group: "html-quality", impact: "minor" },
+  { ...inlineEventHandlers, group: "html-quality", impact: "minor" },
+  { ...nestedInteractive, group: "html-quality", impact: "serious" },
+  { ...imagesWithoutDimensions, group: "performance", impact: "moderate" },
+  { ...imagesWithoutLazyLoad, group: "performance", impact: "minor" },
+  { ...renderBlockingScripts, group: "performance", impact: "serious" },
+  { ...layoutShifts, group: "performance", impact: "serious" },
+  { ...mainThreadBlockers, group: "performance", impact: "serious" },
+  { ...performanceBudgets, group: "performance", impact: "serious" },
+  { ...seoMissingTitle, group: "seo", impact: "critical" },
+  { ...seoMissingMetaDescription, group: "seo", impact: "serious" },
+  { ...seoMissingCanonical, group: "seo", impact: "moderate" },
+  { ...seoMissingLang, group: "seo", impact: "serious" },
+  { ...seoHeadingHierarchy, group: "seo", impact: "minor" },
+  { ...seoDuplicateMeta, group: "seo", impact: "moderate" },
+  { ...structuredMissingJsonLd, group: "structured-data", impact: "moderate" },
+  { ...structuredJsonLdViewer, group: "structured-data", impact: "moderate" },
+  { ...schemaOrgViewer, group: "structured-data", impact: "minor" },
 ];
+
+/** Keys end up in CSS class names and attribute selectors – keep them simple. */
+const KEY_PATTERN = /^[a-z0-9][a-z0-9-]*$/;
+
+/**
+ * Validate the shape of an AuditDefinition.
+ *
+ * @param {unknown} definition
+ * @returns {string|null} Reason the definition is invalid, or null when valid
+ */
+export function validateAuditDefinition(definition) {
+  if (!definition || typeof definition !== "object") {
+    return "definition must be an object";
+  }
+  const { key, icon, label, description, group, run } = definition;
+  if (typeof key !== "string" || !KEY_PATTERN.test(key)) {
+    return `"key" must be a lowercase kebab-case string, got ${JSON.stringify(key)}`;
+  }
+  if (typeof label !== "string" || !label.trim()) {
+    return `"label" must be a non-empty string (audit "${key}")`;
+  }
+  if (typeof icon !== "string") {
+    return `"icon" must be an SVG or emoji string (audit "${key}")`;
+  }
+  if (typeof description !== "string") {
+    return `"description" must be a string (audit "${key}")`;
+  }
+  if (typeof run !== "function") {
+    return `"run" must be a function (audit "${key}")`;
+  }
+  if (
+    definition.timeout !== undefined &&
+    !(Number.isFinite(definition.timeout) && definition.timeout > 0)
+  ) {
+    return `"timeout" must be a positive number of ms (audit "${key}")`;
+  }
+  if (
+    definition.impact !== undefined &&
+    !Object.hasOwn(IMPACT_LEVELS, definition.impact)
+  ) {
+    return `"impact" must be one of ${Object.keys(IMPACT_LEVELS).join(", ")} (audit "${key}")`;
+  }
+  if (
+    definition.weight !== undefined &&
+    !(Number.isFinite(definition.weight) && definition.weight > 0)
+  ) {
+    return `"weight" must be a positive number (audit "${key}")`;
+  }
+  if (typeof group !== "string" || !auditGroups.some((g) => g.key === group)) {
+    return `"group" must be the key of a registered group (audit "${key}")`;
+  }
+  if (audits.some((a) => a.key === key)) {
+    return `an audit with key "${key}" is already registered`;
+  }
+  return null;
+}
+
+/**
+ * Validate the shape of an AuditGroup.
+ *
+ * @param {unknown} group
+ * @returns {string|null} Reason the group is invalid, or null when valid
+ */
+export function validateAuditGroup(group) {
+  if (!group || typeof group !== "object") {
+    return "group must be an object";
+  }
+  const { key, label, icon } = group;
+  if (typeof key !== "string" || !KEY_PATTERN.test(key)) {
+    return `"key" must be a lowercase kebab-case string, got ${JSON.stringify(key)}`;
+  }
+  if (typeof label !== "string" || !label.trim()) {
+    return `"label" must be a non-empty string (group "${key}")`;
+  }
+  if (icon !== undefined && typeof icon !== "string") {
+    return `"icon" must be an SVG string when given (group "${key}")`;
+  }
+  if (
+    group.weight !== undefined &&
+    !(Number.isFinite(group.weight) && group.weight > 0)
+  ) {
+    return `"weight" must be a positive number (group "${key}")`;
+  }
+  if (auditGroups.some((g) => g.key === key)) {
+    return `a group with key "${key}" is already registered`;
+  }
+  return null;
+}
+
+/**
+ * Add an audit to the registry. Everything that iterates `audits` (dispatcher,
+ * scoring, export) picks it up from here on.
+ *
+ * @param {AuditDefinition} definition
+ * @returns {AuditDefinition} The registered copy
+ * @throws {TypeError} When the definition is invalid
+ */
+export function registerAudit(definition) {
+  const error = validateAuditDefinition(definition);
+  if (error) throw new TypeError(`[MageForge] Cannot register audit: ${error}`);
+  const audit = { ...definition };
+  audits.push(audit);
+  return audit;
+}
+
+/**
+ * Add an audit group to the registry.
+ *
+ * @param {AuditGroup} group
+ * @returns {AuditGroup} The registered copy
+ * @throws {TypeError} When the group is invalid
+ */
+export function registerAuditGroup(group) {
+  const error = validateAuditGroup(group);
+  if (error) throw new TypeError(`[MageForge] Cannot register group: ${error}`);
+  const registered = { ...group };
+  auditGroups.push(registered);
+  return registered;
+}
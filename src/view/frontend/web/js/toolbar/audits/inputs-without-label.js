@@ -2,10 +2,12 @@
  * MageForge Toolbar Audit – Inputs without label
  *
  * Form inputs without an associated label or aria-label are inaccessible
- * to screen reader users.
+ * to screen reader users. The name is computed per accname 1.2 (see
+ * accname.js); fields named only by placeholder or title are warnings.
  */
 
 import { createAudit } from "./createAudit.js";
+import { computeAccessibleName } from "../../accname.js";
 
 export default createAudit(
   {
@@ -15,38 +17,41 @@ export default createAudit(
     description: "Highlight form inputs missing a label or aria-label",
   },
   () => {
-    return Array.from(
-      document.querySelectorAll(
+    /** @type {import('./createAudit.js').AuditFinding[]} */
+    const errors = [];
+    /** @type {import('./createAudit.js').AuditFinding[]} */
+    const warnings = [];
+
+    document
+      .querySelectorAll(
         'input:not([type="hidden"]):not([type="submit"]):not([type="button"]):not([type="reset"]):not([type="image"]), select, textarea',
-      ),
-    ).filter((input) => {
-      // aria-label or aria-labelledby present
-      if (
-        input.hasAttribute("aria-label") &&
-        input.getAttribute("aria-label").trim()
-      )
-        return false;
-      if (
-        input.hasAttribute("aria-labelledby") &&
-        input
-          .getAttribute("aria-labelledby")
-          .trim()
-          .split(/\s+/)
-          .some((id) => document.getElementById(id))
       )
-        return false;
-      // title as fallback label
-      if (input.hasAttribute("title") && input.getAttribute("title").trim())
-        return false;
-      // <label for="id"> association
-      if (
-        input.id &&
-        document.querySelector(`label[for="${CSS.escape(input.id)}"]`)
-      )
-        return false;
-      // implicit label (input is a descendant of <label>)
-      if (input.closest("label")) return false;
-      return true;
-    });
+      .forEach((input) => {
+        const { name, source } = computeAccessibleName(input);
+        if (!name) {
+          errors.push({
+            el: input,
+            message: "Form field has no accessible name",
+            fix: 'Add a <label for="…">, wrap the field in a <label> or set aria-label / aria-labelledby',
+            rule: "WCAG 2.2 SC 4.1.2 (A)",
+            ruleUrl:
+              "https://www.w3.org/WAI/WCAG22/Understanding/name-role-value",
+          });
+        } else if (source === "placeholder" || source === "title attribute") {
+          // Placeholders vanish on input, tooltips never show on touch
+          warnings.push({
+            el: input,
+            message: `Form field is only named by its ${source}`,
+            measured: `"${name}" (${source})`,
+            expected: "<label>, aria-labelledby or aria-label",
+            fix: "Add a visible <label> – placeholder and title are not a replacement",
+            rule: "WCAG 2.2 SC 3.3.2 (A)",
+            ruleUrl:
+              "https://www.w3.org/WAI/WCAG22/Understanding/labels-or-instructions",
+          });
+        }
+      });
+
+    return { errors, warnings };
   },
 );
@@ -0,0 +1,297 @@
+/**
+ * MageForge Toolbar Audit – Layout shift culprits
+ *
+ * Finds the elements that moved in the worst CLS session window (the one
+ * that defines the page's Cumulative Layout Shift) and outlines where each
+ * of them was before the shift (dashed) and where it ended up (solid).
+ *
+ * Errors:   element shifted in a window with CLS > 0.25 (poor)
+ * Warnings: element shifted in a window with CLS > 0.1 (needs improvement)
+ *
+ * Shifts within 500 ms of user input do not count, as in Core Web Vitals.
+ * The before/after boxes are anchored to the element's current position,
+ * so they follow it on scroll.
+ *
+ * Icon source: Tabler Icons (MIT)
+ */
+
+import { createAudit } from "./createAudit.js";
+import { addSharedCallback, removeSharedCallback } from "./highlight.js";
+import {
+  CLS_GOOD,
+  CLS_POOR,
+  formatWindowTime,
+  getBufferedLayoutShifts,
+  getSessionWindows,
+  getWorstSessionWindow,
+} from "../../layout-shift.js";
+
+const KEY = "layout-shifts";
+const DESCRIPTION =
+  "Outlines what moved in the worst CLS session window (before → after)";
+const OVERLAY_ID = "mageforge-layout-shift-overlay";
+const CSS_ID = "mageforge-layout-shift-css";
+const CSS_URL = new URL(
+  "../../../css/audits/layout-shifts.css",
+  import.meta.url,
+).href;
+
+function injectCss() {
+  if (document.getElementById(CSS_ID)) {
+    return;
+  }
+  const link = document.createElement("link");
+  link.id = CSS_ID;
+  link.rel = "stylesheet";
+  link.href = CSS_URL;
+  document.head.appendChild(link);
+}
+
+/**
+ * @typedef {object} ShiftCulprit
+ * @property {Element} el
+ * @property {number}  value        – Sum of the shifts the element took part in
+ * @property {number}  count        – Number of those shifts
+ * @property {number}  time         – Time of its first shift (ms)
+ * @property {DOMRectReadOnly} previousRect – Rect before its first shift
+ * @property {DOMRectReadOnly} currentRect  – Rect after its last shift
+ * @property {object}  lastShift    – Last shift counted for the element
+ */
+
+/**
+ * Culprits of the last run, kept for the overlay.
+ *
+ * @type {{ culprits: ShiftCulprit[], boxes: HTMLElement[][] } | null}
+ */
+let overlayState = null;
+
+/**
+ * One entry per shifted element of the window, in order of first shift.
+ *
+ * @param {import('../../layout-shift.js').SessionWindow} session
+ * @returns {ShiftCulprit[]}
+ */
+function getCulprits(session) {
+  /** @type {Map<Element, ShiftCulprit>} */
+  const culprits = new Map();
+  session.shifts.forEach((shift) => {
+    shift.sources.forEach(({ node, previousRect, currentRect }) => {
+      const el =
+        node?.nodeType === Node.ELEMENT_NODE ? node : node?.parentElement;
+      if (!el?.isConnected) return;
+
+      const culprit = culprits.get(el);
+      if (culprit) {
+        // A node listed twice in one entry still counts that shift once
+        if (culprit.lastShift !== shift) {
+          culprit.value += shift.value;
+          culprit.count++;
+        }
+        culprit.lastShift = shift;
+        culprit.currentRect = currentRect;
+        return;
+      }
+      culprits.set(el, {
+        el,
+        value: shift.value,
+        count: 1,
+        time: shift.time,
+        previousRect,
+        currentRect,
+        lastShift: shift,
+      });
+    });
+  });
+  return [...culprits.values()];
+}
+
+/**
+ * "Moved 120px down, 8px right" etc.
+ *
+ * @param {DOMRectReadOnly} before
+ * @param {DOMRectReadOnly} after
+ * @returns {string}
+ */
+function describeMove(before, after) {
+  if (!before.width && !before.height) return "Appeared";
+  if (!after.width && !after.height) return "Disappeared";
+
+  const dx = Math.round(after.x - before.x);
+  const dy = Math.round(after.y - before.y);
+  const parts = [];
+  if (dy) parts.push(`${Math.abs(dy)}px ${dy > 0 ? "down" : "up"}`);
+  if (dx) parts.push(`${Math.abs(dx)}px ${dx > 0 ? "right" : "left"}`);
+
+  const resized =
+    Math.round(before.width) !== Math.round(after.width) ||
+    Math.round(before.height) !== Math.round(after.height);
+  const size = (rect) => `${Math.round(rect.width)}×${Math.round(rect.height)}`;
+  if (resized) parts.push(`resized ${size(before)} → ${size(after)}`);
+
+  return parts.length ? `Moved ${parts.join(", ")}` : "Shifted";
+}
+
+/**
+ * Viewport position of a recorded rect, moved along with the element since
+ * the shift (scrolling, later layout changes).
+ *
+ * @param {DOMRectReadOnly} rect
+ * @param {DOMRectReadOnly} anchor – Recorded rect after the shift
+ * @param {DOMRect} live           – Element's rect now
+ * @returns {{ left: number, top: number, width: number, height: number }}
+ */
+function toViewport(rect, anchor, live) {
+  return {
+    left: rect.x + live.left - anchor.x,
+    top: rect.y + live.top - anchor.y,
+    width: rect.width,
+    height: rect.height,
+  };
+}
+
+/**
+ * Draw before/after boxes for each culprit.
+ *
+ * @param {ShiftCulprit[]} culprits
+ */
+function renderOverlay(culprits) {
+  document.getElementById(OVERLAY_ID)?.remove();
+
+  const overlay = document.createElement("div");
+  overlay.id = OVERLAY_ID;
+  overlay.className = "mageforge-layout-shift-overlay";
+  overlay.setAttribute("aria-hidden", "true");
+
+  const boxes = culprits.map((culprit) => {
+    const before = document.createElement("div");
+    before.className =
+      "mageforge-layout-shift-box mageforge-layout-shift-box--before";
+    const after = document.createElement("div");
+    after.className =
+      "mageforge-layout-shift-box mageforge-layout-shift-box--after";
+    after.dataset.value = culprit.value.toFixed(3);
+    overlay.append(before, after);
+    return [before, after];
+  });
+
+  document.body.appendChild(overlay);
+  overlayState = { culprits, boxes };
+  repositionOverlay();
+}
+
+/**
+ * Shared per-frame callback: follow the elements on scroll/resize.
+ */
+function repositionOverlay() {
+  if (!overlayState || !document.getElementById(OVERLAY_ID)) return;
+
+  const { culprits, boxes } = overlayState;
+
+  // --- Batched read phase ---
+  const rects = culprits.map(({ el }) =>
+    el.isConnected ? el.getBoundingClientRect() : null,
+  );
+
+  // --- Batched write phase ---
+  culprits.forEach((culprit, i) => {
+    const [before, after] = boxes[i];
+    const live = rects[i];
+    before.hidden = after.hidden = !live;
+    if (!live) return;
+
+    [
+      [before, culprit.previousRect],
+      [after, culprit.currentRect],
+    ].forEach(([box, rect]) => {
+      const { left, top, width, height } = toViewport(
+        rect,
+        culprit.currentRect,
+        live,
+      );
+      box.hidden = !width && !height;
+      box.style.left = `${left}px`;
+      box.style.top = `${top}px`;
+      box.style.width = `${width}px`;
+      box.style.height = `${height}px`;
+    });
+  });
+}
+
+function removeOverlay() {
+  removeSharedCallback(repositionOverlay);
+  overlayState = null;
+  document.getElementById(OVERLAY_ID)?.remove();
+}
+
+/** @type {ShiftCulprit[]} */
+let lastCulprits = [];
+
+const audit = createAudit(
+  {
+    key: KEY,
+    icon: '<svg xmlns="http://www.w3.org/2000/svg" width="24" height="24" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><path stroke="none" d="M0 0h24v24H0z" fill="none"></path><path d="M3 3m0 2a2 2 0 0 1 2 -2h4a2 2 0 0 1 2 2v4a2 2 0 0 1 -2 2h-4a2 2 0 0 1 -2 -2z"></path><path d="M13 13m0 2a2 2 0 0 1 2 -2h4a2 2 0 0 1 2 2v4a2 2 0 0 1 -2 2h-4a2 2 0 0 1 -2 -2z"></path><path d="M7 14v3a2 2 0 0 0 2 2h3"></path><path d="M17 10v-3a2 2 0 0 0 -2 -2h-3"></path></svg>',
+    label: "Layout Shift Culprits",
+    description: DESCRIPTION,
+  },
+  (context) => {
+    lastCulprits = [];
+    const windows = getSessionWindows(getBufferedLayoutShifts());
+    const worst = getWorstSessionWindow(windows);
+
+    if (typeof context?.setAuditDescription === "function") {
+      context.setAuditDescription(
+        KEY,
+        worst
+          ? `Page CLS ${worst.value.toFixed(3)} – worst of ${windows.length} session window${windows.length === 1 ? "" : "s"} (${formatWindowTime(worst)})`
+          : "No layout shifts recorded",
+      );
+    }
+    if (!worst || worst.value <= CLS_GOOD) {
+      return [];
+    }
+
+    lastCulprits = getCulprits(worst).filter(
+      ({ el }) => context.isInAuditScope?.(el) ?? true,
+    );
+    const findings = lastCulprits.map((culprit) => ({
+      el: culprit.el,
+      message: `${describeMove(culprit.previousRect, culprit.currentRect)} at ${Math.round(culprit.time)} ms${culprit.count > 1 ? ` (${culprit.count} shifts)` : ""}`,
+      measured: `${culprit.value.toFixed(3)} of page CLS ${worst.value.toFixed(3)}`,
+      expected: `Page CLS ≤ ${CLS_GOOD}`,
+      fix: "Reserve space for late content (width/height, aspect-ratio, min-height) and avoid inserting content above existing content",
+      rule: "Core Web Vitals – CLS",
+      ruleUrl: "https://web.dev/articles/cls",
+    }));
+
+    return worst.value > CLS_POOR
+      ? { errors: findings, warnings: [] }
+      : { errors: [], warnings: findings };
+  },
+);
+
+/** @type {import('./index.js').AuditDefinition} */
+export default {
+  ...audit,
+
+  /**
+   * @param {object} context - Alpine toolbar component instance
+   * @param {boolean} active  - true = activate, false = deactivate
+   * @param {{ signal?: AbortSignal }} [options]
+   */
+  async run(context, active, options = {}) {
+    removeOverlay();
+    await audit.run(context, active, options);
+    if (!active || options.signal?.aborted || context?.headless) return;
+
+    // Ignored findings get no overlay, like in applyHighlight()
+    const { active: shown } = context.partitionSuppressed?.(
+      KEY,
+      lastCulprits,
+    ) ?? { active: lastCulprits };
+    if (!shown.length) return;
+
+    injectCss();
+    renderOverlay(shown);
+    addSharedCallback(repositionOverlay);
+  },
+};
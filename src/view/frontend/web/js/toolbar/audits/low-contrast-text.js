@@ -8,9 +8,23 @@
 
 import { createAudit } from "./createAudit.js";
 
-const _colorCanvas = document.createElement("canvas");
-_colorCanvas.width = _colorCanvas.height = 1;
-const _colorCtx = _colorCanvas.getContext("2d", { willReadFrequently: true });
+/** @type {CanvasRenderingContext2D|null|undefined} Created on first use */
+let _colorCtx;
+
+/**
+ * 1×1 canvas context used for colour parsing. Created lazily so the module
+ * can be imported before a document exists (headless runner in Node).
+ *
+ * @returns {CanvasRenderingContext2D|null} null when canvas is unsupported (e.g. jsdom)
+ */
+function colorContext() {
+  if (_colorCtx === undefined) {
+    const canvas = document.createElement("canvas");
+    canvas.width = canvas.height = 1;
+    _colorCtx = canvas.getContext("2d", { willReadFrequently: true });
+  }
+  return _colorCtx;
+}
 
 /**
  * Parse any CSS color string the browser understands into [r, g, b, a].
@@ -21,6 +35,8 @@ const _colorCtx = _colorCanvas.getContext("2d", { willReadFrequently: true });
  */
 function parseColor(color) {
   if (!color || color === "transparent") return null;
+  const _colorCtx = colorContext();
+  if (!_colorCtx) return null;
   _colorCtx.clearRect(0, 0, 1, 1);
   _colorCtx.fillStyle = "#fe01fe"; // sentinel: vivid pink never used as real text color
   const sentinel = _colorCtx.fillStyle; // read back canonical form
@@ -176,15 +192,29 @@ export default createAudit(
       return hasDirectText(el);
     });
 
-    return candidates.filter((el) => {
+    const findings = [];
+    candidates.forEach((el) => {
       const style = getComputedStyle(el);
       const fg = parseColor(style.color);
-      if (!fg || fg[3] === 0) return false;
+      if (!fg || fg[3] === 0) return;
 
       const bg = effectiveBackground(el);
       const ratio = contrastRatio(fg, bg);
-      const threshold = isLargeText(el) ? 3 : 4.5;
-      return ratio < threshold;
+      const large = isLargeText(el);
+      const threshold = large ? 3 : 4.5;
+      if (ratio >= threshold) return;
+
+      findings.push({
+        el,
+        message: `${large ? "Large" : "Normal"} text rgb(${fg.slice(0, 3).join(", ")}) on rgb(${bg.join(", ")})`,
+        measured: `${(Math.floor(ratio * 100) / 100).toFixed(2)}:1`,
+        expected: `≥ ${threshold}:1`,
+        fix: "Darken the text or lighten the background (or vice versa) until the ratio meets the minimum",
+        rule: "WCAG 2.2 SC 1.4.3 (AA)",
+        ruleUrl:
+          "https://www.w3.org/WAI/WCAG22/Understanding/contrast-minimum.html",
+      });
     });
+    return findings;
   },
 );
@@ -0,0 +1,113 @@
+/**
+ * MageForge Toolbar Audit – Main-thread blockers
+ *
+ * Ranks the scripts that blocked the main thread since navigation, using
+ * the Long Animation Frames API: RequireJS modules, Alpine components,
+ * third-party tags and inline scripts. Each source is one finding, shown on
+ * the element that initialises it (x-data, data-mage-init, <script src>)
+ * or as a page-level finding when there is none.
+ *
+ * Errors:   source blocked the main thread for more than 200 ms in total
+ *           (the whole page's "good" Total Blocking Time on its own)
+ * Warnings: source blocked the main thread for more than 50 ms in total
+ *
+ * Chromium only (123+); other browsers get an explanatory description.
+ *
+ * Icon source: Tabler Icons (MIT)
+ */
+
+import { createAudit } from "./createAudit.js";
+import {
+  BLOCKING_THRESHOLD,
+  SOURCE_KIND_LABELS,
+  getBufferedAnimationFrames,
+  getSourceElements,
+  groupBlockingTime,
+  isLoAFSupported,
+} from "../../long-animation-frames.js";
+
+const KEY = "main-thread-blockers";
+const TBT_GOOD = 200; // ms
+const RULE_URL =
+  "https://developer.chrome.com/docs/web-platform/long-animation-frames";
+
+const FIXES = {
+  requirejs:
+    "Initialise the module later (on interaction or when visible) or split its work with scheduler.yield() / setTimeout",
+  alpine:
+    "Keep init() and x-data setup light – defer heavy work until the component is used or visible",
+  "third-party":
+    "Load the tag with async/defer after the page is interactive, or replace it with a facade",
+  "first-party":
+    "Split long work into smaller tasks (scheduler.yield() / setTimeout) and defer what is not needed for the first render",
+  inline: "Move the code into a deferred script or split it into smaller tasks",
+  rendering:
+    "Reduce DOM size and style complexity, and avoid layout thrashing (reading layout right after writing styles)",
+};
+
+/**
+ * @param {import('../../long-animation-frames.js').MainThreadBlocker} blocker
+ * @returns {string}
+ */
+function describeBlocker(blocker) {
+  const parts = [
+    `${SOURCE_KIND_LABELS[blocker.kind]}: ${blocker.label}`,
+    `${blocker.frames} long frame${blocker.frames === 1 ? "" : "s"}`,
+  ];
+  if (blocker.functions.length) {
+    parts.push(`in ${blocker.functions.slice(0, 3).join(", ")}`);
+  }
+  return parts.join(" · ");
+}
+
+/** @type {import('./index.js').AuditDefinition} */
+export default createAudit(
+  {
+    key: KEY,
+    icon: '<svg xmlns="http://www.w3.org/2000/svg" width="24" height="24" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><path stroke="none" d="M0 0h24v24H0z" fill="none"></path><path d="M3 12a9 9 0 1 0 18 0a9 9 0 0 0 -18 0"></path><path d="M12 7v5l3 3"></path></svg>',
+    label: "Main-Thread Blockers",
+    description:
+      "Ranks scripts by main-thread blocking time (Long Animation Frames)",
+    // Scripts without a source element are page-level – a scoped run would
+    // drop them and report a clean main thread
+    scoped: false,
+  },
+  (context) => {
+    const describe = (text) => context.setAuditDescription?.(KEY, text);
+
+    if (!isLoAFSupported()) {
+      describe(
+        "Needs the Long Animation Frames API (Chromium 123+) – not available in this browser",
+      );
+      return [];
+    }
+
+    const frames = getBufferedAnimationFrames();
+    const total = frames.reduce((sum, f) => sum + f.blockingDuration, 0);
+    describe(
+      `${Math.round(total)} ms blocking time in ${frames.length} long animation frame${frames.length === 1 ? "" : "s"}`,
+    );
+
+    const errors = [];
+    const warnings = [];
+    groupBlockingTime(frames)
+      .filter((blocker) => blocker.blockingTime > BLOCKING_THRESHOLD)
+      .forEach((blocker) => {
+        const el = getSourceElements(blocker).find((node) => node.isConnected);
+        const finding = {
+          el,
+          // Page-level findings are labelled by their source
+          ...(el ? {} : { selector: blocker.label }),
+          message: describeBlocker(blocker),
+          measured: `${Math.round(blocker.blockingTime)} ms blocking (${Math.round(blocker.scriptTime)} ms script)`,
+          expected: `≤ ${BLOCKING_THRESHOLD} ms`,
+          fix: FIXES[blocker.kind],
+          rule: "Total Blocking Time",
+          ruleUrl: RULE_URL,
+        };
+        (blocker.blockingTime > TBT_GOOD ? errors : warnings).push(finding);
+      });
+
+    return { errors, warnings };
+  },
+);
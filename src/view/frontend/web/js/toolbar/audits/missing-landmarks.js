@@ -41,6 +41,7 @@ export default {
     const count = missing.length;
     const type = count > 0 ? "warning" : "success";
     context.setAuditCounterBadge(KEY, String(count), type);
+    context.setAuditIssueCount(KEY, 0, count);
 
     if (count > 0) {
       context.setAuditDescription(
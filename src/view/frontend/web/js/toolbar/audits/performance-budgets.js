@@ -0,0 +1,207 @@
+/**
+ * MageForge Toolbar Audit – Performance budgets
+ *
+ * Checks the page against the team's budgets (see toolbar/budgets.js):
+ *   - JavaScript and image bytes   (Resource Timing, excluding MageForge's
+ *                                   own modules)
+ *   - third-party requests         (Resource Timing, other origins)
+ *   - DOM nodes                    (excluding MageForge's own UI)
+ *   - Largest Contentful Paint     (buffered LCP entries)
+ *
+ * Every exceeded budget is one error with measured vs. allowed values. The
+ * LCP finding points at the LCP element; the others are page-level.
+ *
+ * Sizes use the compressed body size, so cached resources still count.
+ * Cross-origin resources without Timing-Allow-Origin report no size and
+ * are left out of the byte budgets (they still count as requests).
+ *
+ * Icon source: Tabler Icons (MIT)
+ */
+
+import { createAudit } from "./createAudit.js";
+import { BUDGET_DEFINITIONS, resolveBudgets } from "../budgets.js";
+import { isMageForgeAsset } from "../../mageforge-assets.js";
+
+const KEY = "performance-budgets";
+const RULE_URL = "https://web.dev/articles/performance-budgets-101";
+
+const FIXES = {
+  "js-kb":
+    "Remove unused JavaScript, split bundles and defer scripts that are not needed for the first render",
+  "image-kb":
+    "Serve WebP/AVIF, size images to their display size and lazy-load images below the fold",
+  "dom-nodes":
+    "Render fewer elements: paginate or lazy-render long lists and drop wrapper elements",
+  "lcp-ms":
+    "Preload the LCP image, do not lazy-load it and reduce render-blocking CSS and scripts",
+  "third-party-requests":
+    "Remove unused tags and load the rest after the page is interactive",
+};
+
+const IMAGE_PATTERN = /\.(avif|gif|jpe?g|png|svg|webp|ico)(\?|#|$)/i;
+const SCRIPT_PATTERN = /\.m?js(\?|#|$)/i;
+
+/**
+ * @param {PerformanceResourceTiming} entry
+ * @returns {number} Bytes
+ */
+function resourceSize(entry) {
+  return Math.max(entry.encodedBodySize || 0, entry.transferSize || 0);
+}
+
+/**
+ * @param {number} bytes
+ * @returns {number} Kilobytes, one decimal
+ */
+function toKb(bytes) {
+  return Math.round(bytes / 102.4) / 10;
+}
+
+/**
+ * Short name of a resource URL for messages.
+ *
+ * @param {string} url
+ * @returns {string}
+ */
+function fileName(url) {
+  try {
+    const { pathname, host } = new URL(url);
+    return pathname.split("/").filter(Boolean).pop() || host;
+  } catch (_) {
+    return url;
+  }
+}
+
+/**
+ * Total size and largest file of a set of resources.
+ *
+ * @param {PerformanceResourceTiming[]} entries
+ * @returns {{ kb: number, largest: string }}
+ */
+function measureBytes(entries) {
+  const sized = entries
+    .map((entry) => ({ entry, size: resourceSize(entry) }))
+    .filter(({ size }) => size > 0)
+    .sort((a, b) => b.size - a.size);
+  const total = sized.reduce((sum, { size }) => sum + size, 0);
+  const largest = sized[0]
+    ? `Largest: ${fileName(sized[0].entry.name)} (${toKb(sized[0].size)} KB)`
+    : "";
+  return { kb: toKb(total), largest };
+}
+
+/**
+ * Latest LCP candidate recorded so far.
+ *
+ * @returns {?{value: number, element: ?Element}}
+ */
+function measureLCP() {
+  if (
+    typeof PerformanceObserver === "undefined" ||
+    !PerformanceObserver.supportedEntryTypes?.includes(
+      "largest-contentful-paint",
+    )
+  ) {
+    return null;
+  }
+  const observer = new PerformanceObserver(() => {});
+  observer.observe({ type: "largest-contentful-paint", buffered: true });
+  const entries = observer.takeRecords();
+  observer.disconnect();
+
+  const last = entries[entries.length - 1];
+  return last ? { value: last.startTime, element: last.element ?? null } : null;
+}
+
+/**
+ * Measured value (in the budget's unit) plus context per budget key.
+ *
+ * @returns {Object<string, ?{value: number, detail?: string, el?: ?Element}>}
+ */
+function measure() {
+  // MageForge's own modules are not part of the page, as for dom-nodes
+  const resources = (performance.getEntriesByType?.("resource") ?? []).filter(
+    (r) => !isMageForgeAsset(r.name),
+  );
+  const scripts = resources.filter(
+    (r) => r.initiatorType === "script" || SCRIPT_PATTERN.test(r.name),
+  );
+  const images = resources.filter(
+    (r) =>
+      r.initiatorType === "img" ||
+      r.initiatorType === "image" ||
+      IMAGE_PATTERN.test(r.name),
+  );
+  const thirdParty = resources.filter((r) => {
+    try {
+      return new URL(r.name).origin !== location.origin;
+    } catch (_) {
+      return false;
+    }
+  });
+  const hosts = [...new Set(thirdParty.map((r) => new URL(r.name).host))];
+
+  const js = measureBytes(scripts);
+  const img = measureBytes(images);
+  const lcp = measureLCP();
+
+  return {
+    "js-kb": { value: js.kb, detail: js.largest },
+    "image-kb": { value: img.kb, detail: img.largest },
+    "dom-nodes": {
+      value: Array.from(document.getElementsByTagName("*")).filter(
+        (el) => !el.closest(".mageforge-toolbar, .mageforge-inspector"),
+      ).length,
+    },
+    "lcp-ms": lcp
+      ? {
+          value: Math.round(lcp.value),
+          el: lcp.element?.isConnected ? lcp.element : null,
+        }
+      : null,
+    "third-party-requests": {
+      value: thirdParty.length,
+      detail: hosts.length
+        ? `Hosts: ${hosts.slice(0, 5).join(", ")}${hosts.length > 5 ? ` +${hosts.length - 5}` : ""}`
+        : "",
+    },
+  };
+}
+
+/** @type {import('./index.js').AuditDefinition} */
+export default createAudit(
+  {
+    key: KEY,
+    icon: '<svg xmlns="http://www.w3.org/2000/svg" width="24" height="24" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><path stroke="none" d="M0 0h24v24H0z" fill="none"></path><path d="M12 13m-2 0a2 2 0 1 0 4 0a2 2 0 1 0 -4 0"></path><path d="M13.45 11.55l2.05 -2.05"></path><path d="M6.4 20a9 9 0 1 1 11.2 0z"></path></svg>',
+    label: "Performance Budgets",
+    description:
+      "Compares JS/image bytes, DOM size, LCP and third-party requests with the budgets",
+    // Page totals – a scoped run would drop them and report a clean page
+    scoped: false,
+  },
+  (context) => {
+    const budgets = context.getPerformanceBudgets?.() ?? resolveBudgets();
+    const measured = measure();
+
+    return BUDGET_DEFINITIONS.flatMap(({ key, label, unit }) => {
+      const result = measured[key];
+      const allowed = budgets[key];
+      if (!result || result.value <= allowed) return [];
+
+      return [
+        {
+          el: result.el ?? undefined,
+          ...(result.el ? {} : { selector: `Budget: ${label}` }),
+          message: [`${label} over budget`, result.detail]
+            .filter(Boolean)
+            .join(" · "),
+          measured: `${result.value} ${unit}`,
+          expected: `≤ ${allowed} ${unit}`,
+          fix: FIXES[key],
+          rule: "Performance budget",
+          ruleUrl: RULE_URL,
+        },
+      ];
+    });
+  },
+);
@@ -40,6 +40,7 @@ export default {
     const count = duplicates.length;
     const type = count > 0 ? "error" : "success";
     context.setAuditCounterBadge(KEY, String(count), type);
+    context.setAuditIssueCount(KEY, count);
 
     if (count > 0) {
       context.setAuditDescription(
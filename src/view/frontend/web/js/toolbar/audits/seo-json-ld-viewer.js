@@ -686,6 +686,12 @@ export default {
           ? "warning"
           : "success";
     context.setAuditCounterBadge(KEY, String(scripts.length), severity);
+    // The badge counts scripts; scoring counts their problems
+    context.setAuditIssueCount(
+      KEY,
+      parseErrorCount + validationErrorCount,
+      validationWarningCount,
+    );
 
     if (!findingsContainer) return;
 
@@ -32,20 +32,31 @@ export default createAudit(
       'textarea:not([disabled]):not([aria-disabled="true"])',
     ].join(", ");
 
-    return Array.from(document.querySelectorAll(selector)).filter((el) => {
-      if (el.matches('[disabled], [aria-disabled="true"]')) return false;
-      if (!el.offsetParent && getComputedStyle(el).position !== "fixed")
-        return false;
+    const findings = [];
+    Array.from(document.querySelectorAll(selector)).forEach((el) => {
+      if (el.matches('[disabled], [aria-disabled="true"]')) return;
+      if (!el.offsetParent && getComputedStyle(el).position !== "fixed") return;
       const style = getComputedStyle(el);
       if (
         style.visibility === "hidden" ||
         style.display === "none" ||
         parseFloat(style.opacity) === 0
       )
-        return false;
+        return;
 
       const rect = el.getBoundingClientRect();
-      return rect.width < MIN_SIZE || rect.height < MIN_SIZE;
+      if (rect.width >= MIN_SIZE && rect.height >= MIN_SIZE) return;
+
+      findings.push({
+        el,
+        measured: `${Math.round(rect.width)}×${Math.round(rect.height)} px`,
+        expected: `≥ ${MIN_SIZE}×${MIN_SIZE} px`,
+        fix: "Increase padding or min-width/min-height, or keep 24 px spacing to neighbouring targets",
+        rule: "WCAG 2.2 SC 2.5.8 (AA)",
+        ruleUrl:
+          "https://www.w3.org/WAI/WCAG22/Understanding/target-size-minimum.html",
+      });
     });
+    return findings;
   },
 );
@@ -227,7 +227,9 @@ export default {
    * @param {boolean} active  - true = activate, false = deactivate
    */
   run(context, active) {
-    injectCss();
+    // Headless runs (toolbar/runner.js) only report the count – no overlay
+    const visual = !context?.headless;
+    if (visual) injectCss();
 
     if (!active) {
       removeSharedCallback(repositionOverlay);
@@ -248,15 +250,19 @@ export default {
     }
 
     const sorted = sortByTabOrder(allFocusable);
-    const hasNegative = sorted.some((el) => getTabIndex(el) > 0);
+    const positive = sorted.filter((el) => getTabIndex(el) > 0).length;
 
-    renderOverlay(sorted);
+    if (visual) {
+      renderOverlay(sorted);
 
-    // Register repositionOverlay as a shared per-frame callback so badge
-    // positions are updated on scroll/resize without rebuilding the DOM.
-    addSharedCallback(repositionOverlay);
+      // Register repositionOverlay as a shared per-frame callback so badge
+      // positions are updated on scroll/resize without rebuilding the DOM.
+      addSharedCallback(repositionOverlay);
+    }
 
-    const type = hasNegative ? "error" : "success";
+    // The badge shows the tab stops; only positive tabindex values are issues
+    const type = positive > 0 ? "error" : "success";
     context.setAuditCounterBadge("tab-order", `${sorted.length}`, type);
+    context.setAuditIssueCount("tab-order", positive);
   },
 };
@@ -0,0 +1,38 @@
+/**
+ * MageForge Toolbar – Magento blocks on the page
+ *
+ * The blocks InspectorHints marked (`[data-mageforge-id]`, see the
+ * inspector's block detection) outside MageForge's own UI. The render-time
+ * heatmap and the cache explorer build their block lists from these.
+ */
+
+import { domMethods } from "../inspector/dom.js";
+
+/**
+ * @typedef {object} PageBlock
+ * @property {Element} el       – First element of the block
+ * @property {string}  id       – data-mageforge-id
+ * @property {string}  template
+ * @property {string}  module
+ * @property {object}  data     – Parsed block data (render time, cache, …)
+ */
+
+/**
+ * Blocks on the page, in document order.
+ *
+ * @returns {PageBlock[]}
+ */
+export function getPageBlocks() {
+  return domMethods.findAllMageForgeBlocks
+    .call(domMethods)
+    .map(({ data, elements }) => ({
+      el: elements[0],
+      id: data.id,
+      template: data.template || data.block || data.id,
+      module: data.module || "",
+      data,
+    }))
+    .filter(
+      (block) => !block.el.closest(".mageforge-toolbar, .mageforge-inspector"),
+    );
+}
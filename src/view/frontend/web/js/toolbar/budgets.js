@@ -0,0 +1,87 @@
+/**
+ * MageForge Toolbar – Performance budgets
+ *
+ * Limits the performance-budgets audit checks the page against. Defaults
+ * come from the toolbar root's data attributes (Stores › Configuration ›
+ * MageForge › Toolbar › Performance Budgets), e.g.
+ *
+ *   <div class="mageforge-toolbar-root" data-budget-js-kb="500" …>
+ *
+ * Values that are missing, not a number or not positive fall back to the
+ * built-in default.
+ */
+
+/**
+ * @typedef {object} BudgetDefinition
+ * @property {string} key     – Also the data attribute suffix (data-budget-<key>)
+ * @property {string} label
+ * @property {string} unit
+ * @property {number} default
+ */
+
+/** @type {BudgetDefinition[]} */
+export const BUDGET_DEFINITIONS = [
+  { key: "js-kb", label: "JavaScript size", unit: "KB", default: 500 },
+  { key: "image-kb", label: "Image size", unit: "KB", default: 1000 },
+  { key: "dom-nodes", label: "DOM nodes", unit: "nodes", default: 1500 },
+  {
+    key: "lcp-ms",
+    label: "Largest Contentful Paint",
+    unit: "ms",
+    default: 2500,
+  },
+  {
+    key: "third-party-requests",
+    label: "Third-party requests",
+    unit: "requests",
+    default: 20,
+  },
+];
+
+/** @typedef {Object<string, number>} PerformanceBudgets */
+
+/**
+ * @param {unknown} value
+ * @returns {number|null} Positive number, or null
+ */
+function toBudget(value) {
+  if (value === null || value === undefined || value === "") return null;
+  const number = Number(value);
+  return Number.isFinite(number) && number > 0 ? number : null;
+}
+
+/**
+ * Built-in defaults, overlaid with `overrides` where they are valid.
+ *
+ * @param {...Object<string, unknown>} overrides – Later sources win
+ * @returns {PerformanceBudgets}
+ */
+export function resolveBudgets(...overrides) {
+  return Object.fromEntries(
+    BUDGET_DEFINITIONS.map(({ key, default: fallback }) => {
+      const value = overrides.reduce(
+        (current, source) => toBudget(source?.[key]) ?? current,
+        fallback,
+      );
+      return [key, value];
+    }),
+  );
+}
+
+export const budgetMethods = {
+  /**
+   * Budgets in effect: the toolbar root's data-budget-* attributes over the
+   * built-in defaults.
+   *
+   * @returns {PerformanceBudgets}
+   */
+  getPerformanceBudgets() {
+    const attributes = Object.fromEntries(
+      BUDGET_DEFINITIONS.map(({ key }) => [
+        key,
+        this.$el?.getAttribute(`data-budget-${key}`),
+      ]),
+    );
+    return resolveBudgets(attributes);
+  },
+};
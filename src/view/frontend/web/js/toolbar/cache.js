@@ -0,0 +1,134 @@
+/**
+ * MageForge Toolbar – Full-page cache explorer
+ *
+ * Page-wide view of the cache data InspectorHints records per block
+ * (`data-mageforge-block` → `cache`, see BlockCacheCollector): which blocks
+ * are not cacheable, whether the page itself dropped out of the full-page
+ * cache (a layout block with cacheable="false") and which cache tags the
+ * page carries. The panel lives in ui/cache.js.
+ *
+ * Blocks are marked with an overlay of their own (like the render-time
+ * heatmap) so the audit highlights stay untouched: either every
+ * uncacheable block or every block carrying one cache tag.
+ */
+
+import { createBlockOverlay } from "./audits/highlight.js";
+import { getPageBlocks } from "./blocks.js";
+
+const OVERLAY_CLASS = "mageforge-cache-overlay";
+
+/**
+ * @typedef {object} BlockCacheInfo
+ * @property {Element}  el
+ * @property {string}   id            – data-mageforge-id
+ * @property {string}   template
+ * @property {string}   module
+ * @property {boolean}  cacheable
+ * @property {?number}  lifetime      – Seconds, null = unlimited
+ * @property {string[]} tags
+ * @property {boolean}  pageCacheable
+ */
+
+/**
+ * @typedef {object} CacheTagUsage
+ * @property {string} tag
+ * @property {number} count – Blocks carrying the tag
+ */
+
+/**
+ * @typedef {{mode: 'uncacheable'}|{mode: 'tag', tag: string}} CacheHighlight
+ */
+
+/**
+ * Cache tags on the page with the blocks carrying them, most used first.
+ *
+ * @param {BlockCacheInfo[]} blocks
+ * @returns {CacheTagUsage[]}
+ */
+export function collectCacheTags(blocks) {
+  /** @type {Map<string, CacheTagUsage>} */
+  const tags = new Map();
+  blocks.forEach((block) => {
+    new Set(block.tags).forEach((tag) => {
+      const usage = tags.get(tag);
+      if (usage) {
+        usage.count++;
+      } else {
+        tags.set(tag, { tag, count: 1 });
+      }
+    });
+  });
+  return [...tags.values()].sort(
+    (a, b) => b.count - a.count || a.tag.localeCompare(b.tag),
+  );
+}
+
+export const cacheExplorerMethods = {
+  /**
+   * Blocks on the page that carry cache data.
+   *
+   * @returns {BlockCacheInfo[]}
+   */
+  getBlockCacheInfo() {
+    return getPageBlocks()
+      .filter(({ data }) => data.cache && typeof data.cache === "object")
+      .map(({ data, ...block }) => ({
+        ...block,
+        cacheable: data.cache.cacheable !== false,
+        lifetime: data.cache.lifetime ?? null,
+        tags: Array.isArray(data.cache.tags)
+          ? data.cache.tags.filter((tag) => typeof tag === "string")
+          : [],
+        pageCacheable: data.cache.pageCacheable !== false,
+      }));
+  },
+
+  /** Toggle the overlay over all uncacheable blocks (cache panel action). */
+  toggleUncacheableHighlight() {
+    this.cacheHighlight?.mode === "uncacheable"
+      ? this._stopCacheHighlight()
+      : this._startCacheHighlight({ mode: "uncacheable" });
+  },
+
+  /**
+   * Toggle the overlay over all blocks carrying `tag`.
+   *
+   * @param {string} tag
+   */
+  toggleCacheTagHighlight(tag) {
+    this.cacheHighlight?.mode === "tag" && this.cacheHighlight.tag === tag
+      ? this._stopCacheHighlight()
+      : this._startCacheHighlight({ mode: "tag", tag });
+  },
+
+  /**
+   * @param {CacheHighlight} highlight
+   */
+  _startCacheHighlight(highlight) {
+    this._stopCacheHighlight();
+    const blocks = this.getBlockCacheInfo().filter((block) =>
+      highlight.mode === "tag"
+        ? block.tags.includes(highlight.tag)
+        : !block.cacheable,
+    );
+    this.cacheHighlight = highlight;
+
+    const boxes = blocks.map((block) => {
+      const box = document.createElement("div");
+      box.className = `mageforge-cache-box mageforge-cache-box--${highlight.mode}`;
+      box.dataset.label =
+        highlight.mode === "tag" ? highlight.tag : "not cacheable";
+      return { el: block.el, box };
+    });
+
+    this._cacheOverlay = createBlockOverlay(OVERLAY_CLASS, boxes);
+    this._updateCacheControls();
+  },
+
+  _stopCacheHighlight() {
+    this._cacheOverlay?.remove();
+    this._cacheOverlay = null;
+    this.cacheHighlight = null;
+    this._updateCacheControls();
+  },
+};
@@ -0,0 +1,139 @@
+/**
+ * MageForge Toolbar – Render-time heatmap
+ *
+ * Overlays every Magento block on the page (`[data-mageforge-id]`, see the
+ * inspector's block detection) with a colour for its server-side render
+ * time: green below, amber between and red above the inspector's
+ * PERF_RENDER_TIME_* thresholds, more opaque the slower it is. The panel
+ * lists the templates by render time (see ui/heatmap.js).
+ *
+ * Render times include child blocks, so a slow child also colours its
+ * parents – the table's "Slowest" column points at the instance to look at.
+ */
+
+import { createBlockOverlay } from "./audits/highlight.js";
+import { getPageBlocks } from "./blocks.js";
+import {
+  RENDER_TIME_WARNING,
+  getRenderTime,
+  getRenderTimeRating,
+} from "../render-time.js";
+
+const OVERLAY_CLASS = "mageforge-heatmap-overlay";
+
+/**
+ * @typedef {object} BlockRenderTime
+ * @property {Element} el
+ * @property {string}  id         – data-mageforge-id
+ * @property {string}  template
+ * @property {string}  module
+ * @property {number}  renderTime – ms
+ */
+
+/**
+ * @typedef {object} TemplateRenderTime
+ * @property {string}  template
+ * @property {string}  module
+ * @property {number}  count   – Rendered instances
+ * @property {number}  total   – ms, all instances
+ * @property {number}  max     – ms, slowest instance
+ * @property {Element} el      – Slowest instance
+ */
+
+/**
+ * Render times per template, slowest instance first.
+ *
+ * @param {BlockRenderTime[]} blocks
+ * @returns {TemplateRenderTime[]}
+ */
+export function groupByTemplate(blocks) {
+  /** @type {Map<string, TemplateRenderTime>} */
+  const templates = new Map();
+  blocks.forEach((block) => {
+    const row = templates.get(block.template);
+    if (!row) {
+      templates.set(block.template, {
+        template: block.template,
+        module: block.module,
+        count: 1,
+        total: block.renderTime,
+        max: block.renderTime,
+        el: block.el,
+      });
+      return;
+    }
+    row.count++;
+    row.total += block.renderTime;
+    if (block.renderTime > row.max) {
+      row.max = block.renderTime;
+      row.el = block.el;
+    }
+  });
+  return [...templates.values()].sort((a, b) => b.max - a.max);
+}
+
+export const heatmapMethods = {
+  /**
+   * Blocks on the page that carry a render time.
+   *
+   * @returns {BlockRenderTime[]}
+   */
+  getBlockRenderTimes() {
+    return getPageBlocks()
+      .map(({ data, ...block }) => ({
+        ...block,
+        renderTime: getRenderTime(data),
+      }))
+      .filter((block) => block.renderTime !== null);
+  },
+
+  /** Toggle the heatmap overlay (heatmap panel action). */
+  toggleHeatmap() {
+    this.heatmapActive ? this._stopHeatmap() : this._startHeatmap();
+  },
+
+  _startHeatmap() {
+    this._stopHeatmap();
+    const blocks = this.getBlockRenderTimes();
+    this.heatmapActive = true;
+
+    // Slowest last so they are drawn on top of faster siblings/parents
+    const boxes = [...blocks]
+      .sort((a, b) => a.renderTime - b.renderTime)
+      .map((block) => {
+        const box = document.createElement("div");
+        box.className = `mageforge-heatmap-box mageforge-heatmap-box--${getRenderTimeRating(block.renderTime)}`;
+        box.style.setProperty(
+          "--mageforge-heatmap-intensity",
+          String(
+            0.12 + 0.38 * Math.min(block.renderTime / RENDER_TIME_WARNING, 1),
+          ),
+        );
+        box.dataset.value = `${block.renderTime.toFixed(2)} ms`;
+        return { el: block.el, box };
+      });
+
+    this._heatmapOverlay = createBlockOverlay(OVERLAY_CLASS, boxes);
+    this._updateHeatmapControls();
+  },
+
+  _stopHeatmap() {
+    this._heatmapOverlay?.remove();
+    this._heatmapOverlay = null;
+    this.heatmapActive = false;
+    this._updateHeatmapControls();
+  },
+
+  /**
+   * Scroll a block into view and flash it, like clicking a finding.
+   * Also used by the cache panel (ui/cache.js).
+   *
+   * @param {Element} el
+   */
+  scrollToBlock(el) {
+    if (!el?.isConnected) return;
+    el.scrollIntoView({ behavior: "smooth", block: "center" });
+    el.classList.add("mageforge-finding-flash");
+    setTimeout(() => el.classList.remove("mageforge-finding-flash"), 1200);
+  },
+};
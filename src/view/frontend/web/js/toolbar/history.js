@@ -0,0 +1,169 @@
+/**
+ * MageForge Toolbar – Audit history
+ *
+ * Every "Perform Full Check" stores a `_collectExportData()` snapshot (plus
+ * the health score) in localStorage, keyed by page URL. Each URL keeps a
+ * ring buffer bounded by run count and serialized size, so the history
+ * survives reloads and deploys without growing localStorage unbounded.
+ *
+ * Two snapshots can be diffed into new / fixed / unchanged findings, matched
+ * by audit key + element selector.
+ */
+
+const HISTORY_KEY_PREFIX = "mageforge-audit-history:";
+
+// Ring buffer bounds per URL – whichever limit is hit first drops the oldest run
+const HISTORY_MAX_RUNS = 20;
+const HISTORY_MAX_BYTES = 256 * 1024;
+
+/**
+ * @typedef {object} HistorySnapshot
+ * @property {string}   id        – Unique run id (timestamp based)
+ * @property {string}   timestamp – ISO date of the run
+ * @property {string}   url
+ * @property {number}   score     – Overall health score (0–100)
+ * @property {object[]} audits    – Same shape as `_collectExportData().audits`
+ */
+
+/**
+ * @typedef {object} HistoryDiffEntry
+ * @property {string} key       – Audit key
+ * @property {string} label     – Audit label
+ * @property {string} selector
+ * @property {'error'|'warning'} severity
+ */
+
+/**
+ * Storage key for the current page – query strings are kept (filters, pages
+ * of a category are different pages), hashes are not.
+ *
+ * @returns {string}
+ */
+function historyKey() {
+  return (
+    HISTORY_KEY_PREFIX + location.origin + location.pathname + location.search
+  );
+}
+
+/**
+ * Persist the run list, dropping the oldest runs until it fits both the size
+ * bound and the browser's storage quota.
+ *
+ * @param {HistorySnapshot[]} runs
+ * @returns {HistorySnapshot[]} The runs that were actually stored
+ */
+function writeRuns(runs) {
+  const kept = runs.slice(-HISTORY_MAX_RUNS);
+  while (kept.length) {
+    const json = JSON.stringify(kept);
+    if (json.length <= HISTORY_MAX_BYTES || kept.length === 1) {
+      try {
+        localStorage.setItem(historyKey(), json);
+        return kept;
+      } catch (_) {
+        // Quota exceeded – fall through and drop the oldest run
+      }
+    }
+    kept.shift();
+  }
+  try {
+    localStorage.removeItem(historyKey());
+  } catch (_) {}
+  return kept;
+}
+
+/**
+ * Expand a snapshot into a Map of finding id → findings with that id.
+ * Identical selectors can legitimately repeat (e.g. several bare `img`),
+ * so findings are bucketed rather than deduplicated.
+ *
+ * @param {HistorySnapshot} snapshot
+ * @param {Set<string>} auditKeys – Only audits present in both runs are compared
+ * @returns {Map<string, HistoryDiffEntry[]>}
+ */
+function bucketFindings(snapshot, auditKeys) {
+  const buckets = new Map();
+  snapshot.audits.forEach((audit) => {
+    if (!auditKeys.has(audit.key)) return;
+    (audit.findings ?? []).forEach((finding) => {
+      const id = `${audit.key}\u0000${finding.selector}`;
+      if (!buckets.has(id)) buckets.set(id, []);
+      buckets.get(id).push({
+        key: audit.key,
+        label: audit.label,
+        selector: finding.selector,
+        severity: finding.severity,
+      });
+    });
+  });
+  return buckets;
+}
+
+export const historyMethods = {
+  /**
+   * All stored runs for the current URL, oldest first.
+   *
+   * @returns {HistorySnapshot[]}
+   */
+  getAuditHistory() {
+    try {
+      const runs = JSON.parse(localStorage.getItem(historyKey()) ?? "[]");
+      return Array.isArray(runs) ? runs : [];
+    } catch (_) {
+      return [];
+    }
+  },
+
+  /**
+   * Store the current findings as a new run for this URL.
+   *
+   * @param {number} score – Overall health score of the run
+   * @returns {HistorySnapshot}
+   */
+  recordAuditHistory(score) {
+    const snapshot = {
+      id: `${Date.now()}-${Math.random().toString(36).slice(2, 6)}`,
+      ...this._collectExportData(),
+      score,
+    };
+    writeRuns([...this.getAuditHistory(), snapshot]);
+    return snapshot;
+  },
+
+  /**
+   * Remove all stored runs for the current URL.
+   */
+  clearAuditHistory() {
+    try {
+      localStorage.removeItem(historyKey());
+    } catch (_) {}
+  },
+
+  /**
+   * Compare two runs. Only audits that were run in both snapshots are taken
+   * into account, so a newly added audit does not show up as "new" findings.
+   *
+   * @param {HistorySnapshot} base    – Older run
+   * @param {HistorySnapshot} compare – Newer run
+   * @returns {{added: HistoryDiffEntry[], fixed: HistoryDiffEntry[], unchanged: HistoryDiffEntry[]}}
+   */
+  diffAuditHistory(base, compare) {
+    const baseKeys = new Set(base.audits.map((a) => a.key));
+    const shared = new Set(
+      compare.audits.map((a) => a.key).filter((key) => baseKeys.has(key)),
+    );
+    const before = bucketFindings(base, shared);
+    const after = bucketFindings(compare, shared);
+
+    const diff = { added: [], fixed: [], unchanged: [] };
+    after.forEach((entries, id) => {
+      const previous = before.get(id)?.length ?? 0;
+      diff.unchanged.push(...entries.slice(0, previous));
+      diff.added.push(...entries.slice(previous));
+    });
+    before.forEach((entries, id) => {
+      diff.fixed.push(...entries.slice(after.get(id)?.length ?? 0));
+    });
+    return diff;
+  },
+};
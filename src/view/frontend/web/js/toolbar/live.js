@@ -0,0 +1,210 @@
+/**
+ * MageForge Toolbar – Live re-audit mode
+ *
+ * While live mode is on, a MutationObserver watches the page (outside the
+ * toolbar and its overlays). Mutations are debounced and then only the
+ * audits currently in `activeAudits` are re-run, so badges, findings,
+ * highlights and any displayed scores follow DOM changes made after load
+ * (e.g. Alpine rendering the minicart or swatches on Hyvä pages).
+ */
+
+import { refreshOverlays } from "./audits/highlight.js";
+
+// Quiet period after the last page mutation before active audits re-run.
+const LIVE_DEBOUNCE_MS = 600;
+
+// Nodes owned by MageForge itself – mutations inside them never trigger a re-run.
+const OWN_NODE_SELECTOR = [
+  ".mageforge-toolbar",
+  ".mageforge-inspector",
+  ".mageforge-audit-overlay",
+  ".mageforge-tab-order-overlay",
+  ".mageforge-layout-shift-overlay",
+  ".mageforge-heatmap-overlay",
+  ".mageforge-cache-overlay",
+  ".mageforge-scope-outline",
+].join(", ");
+
+/**
+ * Strip MageForge marker classes so class mutations caused by highlights can
+ * be told apart from real page changes.
+ *
+ * @param {string|null} value
+ * @returns {string}
+ */
+function pageClasses(value) {
+  return (value ?? "")
+    .split(/\s+/)
+    .filter((c) => c && !c.startsWith("mageforge-"))
+    .sort()
+    .join(" ");
+}
+
+export const liveMethods = {
+  /**
+   * Toggle live re-audit mode on/off.
+   */
+  toggleLiveMode() {
+    this.liveMode ? this._stopLiveMode() : this._startLiveMode();
+  },
+
+  _startLiveMode() {
+    if (this._liveObserver) return;
+    this.liveMode = true;
+    this._liveObserver = new MutationObserver((records) =>
+      this._onLiveMutations(records),
+    );
+    this._observeLive();
+    this._updateLiveButton();
+  },
+
+  _stopLiveMode() {
+    this.liveMode = false;
+    clearTimeout(this._liveTimer);
+    this._liveTimer = null;
+    this._liveObserver?.disconnect();
+    this._liveObserver = null;
+    this._updateLiveButton();
+  },
+
+  /** (Re)attach the observer to the page. */
+  _observeLive() {
+    this._liveObserver?.observe(document.body, {
+      childList: true,
+      subtree: true,
+      attributes: true,
+      attributeOldValue: true,
+      characterData: true,
+    });
+  },
+
+  /**
+   * True when a mutation record was caused by MageForge itself.
+   *
+   * @param {MutationRecord} record
+   * @returns {boolean}
+   */
+  _isOwnMutation(record) {
+    const target =
+      record.target.nodeType === Node.ELEMENT_NODE
+        ? record.target
+        : record.target.parentElement;
+    if (!target || target.closest(OWN_NODE_SELECTOR)) return true;
+
+    if (record.type === "childList") {
+      // Overlays and the toolbar are appended to <body>; ignore those nodes
+      return [...record.addedNodes, ...record.removedNodes].every(
+        (node) =>
+          node.nodeType === Node.ELEMENT_NODE &&
+          (node.matches(OWN_NODE_SELECTOR) ||
+            node.classList.contains("mageforge-inspector")),
+      );
+    }
+
+    if (record.type === "attributes" && record.attributeName === "class") {
+      return (
+        pageClasses(record.oldValue) ===
+        pageClasses(record.target.getAttribute("class"))
+      );
+    }
+
+    return false;
+  },
+
+  /**
+   * MutationObserver callback: keep overlays positioned immediately and
+   * schedule a debounced re-run of the active audits.
+   *
+   * @param {MutationRecord[]} records
+   */
+  _onLiveMutations(records) {
+    if (!records.some((r) => !this._isOwnMutation(r))) return;
+    refreshOverlays();
+    clearTimeout(this._liveTimer);
+    this._liveTimer = setTimeout(() => {
+      this._liveTimer = null;
+      this.rerunActiveAudits();
+    }, LIVE_DEBOUNCE_MS);
+  },
+
+  /**
+   * Re-run every active audit (cleanup + detect) without toggling it off,
+   * then refresh the scores that are currently displayed.
+   *
+   * @returns {Promise<void>}
+   */
+  async rerunActiveAudits() {
+    if (!this.activeAudits.size) return;
+    if (this._batchRunning || this._liveRun) {
+      // A full/group check or a previous re-run is in progress – try again
+      // once it has settled
+      clearTimeout(this._liveTimer);
+      this._liveTimer = setTimeout(
+        () => this.rerunActiveAudits(),
+        LIVE_DEBOUNCE_MS,
+      );
+      return;
+    }
+
+    // The observer stays connected: our own highlight/findings updates are
+    // filtered by _isOwnMutation(), while page changes made during the run
+    // schedule one more re-run through the retry above
+    const keys = [...this.activeAudits];
+    this._liveRun = Promise.all(keys.map((key) => this._rerunAudit(key)));
+    try {
+      await this._liveRun;
+      this.updateHomeSummary();
+      this._refreshDisplayedScores();
+    } finally {
+      this._liveRun = null;
+    }
+  },
+
+  /**
+   * Re-run a single active audit in place.
+   *
+   * @param {string} key
+   * @returns {Promise<void>}
+   */
+  async _rerunAudit(key) {
+    const audit = this.getAudits().find((a) => a.key === key);
+    if (!audit) return;
+    try {
+      await audit.run(this, false);
+      // The user may have toggled the audit off in the meantime
+      if (!this.activeAudits.has(key)) return;
+      await this._executeAudit(audit);
+    } catch (err) {
+      console.warn(`[MageForge] Audit "${key}" failed on live re-run:`, err);
+      if (this.activeAudits.has(key)) this._setAuditFailed(key, err);
+    }
+  },
+
+  /**
+   * Recompute the health score and any group scores that have been shown.
+   */
+  _refreshDisplayedScores() {
+    const audits = this.getAudits();
+    if (this._healthScoreShown) {
+      const breakdown = this._scoreBreakdown(audits);
+      this.updateHealthScore(
+        breakdown.score,
+        this._countFailed(audits),
+        breakdown,
+      );
+    }
+    this._scoredGroups.forEach((groupKey) => {
+      const breakdown = this._scoreBreakdown(
+        audits.filter((a) => a.group === groupKey),
+      );
+      this.updateGroupScore(groupKey, breakdown.score, breakdown);
+    });
+  },
+
+  /** Reflect the live state on the header toggle button. */
+  _updateLiveButton() {
+    if (!this.liveButton) return;
+    this.liveButton.classList.toggle("mageforge-active", this.liveMode);
+    this.liveButton.setAttribute("aria-pressed", String(this.liveMode));
+  },
+};
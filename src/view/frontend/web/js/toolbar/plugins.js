@@ -0,0 +1,139 @@
+/**
+ * MageForge Toolbar – Public plugin API
+ *
+ * Exposes window.MageForge.registerAudit() / registerAuditGroup() so projects
+ * can ship their own checks without forking the audit registry, and mounts
+ * runtime registrations into the already-rendered toolbar.
+ *
+ * Usage:
+ *   window.addEventListener("mageforge:toolbar:ready", ({ detail }) => {
+ *     detail.registerAuditGroup({ key: "acme", label: "Acme" });
+ *     detail.registerAudit({ key: "acme-promo", group: "acme", ... });
+ *   });
+ */
+
+import { registerAudit, registerAuditGroup } from "./audits/index.js";
+
+export const pluginMethods = {
+  /**
+   * Publish the plugin API on window.MageForge and announce it via the
+   * `mageforge:toolbar:ready` event. Called once the toolbar DOM exists.
+   */
+  _exposePluginApi() {
+    this._pluginApi = {
+      registerAudit: (definition) => this.registerAudit(definition),
+      registerAuditGroup: (group) => this.registerAuditGroup(group),
+    };
+    window.MageForge = Object.assign(window.MageForge ?? {}, this._pluginApi);
+    window.dispatchEvent(
+      new CustomEvent("mageforge:toolbar:ready", { detail: window.MageForge }),
+    );
+  },
+
+  /**
+   * Remove the plugin API from window.MageForge (toolbar teardown).
+   */
+  _removePluginApi() {
+    if (!this._pluginApi || !window.MageForge) return;
+    Object.keys(this._pluginApi).forEach((name) => {
+      if (window.MageForge[name] === this._pluginApi[name]) {
+        delete window.MageForge[name];
+      }
+    });
+    this._pluginApi = null;
+  },
+
+  /**
+   * Register a third-party audit and add its row to the group panel.
+   *
+   * @param {import('./audits/index.js').AuditDefinition} definition
+   * @returns {import('./audits/index.js').AuditDefinition}
+   */
+  registerAudit(definition) {
+    const audit = registerAudit(definition);
+    this._mountAudit(audit);
+    return audit;
+  },
+
+  /**
+   * Register a third-party audit group and add its nav tab, panel and
+   * dashboard card.
+   *
+   * @param {import('./audits/index.js').AuditGroup} group
+   * @returns {import('./audits/index.js').AuditGroup}
+   */
+  registerAuditGroup(group) {
+    const registered = registerAuditGroup(group);
+    this._mountAuditGroup(registered);
+    return registered;
+  },
+
+  /**
+   * Insert the menu row for a runtime-registered audit into its group panel,
+   * creating the panel first if the group had no audits yet.
+   *
+   * @param {import('./audits/index.js').AuditDefinition} audit
+   */
+  _mountAudit(audit) {
+    if (!this.menu) return;
+
+    let panel = this.menu.querySelector(`[data-panel="${audit.group}"]`);
+    if (!panel) {
+      const group = this.getAuditGroups().find((g) => g.key === audit.group);
+      panel = this._buildGroupPanel(group, []);
+      this.menu
+        .querySelector(".mageforge-toolbar-tab-content")
+        ?.appendChild(panel);
+    }
+
+    const body = panel.querySelector(".mageforge-tab-panel-body");
+    const item = this.createMenuItem(
+      audit.key,
+      audit.icon,
+      audit.label,
+      audit.description,
+      () => this.runAudit(audit.key),
+      audit.group,
+    );
+    // Keep the "Suggest an Audit" link as the last entry
+    body.insertBefore(
+      item,
+      body.querySelector(".mageforge-feature-request-btn"),
+    );
+
+    this._updateResetAllButton();
+  },
+
+  /**
+   * Add nav tab, (empty) panel and dashboard card for a runtime group.
+   *
+   * @param {import('./audits/index.js').AuditGroup} group
+   */
+  _mountAuditGroup(group) {
+    if (!this.menu) return;
+
+    // The nav is column-reverse: inserting right after the History tab places
+    // the new tab below the built-in groups, above History.
+    const nav = this.menu.querySelector(".mageforge-toolbar-tab-nav");
+    nav?.insertBefore(
+      this._buildNavTab(group.key, group.icon ?? "", group.label),
+      (this.historyTabButton ?? this.footerActionBar)?.nextSibling ?? null,
+    );
+
+    this.menu
+      .querySelector(".mageforge-toolbar-tab-content")
+      ?.appendChild(this._buildGroupPanel(group, []));
+
+    // Dashboard cards are sorted alphabetically by label
+    if (this.dashboardCategoriesEl) {
+      const card = this._buildDashboardCategory(group);
+      const next = [...this.dashboardCategoriesEl.children].find(
+        (el) =>
+          el
+            .querySelector(".mageforge-dashboard-category-label")
+            ?.textContent.localeCompare(group.label) > 0,
+      );
+      this.dashboardCategoriesEl.insertBefore(card, next ?? null);
+    }
+  },
+};
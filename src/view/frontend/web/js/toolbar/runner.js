@@ -0,0 +1,260 @@
+/**
+ * MageForge Toolbar – Headless audit runner
+ *
+ * Runs the registered audits against a document without the Alpine toolbar:
+ * no menu is built, nothing is highlighted and no overlay is added. The
+ * result has the same shape as the toolbar's `_collectExportData()` plus the
+ * overall and per-group scores and the score breakdown from
+ * `_scoreBreakdown()`.
+ *
+ * Playwright (inside the page):
+ *   const { runAudits } = await import("/static/.../js/toolbar/runner.js");
+ *   const report = await runAudits({ keys: ["images-without-alt"] });
+ *
+ * Known issues can be ignored by passing a baseline file exported from the
+ * toolbar's "Ignore rules" section: `runAudits({ baseline })`.
+ *
+ * jsdom (Node):
+ *   const dom = new JSDOM(html, { url, pretendToBeVisual: true });
+ *   const report = await runAudits({ document: dom.window.document });
+ *
+ * Audits read the global `document`, `getComputedStyle`, … – when a foreign
+ * document is passed (Node only), its window's globals are installed for the
+ * duration of the run and restored afterwards. In a browser only the current
+ * document can be audited. jsdom has no layout engine, so audits that filter
+ * by visibility or measure element sizes find nothing there – run those in
+ * a real browser (Playwright).
+ */
+
+import { audits, auditGroups } from "./audits/index.js";
+import { auditMethods } from "./audits.js";
+import { getReadableSelector, serializeFinding } from "./audits/highlight.js";
+import { suppressionMethods, parseBaseline } from "./suppressions.js";
+import { scopeMethods } from "./scope.js";
+import { resolveBudgets } from "./budgets.js";
+
+// Window globals the audits (and highlight helpers) rely on
+const DOM_GLOBALS = [
+  "window",
+  "document",
+  "location",
+  "navigator",
+  "getComputedStyle",
+  "Node",
+  "NodeFilter",
+  "Element",
+  "HTMLElement",
+  "CSS",
+];
+
+/**
+ * @typedef {object} RunnerOptions
+ * @property {Document} [document]  – Document to audit (default: global document)
+ * @property {string[]} [keys]      – Audit keys to run (default: all registered audits)
+ * @property {number}   [timeout]   – Per-audit timeout override in ms
+ * @property {object|object[]} [baseline] – Baseline file (or rule array) of
+ *   ignored findings; defaults to no ignore rules
+ * @property {Element|string} [scope] – Restrict findings to this subtree
+ *   (element or CSS selector); page-level audits are skipped
+ * @property {Object<string, number>} [budgets] – Performance budget overrides
+ *   (see toolbar/budgets.js); defaults to the built-in budgets
+ */
+
+/**
+ * @typedef {object} RunnerReport
+ * @property {string}   timestamp
+ * @property {string}   url
+ * @property {?object}  scope  – Scope description, null for the whole page
+ * @property {object[]} audits – Same entries as `_collectExportData().audits`
+ * @property {{ overall: number, groups: Object<string, number>, breakdown: import('./audits.js').ScoreBreakdown }} scores
+ */
+
+/**
+ * Install the globals of `doc`'s window while `fn` runs.
+ *
+ * @template T
+ * @param {Document} doc
+ * @param {() => Promise<T>} fn
+ * @returns {Promise<T>}
+ */
+async function withDocument(doc, fn) {
+  if (doc === globalThis.document) return fn();
+
+  const view = doc.defaultView;
+  if (!view) {
+    throw new TypeError(
+      "[MageForge] runAudits: the document has no window (use JSDOM or a live page)",
+    );
+  }
+
+  const previous = new Map();
+  try {
+    DOM_GLOBALS.forEach((name) => {
+      if (!(name in view)) return;
+      previous.set(name, Object.getOwnPropertyDescriptor(globalThis, name));
+      const value =
+        name === "getComputedStyle" ? view[name].bind(view) : view[name];
+      Object.defineProperty(globalThis, name, {
+        value,
+        configurable: true,
+        writable: true,
+      });
+    });
+  } catch (_) {
+    // Browser globals such as `document` are not replaceable
+    previous.forEach((descriptor, name) => restoreGlobal(name, descriptor));
+    throw new TypeError(
+      "[MageForge] runAudits: only the current document can be audited in a browser",
+    );
+  }
+
+  try {
+    return await fn();
+  } finally {
+    previous.forEach((descriptor, name) => restoreGlobal(name, descriptor));
+  }
+}
+
+/**
+ * @param {string} name
+ * @param {PropertyDescriptor|undefined} descriptor
+ */
+function restoreGlobal(name, descriptor) {
+  if (descriptor) {
+    Object.defineProperty(globalThis, name, descriptor);
+  } else {
+    delete globalThis[name];
+  }
+}
+
+/**
+ * Minimal stand-in for the toolbar component: the audit dispatcher methods
+ * (timeouts, failure handling, scoring) with in-memory badge/findings sinks.
+ *
+ * @param {import('./suppressions.js').SuppressionRule[]} [rules] – Ignore rules
+ * @param {?Element} [root] – Audit scope root
+ * @param {Object<string, number>} [budgets] – Performance budget overrides
+ * @returns {object}
+ */
+function createHeadlessContext(rules = [], root = null, budgets = {}) {
+  return {
+    ...auditMethods,
+    ...suppressionMethods,
+    ...scopeMethods,
+
+    /** Ignore rules come from the options, never from localStorage */
+    getSuppressions: () => rules,
+
+    /** Budgets come from the options, never from data attributes */
+    getPerformanceBudgets: () => resolveBudgets(budgets),
+
+    /** Tells audits/highlight.js to skip overlays, marker classes and CSS */
+    headless: true,
+    /** Suppresses scrollIntoView() in audits */
+    _batchRunning: true,
+    menu: null,
+    auditScope: root
+      ? {
+          element: root,
+          blockId: root.getAttribute("data-mageforge-id"),
+          label: getReadableSelector(root),
+          selector: getReadableSelector(root),
+        }
+      : null,
+
+    activeAudits: new Set(),
+    _auditStatus: new Map(),
+    _auditErrors: new Map(),
+    _auditControllers: new Map(),
+    _auditIssueCounts: new Map(),
+    _auditBadges: new Map(),
+    _auditFindings: new Map(),
+
+    setAuditFindings(key, findings) {
+      this._auditFindings.set(
+        key,
+        (findings ?? []).filter((f) => !f.ignored).map(serializeFinding),
+      );
+    },
+
+    setAuditDescription() {},
+    setAuditActive() {},
+  };
+}
+
+/**
+ * Run audits headlessly and return an export-compatible report.
+ *
+ * Audits run one after another (they share highlight state and, in Node,
+ * the installed globals). A throwing or timed-out audit is reported with
+ * status "failed" and does not stop the run.
+ *
+ * @param {RunnerOptions} [options]
+ * @returns {Promise<RunnerReport>}
+ */
+export async function runAudits({
+  document: doc = globalThis.document,
+  keys,
+  timeout,
+  baseline,
+  scope,
+  budgets,
+} = {}) {
+  if (!doc) {
+    throw new TypeError("[MageForge] runAudits: no document to audit");
+  }
+  if (keys) {
+    const unknown = keys.filter((key) => !audits.some((a) => a.key === key));
+    if (unknown.length) {
+      throw new TypeError(
+        `[MageForge] runAudits: unknown audit key(s): ${unknown.join(", ")}`,
+      );
+    }
+  }
+  let selected = keys ? audits.filter((a) => keys.includes(a.key)) : audits;
+
+  return withDocument(doc, async () => {
+    const root =
+      typeof scope === "string" ? doc.querySelector(scope) : (scope ?? null);
+    if (scope && !root) {
+      throw new TypeError(
+        `[MageForge] runAudits: scope ${JSON.stringify(scope)} matches no element`,
+      );
+    }
+    const context = createHeadlessContext(
+      baseline ? parseBaseline(baseline) : [],
+      root,
+      budgets,
+    );
+    selected = selected.filter((audit) => context.isAuditInScope(audit));
+
+    for (const definition of selected) {
+      const audit = timeout ? { ...definition, timeout } : definition;
+      context.activeAudits.add(audit.key);
+      try {
+        await context._executeAudit(audit);
+      } catch (err) {
+        context._setAuditFailed(audit.key, err);
+      }
+    }
+
+    const report = {
+      timestamp: new Date().toISOString(),
+      url: doc.location?.href ?? "",
+      scope: context._describeAuditScope(),
+      audits: selected.map((audit) => context._auditReportEntry(audit)),
+      scores: { overall: 0, groups: {}, breakdown: null },
+    };
+
+    report.scores.breakdown = context._scoreBreakdown(selected);
+    report.scores.overall = report.scores.breakdown.score;
+    auditGroups.forEach((group) => {
+      const groupAudits = selected.filter((a) => a.group === group.key);
+      if (groupAudits.length) {
+        report.scores.groups[group.key] = context._calcScore(groupAudits);
+      }
+    });
+
+    return report;
+  });
+}
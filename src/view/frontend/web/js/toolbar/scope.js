@@ -0,0 +1,254 @@
+/**
+ * MageForge Toolbar – Audit scope
+ *
+ * Restricts audits, scores and exports to one DOM subtree. The user picks an
+ * element on the page; the pick snaps to the enclosing Magento block using
+ * the inspector's block detection (`[data-mageforge-id]`, incl. the
+ * PageBuilder fallback). Hold Alt while clicking to scope to the exact
+ * element instead.
+ *
+ * Element audits (built with createAudit) drop findings outside the scope.
+ * Page-level audits (title, canonical, landmarks, …) have no subtree to
+ * look at – they are skipped and left out of the score while a scope is set.
+ */
+
+import { domMethods } from "../inspector/dom.js";
+import { getReadableSelector } from "./audits/highlight.js";
+
+/**
+ * @typedef {object} AuditScope
+ * @property {Element} element  – Subtree root
+ * @property {?string} blockId  – data-mageforge-id, to re-find re-rendered blocks
+ * @property {string}  label    – Template name or readable selector
+ * @property {string}  selector – Readable selector of the root element
+ */
+
+/**
+ * Subtree root and block id for a picked element.
+ *
+ * @param {Element} target
+ * @param {boolean} exact – Skip snapping to the enclosing block
+ * @returns {{element: Element, block: ?{data: object}}}
+ */
+function resolveScopeTarget(target, exact) {
+  if (!exact) {
+    const block = domMethods.findBlockForElement.call(domMethods, target);
+    const element = block?.elements?.[0];
+    if (element) return { element, block };
+  }
+  return { element: target, block: null };
+}
+
+export const scopeMethods = {
+  /**
+   * Toggle the scope picker (header "Scope" button).
+   */
+  toggleScopePicker() {
+    if (this._scopePicking) {
+      this._stopScopePicker();
+    } else {
+      this._startScopePicker();
+    }
+  },
+
+  _startScopePicker() {
+    if (this._scopePicking) return;
+    this._scopePicking = true;
+
+    const outline = document.createElement("div");
+    outline.className = "mageforge-scope-outline";
+    outline.innerHTML = '<span class="mageforge-scope-outline-label"></span>';
+    document.body.appendChild(outline);
+    this._scopeOutline = outline;
+
+    const isOwn = (el) => !!el?.closest?.(".mageforge-toolbar");
+
+    const onMove = (e) => {
+      if (isOwn(e.target)) {
+        outline.style.display = "none";
+        return;
+      }
+      const { element, block } = resolveScopeTarget(e.target, e.altKey);
+      const rect = element.getBoundingClientRect();
+      Object.assign(outline.style, {
+        display: "block",
+        top: `${rect.top}px`,
+        left: `${rect.left}px`,
+        width: `${rect.width}px`,
+        height: `${rect.height}px`,
+      });
+      outline.firstElementChild.textContent =
+        block?.data?.template || getReadableSelector(element);
+    };
+    const onClick = (e) => {
+      if (isOwn(e.target)) return;
+      // Picking must not follow links or submit forms
+      e.preventDefault();
+      e.stopPropagation();
+      const { element } = resolveScopeTarget(e.target, e.altKey);
+      this._stopScopePicker();
+      this.setAuditScope(element, { exact: e.altKey });
+    };
+    const onKeydown = (e) => {
+      if (e.key === "Escape") {
+        e.stopPropagation();
+        this._stopScopePicker();
+      }
+    };
+
+    document.addEventListener("mousemove", onMove, true);
+    document.addEventListener("click", onClick, true);
+    document.addEventListener("keydown", onKeydown, true);
+    this._scopePickHandlers = { onMove, onClick, onKeydown };
+    document.body.classList.add("mageforge-scope-picking");
+    this._updateScopeIndicator();
+  },
+
+  _stopScopePicker() {
+    if (!this._scopePicking) return;
+    this._scopePicking = false;
+    const { onMove, onClick, onKeydown } = this._scopePickHandlers ?? {};
+    document.removeEventListener("mousemove", onMove, true);
+    document.removeEventListener("click", onClick, true);
+    document.removeEventListener("keydown", onKeydown, true);
+    this._scopePickHandlers = null;
+    this._scopeOutline?.remove();
+    this._scopeOutline = null;
+    document.body.classList.remove("mageforge-scope-picking");
+    this._updateScopeIndicator();
+  },
+
+  /**
+   * Restrict audits to the subtree of `element` (snapped to its Magento
+   * block unless `exact`) and re-run the active audits.
+   *
+   * @param {Element} element
+   * @param {{exact?: boolean}} [options]
+   */
+  setAuditScope(element, { exact = false } = {}) {
+    const { element: root, block } = resolveScopeTarget(element, exact);
+    const selector = getReadableSelector(root);
+    this.auditScope = {
+      element: root,
+      blockId: block?.data?.id ?? null,
+      label: block?.data?.template || selector,
+      selector,
+    };
+    this._onAuditScopeChanged();
+  },
+
+  /** Audit the whole page again. */
+  clearAuditScope() {
+    if (!this.auditScope) return;
+    this.auditScope = null;
+    this._onAuditScopeChanged();
+  },
+
+  /**
+   * Current scope root. A block that was re-rendered (live mode, AJAX) is
+   * looked up again by its data-mageforge-id.
+   *
+   * @returns {?Element}
+   */
+  _getScopeRoot() {
+    const scope = this.auditScope;
+    if (!scope) return null;
+    if (!scope.element.isConnected && scope.blockId) {
+      const fresh = document.querySelector(
+        `[data-mageforge-id="${CSS.escape(scope.blockId)}"]`,
+      );
+      if (fresh) scope.element = fresh;
+    }
+    return scope.element;
+  },
+
+  /**
+   * Whether a finding on `el` counts under the current scope.
+   *
+   * @param {Element} el
+   * @returns {boolean}
+   */
+  isInAuditScope(el) {
+    const root = this._getScopeRoot();
+    return !root || root.contains(el);
+  },
+
+  /**
+   * Whether `audit` can run under the current scope.
+   *
+   * @param {import('./audits/index.js').AuditDefinition} audit
+   * @returns {boolean}
+   */
+  isAuditInScope(audit) {
+    return !this.auditScope || audit.scoped === true;
+  },
+
+  /**
+   * Serializable scope description for exports; null when unscoped.
+   *
+   * @returns {?{label: string, selector: string, blockId: ?string}}
+   */
+  _describeAuditScope() {
+    if (!this.auditScope) return null;
+    const { label, selector, blockId } = this.auditScope;
+    return { label, selector, blockId };
+  },
+
+  /**
+   * Turn off page-level audits the scope excludes, then re-run the rest and
+   * refresh the indicator and any displayed scores.
+   */
+  async _onAuditScopeChanged() {
+    await Promise.all(
+      this.getAudits()
+        .filter((audit) => this.activeAudits.has(audit.key))
+        .filter((audit) => !this.isAuditInScope(audit))
+        .map((audit) => this.runAudit(audit.key)),
+    );
+
+    this._updateScopeIndicator();
+    await this.rerunActiveAudits();
+    this._refreshDisplayedScores();
+  },
+
+  /**
+   * Reflect scope and picker state in the header and on the audit rows.
+   */
+  _updateScopeIndicator() {
+    if (!this.menu) return;
+
+    if (this.scopeButton) {
+      this.scopeButton.classList.toggle(
+        "mageforge-active",
+        this._scopePicking || !!this.auditScope,
+      );
+      this.scopeButton.setAttribute("aria-pressed", String(this._scopePicking));
+    }
+
+    if (this.scopeChip) {
+      this.scopeChip.hidden = !this.auditScope;
+      const label = this.scopeChip.querySelector(".mageforge-scope-chip-label");
+      if (label) {
+        label.textContent = this.auditScope?.label ?? "";
+        label.title = this.auditScope
+          ? `${this.auditScope.label} (${this.auditScope.selector})`
+          : "";
+      }
+    }
+
+    this.menu.querySelectorAll("[data-audit-key]").forEach((item) => {
+      const audit = this.getAudits().find(
+        (a) => a.key === item.dataset.auditKey,
+      );
+      const excluded = !!audit && !this.isAuditInScope(audit);
+      item.classList.toggle("mageforge-audit-out-of-scope", excluded);
+      if (excluded) {
+        item.setAttribute("aria-disabled", "true");
+        item.title = "Page-level check – not available while audits are scoped";
+      } else {
+        item.removeAttribute("aria-disabled");
+        item.removeAttribute("title");
+      }
+    });
+  },
+};
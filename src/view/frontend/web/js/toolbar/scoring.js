@@ -0,0 +1,95 @@
+/**
+ * MageForge Toolbar – Scoring model
+ *
+ * Every audit starts at 100 and loses points per finding according to its
+ * impact level, capped so a single noisy audit cannot zero a group on its
+ * own unless it is critical. Warnings cost half as much as errors.
+ *
+ * Audit scores are averaged per group, weighted by the audit's `weight`
+ * (default 1) times its impact multiplier; the overall score averages the
+ * group scores weighted by the group's `weight` (default 1). Both weights
+ * and the impact are declared on the AuditDefinition / AuditGroup.
+ */
+
+/**
+ * @typedef {'critical'|'serious'|'moderate'|'minor'} AuditImpact
+ *
+ * @typedef {object} ImpactLevel
+ * @property {number} multiplier – Factor applied to the audit weight
+ * @property {number} perFinding – Points deducted per error finding
+ * @property {number} cap        – Maximum points an audit can lose
+ */
+
+/** @type {Record<AuditImpact, ImpactLevel>} */
+export const IMPACT_LEVELS = {
+  critical: { multiplier: 3, perFinding: 50, cap: 100 },
+  serious: { multiplier: 2, perFinding: 25, cap: 100 },
+  moderate: { multiplier: 1, perFinding: 10, cap: 80 },
+  minor: { multiplier: 0.5, perFinding: 5, cap: 50 },
+};
+
+export const DEFAULT_IMPACT = "moderate";
+
+// Share of an error's penalty a warning finding costs
+const WARNING_FACTOR = 0.5;
+
+/**
+ * @typedef {object} AuditScore
+ * @property {AuditImpact} impact
+ * @property {number} weight   – Effective weight (audit weight × impact multiplier)
+ * @property {number} errors
+ * @property {number} warnings
+ * @property {number} penalty  – Points deducted (0–100)
+ * @property {number} score    – 100 − penalty
+ */
+
+/**
+ * Score one audit from its finding counts.
+ *
+ * @param {{weight?: number, impact?: AuditImpact}} audit
+ * @param {{errors: number, warnings: number}} counts
+ * @returns {AuditScore}
+ */
+export function scoreAudit(audit, { errors, warnings }) {
+  const impact = IMPACT_LEVELS[audit.impact] ? audit.impact : DEFAULT_IMPACT;
+  const level = IMPACT_LEVELS[impact];
+  const penalty = Math.min(
+    level.cap,
+    level.perFinding * (errors + warnings * WARNING_FACTOR),
+  );
+  return {
+    impact,
+    weight: (audit.weight ?? 1) * level.multiplier,
+    errors,
+    warnings,
+    penalty,
+    score: 100 - penalty,
+  };
+}
+
+/**
+ * Weighted mean of `{ score, weight }` entries; 100 when there are none.
+ *
+ * @param {Array<{score: number, weight: number}>} entries
+ * @returns {number}
+ */
+export function weightedMean(entries) {
+  const total = entries.reduce((sum, e) => sum + e.weight, 0);
+  if (!total) return 100;
+  return entries.reduce((sum, e) => sum + e.score * e.weight, 0) / total;
+}
+
+/**
+ * One-line explanation of the model, appended to breakdown tooltips.
+ *
+ * @returns {string}
+ */
+export function describeScoringModel() {
+  const perFinding = Object.entries(IMPACT_LEVELS)
+    .map(([name, level]) => `${name} −${level.perFinding}`)
+    .join(", ");
+  return (
+    `Each finding deducts points by impact (${perFinding}; warnings half), ` +
+    "capped per audit. Audits are averaged by weight × impact, groups by group weight."
+  );
+}
@@ -0,0 +1,288 @@
+/**
+ * MageForge Toolbar – Finding suppressions (baseline)
+ *
+ * Known issues the team cannot fix (payment iframes, chat widgets, …) can be
+ * ignored so they stop dragging the health score down. A rule matches either
+ *   - one finding:  { key, path, selector } – audit key + unique CSS path of
+ *                                       the element (getUniqueSelector); the
+ *                                       readable selector is kept for display
+ *                                       and matches findings without element,
+ *   - an area:      { scope, key? }   – every finding inside a CSS selector,
+ *                                       for one audit or (no key) all audits.
+ *
+ * Rules are stored per origin in localStorage and can be exported/imported
+ * as a JSON baseline file to share them with the team. createAudit() asks
+ * partitionSuppressed() to split findings before highlighting: ignored
+ * findings are listed in the "Ignored" section only – no overlay, no badge
+ * count, no score impact.
+ */
+
+import { getReadableSelector } from "./audits/highlight.js";
+
+const SUPPRESSIONS_KEY = "mageforge-audit-suppressions";
+const BASELINE_VERSION = 1;
+
+/**
+ * @typedef {object} SuppressionRule
+ * @property {string} [key]      – Audit key; omitted on scope rules = all audits
+ * @property {string} [selector] – Readable selector of a single finding
+ * @property {string} [path]     – Unique CSS path of the finding's element
+ * @property {string} [scope]    – CSS selector; findings inside it are ignored
+ * @property {string} [created]  – ISO date the rule was added
+ */
+
+/**
+ * @param {SuppressionRule} a
+ * @param {SuppressionRule} b
+ * @returns {boolean}
+ */
+function sameRule(a, b) {
+  return (
+    (a.key ?? "") === (b.key ?? "") &&
+    (a.selector ?? "") === (b.selector ?? "") &&
+    (a.path ?? "") === (b.path ?? "") &&
+    (a.scope ?? "") === (b.scope ?? "")
+  );
+}
+
+/**
+ * Keep only well-formed rules (imported files are untrusted input).
+ *
+ * @param {unknown} rule
+ * @returns {SuppressionRule|null}
+ */
+function normalizeRule(rule) {
+  if (!rule || typeof rule !== "object") return null;
+  const { key, selector, path, scope, created } = rule;
+  const str = (value) =>
+    typeof value === "string" && value.trim() ? value.trim() : undefined;
+
+  const normalized = {
+    key: str(key),
+    selector: str(selector),
+    path: str(path),
+    scope: str(scope),
+    created: str(created),
+  };
+  // A finding rule needs its audit key; a scope rule stands on its own
+  if (
+    !(normalized.key && (normalized.selector || normalized.path)) &&
+    !normalized.scope
+  ) {
+    return null;
+  }
+  Object.keys(normalized).forEach(
+    (field) => normalized[field] === undefined && delete normalized[field],
+  );
+  return normalized;
+}
+
+/**
+ * Whether `el` lies inside `scope`. Invalid selectors never match.
+ *
+ * @param {Element} el
+ * @param {string} scope
+ * @returns {boolean}
+ */
+function inScope(el, scope) {
+  try {
+    return !!el?.closest?.(scope);
+  } catch (_) {
+    return false;
+  }
+}
+
+/**
+ * Whether `el` is the element `path` points to. Invalid paths never match.
+ *
+ * @param {Element} el
+ * @param {string} path
+ * @returns {boolean}
+ */
+function matchesPath(el, path) {
+  try {
+    return !!el?.matches?.(path);
+  } catch (_) {
+    return false;
+  }
+}
+
+/**
+ * Validated rules of a baseline file (or bare rule array).
+ *
+ * @param {string|object} baseline – JSON text or parsed object
+ * @returns {SuppressionRule[]}
+ * @throws {TypeError} When the file is not a MageForge baseline
+ */
+export function parseBaseline(baseline) {
+  const data = typeof baseline === "string" ? JSON.parse(baseline) : baseline;
+  const rules = Array.isArray(data) ? data : data?.suppressions;
+  if (!Array.isArray(rules)) {
+    throw new TypeError("Not a MageForge baseline file");
+  }
+  return rules.map(normalizeRule).filter(Boolean);
+}
+
+export const suppressionMethods = {
+  /**
+   * All ignore rules for this origin.
+   *
+   * @returns {SuppressionRule[]}
+   */
+  getSuppressions() {
+    try {
+      const rules = JSON.parse(localStorage.getItem(SUPPRESSIONS_KEY) ?? "[]");
+      return Array.isArray(rules)
+        ? rules.map(normalizeRule).filter(Boolean)
+        : [];
+    } catch (_) {
+      return [];
+    }
+  },
+
+  /**
+   * Persist the rule list and re-run active audits so badges, findings and
+   * displayed scores reflect it.
+   *
+   * @param {SuppressionRule[]} rules
+   */
+  _saveSuppressions(rules) {
+    try {
+      if (rules.length) {
+        localStorage.setItem(SUPPRESSIONS_KEY, JSON.stringify(rules));
+      } else {
+        localStorage.removeItem(SUPPRESSIONS_KEY);
+      }
+    } catch (_) {
+      console.warn("[MageForge] Could not store ignore rules");
+    }
+    this.renderSuppressionSummary?.();
+    this.rerunActiveAudits?.();
+  },
+
+  /**
+   * Add an ignore rule (no-op when an identical rule exists).
+   *
+   * @param {SuppressionRule} rule
+   * @returns {boolean} Whether the rule was added
+   */
+  addSuppression(rule) {
+    const normalized = normalizeRule(rule);
+    if (!normalized) return false;
+    const rules = this.getSuppressions();
+    if (rules.some((r) => sameRule(r, normalized))) return false;
+    normalized.created ??= new Date().toISOString();
+    this._saveSuppressions([...rules, normalized]);
+    return true;
+  },
+
+  /**
+   * @param {SuppressionRule} rule
+   */
+  removeSuppression(rule) {
+    this._saveSuppressions(
+      this.getSuppressions().filter((r) => !sameRule(r, rule)),
+    );
+  },
+
+  /** Remove every ignore rule for this origin. */
+  clearSuppressions() {
+    this._saveSuppressions([]);
+  },
+
+  /**
+   * First rule that ignores the given finding, if any.
+   *
+   * @param {string} key
+   * @param {{el?: Element, selector?: string}} finding
+   * @param {SuppressionRule[]} [rules]
+   * @returns {SuppressionRule|undefined}
+   */
+  matchSuppression(key, finding, rules = this.getSuppressions()) {
+    const selector =
+      finding.selector ?? (finding.el ? getReadableSelector(finding.el) : "");
+    return rules.find((rule) => {
+      if (rule.key && rule.key !== key) return false;
+      if (rule.scope) return inScope(finding.el, rule.scope);
+      if (rule.path && finding.el) return matchesPath(finding.el, rule.path);
+      return rule.selector === selector;
+    });
+  },
+
+  /**
+   * Split findings into counted and ignored ones. Ignored findings carry
+   * the matching rule as `suppressedBy`.
+   *
+   * @template {{el?: Element, selector?: string}} F
+   * @param {string} key
+   * @param {F[]} findings
+   * @returns {{active: F[], ignored: Array<F & {suppressedBy: SuppressionRule}>}}
+   */
+  partitionSuppressed(key, findings) {
+    const rules = this.getSuppressions();
+    const result = { active: [], ignored: [] };
+    if (!rules.length) {
+      result.active = findings;
+      return result;
+    }
+    findings.forEach((finding) => {
+      const rule = this.matchSuppression(key, finding, rules);
+      if (rule) {
+        result.ignored.push({ ...finding, suppressedBy: rule });
+      } else {
+        result.active.push(finding);
+      }
+    });
+    return result;
+  },
+
+  /**
+   * Baseline file contents for the current rules.
+   *
+   * @returns {{tool: string, version: number, exported: string, suppressions: SuppressionRule[]}}
+   */
+  exportSuppressions() {
+    return {
+      tool: "MageForge",
+      version: BASELINE_VERSION,
+      exported: new Date().toISOString(),
+      suppressions: this.getSuppressions(),
+    };
+  },
+
+  /**
+   * Merge a baseline file (or bare rule array) into the stored rules.
+   *
+   * @param {string|object} baseline – JSON text or parsed object
+   * @returns {number} Number of rules added
+   * @throws {TypeError} When the file is not a MageForge baseline
+   */
+  importSuppressions(baseline) {
+    const incoming = parseBaseline(baseline);
+    const rules = this.getSuppressions();
+    let added = 0;
+    incoming.forEach((rule) => {
+      if (rules.some((r) => sameRule(r, rule))) return;
+      rules.push(rule);
+      added++;
+    });
+    if (added) this._saveSuppressions(rules);
+    return added;
+  },
+
+  /** Download the current rules as `mageforge-baseline.json`. */
+  downloadSuppressions() {
+    const blob = new Blob(
+      [JSON.stringify(this.exportSuppressions(), null, 2)],
+      { type: "application/json" },
+    );
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement("a");
+    a.href = url;
+    a.download = "mageforge-baseline.json";
+    document.body.appendChild(a);
+    a.click();
+    document.body.removeChild(a);
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+  },
+};
@@ -2,10 +2,18 @@ import { buildMethods } from "./ui/build.js";
 import { scoreMethods } from "./ui/score.js";
 import { itemMethods } from "./ui/items.js";
 import { controls } from "./ui/controls.js";
+import { historyPanelMethods } from "./ui/history.js";
+import { suppressionPanelMethods } from "./ui/suppressions.js";
+import { heatmapPanelMethods } from "./ui/heatmap.js";
+import { cachePanelMethods } from "./ui/cache.js";
 
 export const uiMethods = {
   ...buildMethods,
   ...scoreMethods,
   ...itemMethods,
   ...controls,
+  ...historyPanelMethods,
+  ...suppressionPanelMethods,
+  ...heatmapPanelMethods,
+  ...cachePanelMethods,
 };
@@ -4,15 +4,20 @@
  * Structure:
  *   createToolbar()           – Entry point; assembles and injects the toolbar DOM
  *   _buildMenu()              – Full menu popup container
- *     _buildMenuHeader()      – Sticky title bar (logo + name + close button)
+ *     _buildMenuHeader()      – Sticky title bar (logo + name + scope + live toggle + close button)
  *     _buildTabLayout()       – Two-column tab container (nav | content)
  *       _buildTabNav()        – Left-side navigation buttons + action bar at bottom
  *       _buildNavTab()        – Single nav tab button
  *       _buildTabPanels()     – All content panels
+ *         _buildGroupPanel()  – Audit group panel (rows + run/reset buttons)
  *         _buildPanel()       – Panel shell (role=tabpanel)
  *         _buildPanelHeader() – Panel title + compact score ring
  *         _buildScoreWidget() – Circular score ring (panel headers)
  *         _buildHomePanel()   – Overview panel with half-arc gauge
+ *           _buildDashboardCategory() – Per-group score card
+ *         _buildHistoryPanel() – Stored full-check runs (see ui/history.js)
+ *         _buildHeatmapPanel() – Block render times (see ui/heatmap.js)
+ *         _buildCachePanel()   – Full-page cache explorer (see ui/cache.js)
  *         _buildSettingsPanel() – Settings placeholder
  *     _buildMenuFooter()      – Credit line only (action bar is in nav)
  *   _buildBurgerButton()      – Persistent trigger button
@@ -24,6 +29,9 @@ import {
   createLogoSvg,
   generateId,
   ICON_HOME,
+  ICON_HISTORY,
+  ICON_HEATMAP,
+  ICON_CACHE,
   GROUP_ICONS,
   GAUGE_ARC_LENGTH,
   SCORE_RING_CIRCUMFERENCE,
@@ -93,7 +101,8 @@ export const buildMethods = {
   },
 
   /**
-   * Sticky title bar: logo + name + close button.
+   * Sticky title bar: logo + name + scope picker + live re-audit toggle +
+   * close button; the active scope is shown as a clearable chip below.
    *
    * @returns {HTMLDivElement}
    */
@@ -105,13 +114,49 @@ export const buildMethods = {
         <div>${createLogoSvg("#E5622A")}</div>
         <span class="mageforge-toolbar-menu-title-text">MageForge</span>
       </div>
-      <button type="button" class="mageforge-toolbar-menu-close" title="Close & deactivate all" aria-label="Close & deactivate all">
-        <svg xmlns="http://www.w3.org/2000/svg" width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2.5" stroke-linecap="round" stroke-linejoin="round" aria-hidden="true"><path d="M18 6L6 18M6 6l12 12"></path></svg>
-      </button>
+      <div class="mageforge-toolbar-menu-actions">
+        <button type="button" class="mageforge-toolbar-menu-scope" aria-pressed="false" title="Scope: pick a block (Alt+click for the exact element) to audit only that part of the page">
+          <svg xmlns="http://www.w3.org/2000/svg" width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2.5" stroke-linecap="round" stroke-linejoin="round" aria-hidden="true"><circle cx="12" cy="12" r="8"></circle><line x1="12" y1="1" x2="12" y2="5"></line><line x1="12" y1="19" x2="12" y2="23"></line><line x1="1" y1="12" x2="5" y2="12"></line><line x1="19" y1="12" x2="23" y2="12"></line></svg>
+          <span>Scope</span>
+        </button>
+        <button type="button" class="mageforge-toolbar-menu-live" aria-pressed="false" title="Live: re-run active audits when the page changes">
+          <svg xmlns="http://www.w3.org/2000/svg" width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2.5" stroke-linecap="round" stroke-linejoin="round" aria-hidden="true"><path d="M2 12s3.5-7 10-7 10 7 10 7-3.5 7-10 7S2 12 2 12z"></path><circle cx="12" cy="12" r="3"></circle></svg>
+          <span>Live</span>
+        </button>
+        <button type="button" class="mageforge-toolbar-menu-close" title="Close & deactivate all" aria-label="Close & deactivate all">
+          <svg xmlns="http://www.w3.org/2000/svg" width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2.5" stroke-linecap="round" stroke-linejoin="round" aria-hidden="true"><path d="M18 6L6 18M6 6l12 12"></path></svg>
+        </button>
+      </div>
+      <div class="mageforge-scope-chip" hidden>
+        <span class="mageforge-scope-chip-prefix">Scope</span>
+        <span class="mageforge-scope-chip-label"></span>
+        <button type="button" class="mageforge-scope-chip-clear" title="Clear scope – audit the whole page" aria-label="Clear scope">
+          <svg xmlns="http://www.w3.org/2000/svg" width="12" height="12" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2.5" stroke-linecap="round" stroke-linejoin="round" aria-hidden="true"><path d="M18 6L6 18M6 6l12 12"></path></svg>
+        </button>
+      </div>
     `;
+    this.scopeButton = header.querySelector(".mageforge-toolbar-menu-scope");
+    this.scopeButton.onclick = (e) => {
+      e.stopPropagation();
+      this.toggleScopePicker();
+    };
+    this.scopeChip = header.querySelector(".mageforge-scope-chip");
+    this.scopeChip.querySelector(".mageforge-scope-chip-clear").onclick = (
+      e,
+    ) => {
+      e.stopPropagation();
+      this.clearAuditScope();
+    };
+    this.liveButton = header.querySelector(".mageforge-toolbar-menu-live");
+    this.liveButton.onclick = (e) => {
+      e.stopPropagation();
+      this.toggleLiveMode();
+    };
     header.querySelector(".mageforge-toolbar-menu-close").onclick = (e) => {
       e.stopPropagation();
       this.deactivateAllAudits();
+      this._stopHeatmap();
+      this._stopCacheHighlight();
       this.closeMenu();
     };
     return header;
@@ -135,7 +180,7 @@ export const buildMethods = {
   // ────────────────────────────────────────────────────────────────────────
 
   /**
-   * Left-side navigation: Home at top, audit groups, Settings pinned to bottom.
+   * Left-side navigation: Home at top, audit groups, History pinned to bottom.
    *
    * @returns {HTMLElement}
    */
@@ -151,9 +196,23 @@ export const buildMethods = {
     this.footerActionBar.className = "mageforge-nav-action-bar";
     nav.appendChild(this.footerActionBar);
 
+    nav.appendChild(this._buildNavTab("heatmap", ICON_HEATMAP, "Render"));
+    nav.appendChild(this._buildNavTab("cache", ICON_CACHE, "Cache"));
+
+    this.historyTabButton = this._buildNavTab(
+      "history",
+      ICON_HISTORY,
+      "History",
+    );
+    nav.appendChild(this.historyTabButton);
+
     this.getAuditGroups().forEach((group) => {
       nav.appendChild(
-        this._buildNavTab(group.key, GROUP_ICONS[group.key] ?? "", group.label),
+        this._buildNavTab(
+          group.key,
+          group.icon ?? GROUP_ICONS[group.key] ?? "",
+          group.label,
+        ),
       );
     });
 
@@ -290,84 +349,7 @@ export const buildMethods = {
     this.getAuditGroups().forEach((group) => {
       const items = grouped[group.key];
       if (!items?.length) return;
-
-      const panel = this._buildPanel(group.key);
-      panel.setAttribute("hidden", "");
-      panel.appendChild(this._buildPanelHeader(group.label, false, group.key));
-
-      const body = document.createElement("div");
-      body.className = "mageforge-tab-panel-body";
-
-      const groupLabel = group.label;
-
-      // Build run button – stored as ref, rendered in footer action bar
-      const groupBtn = document.createElement("button");
-      groupBtn.type = "button";
-      groupBtn.className = "mageforge-group-run-btn";
-      groupBtn.dataset.group = group.key;
-      this[`runGroupButton-${group.key}`] = groupBtn;
-      groupBtn.innerHTML = `
-        <svg xmlns="http://www.w3.org/2000/svg" width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2.5" stroke-linecap="round" stroke-linejoin="round" aria-hidden="true"><path d="M22 11.08V12a10 10 0 1 1-5.93-9.14"></path><polyline points="22 4 12 14.01 9 11.01"></polyline></svg>
-        Run Check
-      `;
-      groupBtn.onclick = (e) => {
-        e.stopPropagation();
-        this.runGroupAuditsForScore(group.key);
-      };
-
-      // Build reset button – stored as ref, rendered in footer action bar
-      const groupResetBtn = document.createElement("button");
-      groupResetBtn.type = "button";
-      groupResetBtn.className = "mageforge-group-reset-btn";
-      groupResetBtn.setAttribute("aria-label", `Reset ${groupLabel} audits`);
-      groupResetBtn.title = `Reset ${groupLabel} audits`;
-      groupResetBtn.innerHTML =
-        '<svg xmlns="http://www.w3.org/2000/svg" width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2.5" stroke-linecap="round" stroke-linejoin="round" aria-hidden="true"><path d="M3 12a9 9 0 1 0 9-9 9.75 9.75 0 0 0-6.74 2.74L3 8"></path><path d="M3 3v5h5"></path></svg> Reset';
-      const handleGroupReset = () => {
-        const btn = this[`groupResetButton-${group.key}`];
-        if (btn?.classList.contains("mageforge-group-reset-btn--disabled"))
-          return;
-        if (this._isMultiGroupActive()) {
-          this.resetScore();
-        } else {
-          this.resetGroupAudits(group.key);
-        }
-      };
-      groupResetBtn.onclick = (e) => {
-        e.stopPropagation();
-        handleGroupReset();
-      };
-      this[`groupResetButton-${group.key}`] = groupResetBtn;
-
-      items.forEach((audit) => {
-        body.appendChild(
-          this.createMenuItem(
-            audit.key,
-            audit.icon,
-            audit.label,
-            audit.description,
-            () => this.runAudit(audit.key),
-            group.key,
-          ),
-        );
-      });
-
-      if (items.length < 6) {
-        const featureBtn = document.createElement("a");
-        featureBtn.href =
-          "https://github.com/OpenForgeProject/mageforge/issues/new?labels=enhancement&template=feature_request.yml&title=%5BAudit+Request%5D+";
-        featureBtn.target = "_blank";
-        featureBtn.rel = "noopener noreferrer";
-        featureBtn.className = "mageforge-feature-request-btn";
-        featureBtn.innerHTML = `
-          <svg xmlns="http://www.w3.org/2000/svg" width="12" height="12" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2.5" stroke-linecap="round" stroke-linejoin="round" aria-hidden="true"><path d="M12 5v14M5 12l7-7 7 7"></path></svg>
-          Suggest a Audit
-        `;
-        body.appendChild(featureBtn);
-      }
-
-      panel.appendChild(body);
-      wrapper.appendChild(panel);
+      wrapper.appendChild(this._buildGroupPanel(group, items));
     });
 
     // Ungrouped audits (no header)
@@ -388,9 +370,101 @@ export const buildMethods = {
       wrapper.appendChild(panel);
     }
 
+    wrapper.appendChild(this._buildHistoryPanel());
+    wrapper.appendChild(this._buildHeatmapPanel());
+    wrapper.appendChild(this._buildCachePanel());
+
     return wrapper;
   },
 
+  /**
+   * Build the panel for one audit group: header, audit rows and the
+   * run/reset buttons rendered later in the nav action bar.
+   *
+   * @param {import('../audits/index.js').AuditGroup} group
+   * @param {import('../audits/index.js').AuditDefinition[]} items
+   * @returns {HTMLDivElement}
+   */
+  _buildGroupPanel(group, items) {
+    const panel = this._buildPanel(group.key);
+    panel.setAttribute("hidden", "");
+    panel.appendChild(this._buildPanelHeader(group.label, false, group.key));
+
+    const body = document.createElement("div");
+    body.className = "mageforge-tab-panel-body";
+
+    const groupLabel = group.label;
+
+    // Build run button – stored as ref, rendered in footer action bar
+    const groupBtn = document.createElement("button");
+    groupBtn.type = "button";
+    groupBtn.className = "mageforge-group-run-btn";
+    groupBtn.dataset.group = group.key;
+    this[`runGroupButton-${group.key}`] = groupBtn;
+    groupBtn.innerHTML = `
+      <svg xmlns="http://www.w3.org/2000/svg" width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2.5" stroke-linecap="round" stroke-linejoin="round" aria-hidden="true"><path d="M22 11.08V12a10 10 0 1 1-5.93-9.14"></path><polyline points="22 4 12 14.01 9 11.01"></polyline></svg>
+      Run Check
+    `;
+    groupBtn.onclick = (e) => {
+      e.stopPropagation();
+      this.runGroupAuditsForScore(group.key);
+    };
+
+    // Build reset button – stored as ref, rendered in footer action bar
+    const groupResetBtn = document.createElement("button");
+    groupResetBtn.type = "button";
+    groupResetBtn.className = "mageforge-group-reset-btn";
+    groupResetBtn.setAttribute("aria-label", `Reset ${groupLabel} audits`);
+    groupResetBtn.title = `Reset ${groupLabel} audits`;
+    groupResetBtn.innerHTML =
+      '<svg xmlns="http://www.w3.org/2000/svg" width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2.5" stroke-linecap="round" stroke-linejoin="round" aria-hidden="true"><path d="M3 12a9 9 0 1 0 9-9 9.75 9.75 0 0 0-6.74 2.74L3 8"></path><path d="M3 3v5h5"></path></svg> Reset';
+    const handleGroupReset = () => {
+      const btn = this[`groupResetButton-${group.key}`];
+      if (btn?.classList.contains("mageforge-group-reset-btn--disabled"))
+        return;
+      if (this._isMultiGroupActive()) {
+        this.resetScore();
+      } else {
+        this.resetGroupAudits(group.key);
+      }
+    };
+    groupResetBtn.onclick = (e) => {
+      e.stopPropagation();
+      handleGroupReset();
+    };
+    this[`groupResetButton-${group.key}`] = groupResetBtn;
+
+    items.forEach((audit) => {
+      body.appendChild(
+        this.createMenuItem(
+          audit.key,
+          audit.icon,
+          audit.label,
+          audit.description,
+          () => this.runAudit(audit.key),
+          group.key,
+        ),
+      );
+    });
+
+    if (items.length < 6) {
+      const featureBtn = document.createElement("a");
+      featureBtn.href =
+        "https://github.com/OpenForgeProject/mageforge/issues/new?labels=enhancement&template=feature_request.yml&title=%5BAudit+Request%5D+";
+      featureBtn.target = "_blank";
+      featureBtn.rel = "noopener noreferrer";
+      featureBtn.className = "mageforge-feature-request-btn";
+      featureBtn.innerHTML = `
+        <svg xmlns="http://www.w3.org/2000/svg" width="12" height="12" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2.5" stroke-linecap="round" stroke-linejoin="round" aria-hidden="true"><path d="M12 5v14M5 12l7-7 7 7"></path></svg>
+        Suggest a Audit
+      `;
+      body.appendChild(featureBtn);
+    }
+
+    panel.appendChild(body);
+    return panel;
+  },
+
   /**
    * Create a bare panel shell.
    *
@@ -500,6 +574,7 @@ export const buildMethods = {
             <span class="mageforge-toolbar-health-score-max">/100</span>
           </div>
           <div class="mageforge-toolbar-health-score-label">Overall Health Score</div>
+          <div class="mageforge-health-failed-note" aria-live="polite"></div>
         </div>
       </div>
     `;
@@ -548,18 +623,9 @@ export const buildMethods = {
     [...this.getAuditGroups()]
       .sort((a, b) => a.label.localeCompare(b.label))
       .forEach((group) => {
-        const card = document.createElement("div");
-        card.className = "mageforge-dashboard-category";
-        card.style.setProperty(
-          "--category-color",
-          `var(--mageforge-group-color-${group.key})`,
-        );
-        card.innerHTML = `
-          <span class="mageforge-dashboard-category-label">${group.label}</span>
-          <span class="mageforge-dashboard-category-score" data-dashboard-group-score="${group.key}">--</span>
-        `;
-        categories.appendChild(card);
+        categories.appendChild(this._buildDashboardCategory(group));
       });
+    this.dashboardCategoriesEl = categories;
     panel.appendChild(categories);
 
     // Issues list – populated by updateDashboardIssues()
@@ -567,6 +633,9 @@ export const buildMethods = {
     this.dashboardIssuesEl.className = "mageforge-dashboard-issues";
     panel.appendChild(this.dashboardIssuesEl);
 
+    // Ignore rules / baseline file
+    panel.appendChild(this._buildSuppressionSection());
+
     panel.appendChild(
       Object.assign(document.createElement("p"), {
         className: "mageforge-home-hint",
@@ -577,6 +646,26 @@ export const buildMethods = {
     return panel;
   },
 
+  /**
+   * Dashboard score card for a single audit group.
+   *
+   * @param {import('../audits/index.js').AuditGroup} group
+   * @returns {HTMLDivElement}
+   */
+  _buildDashboardCategory(group) {
+    const card = document.createElement("div");
+    card.className = "mageforge-dashboard-category";
+    card.style.setProperty(
+      "--category-color",
+      `var(--mageforge-group-color-${group.key})`,
+    );
+    card.innerHTML = `
+      <span class="mageforge-dashboard-category-label">${group.label}</span>
+      <span class="mageforge-dashboard-category-score" data-dashboard-group-score="${group.key}">--</span>
+    `;
+    return card;
+  },
+
   _buildPageContext() {
     const classes = document.body.className;
     let pageType = "Page";
@@ -732,6 +821,8 @@ export const buildMethods = {
       ["json", "JSON"],
       ["md", "MD"],
       ["txt", "TXT"],
+      ["sarif", "SARIF"],
+      ["junit", "JUnit"],
     ].forEach(([fmt, label]) => {
       const btn = document.createElement("button");
       btn.type = "button";
@@ -768,7 +859,7 @@ export const buildMethods = {
   /**
    * Populate the footer action bar with the run/reset buttons for the given tab.
    *
-   * @param {string} key  – Tab key ("home" or a group key like "wcag")
+   * @param {string} key  – Tab key ("home", "history", "heatmap", "cache" or a group key like "wcag")
    */
   _updateFooterActions(key) {
     if (!this.footerActionBar) return;
@@ -781,6 +872,15 @@ export const buildMethods = {
       if (!this.runAllButton) return;
       row.appendChild(this.runAllButton);
       row.appendChild(this.resetButton);
+    } else if (key === "history") {
+      if (!this.historyClearButton) return;
+      row.appendChild(this.historyClearButton);
+    } else if (key === "heatmap") {
+      if (!this.heatmapToggleButton) return;
+      row.appendChild(this.heatmapToggleButton);
+    } else if (key === "cache") {
+      if (!this.cacheToggleButton) return;
+      row.appendChild(this.cacheToggleButton);
     } else {
       const runBtn = this[`runGroupButton-${key}`];
       const resetBtn = this[`groupResetButton-${key}`];
@@ -850,6 +950,9 @@ export const buildMethods = {
           : panel.setAttribute("hidden", "");
       });
 
+    if (key === "history") this.renderHistoryPanel();
+    if (key === "heatmap") this.renderHeatmapPanel();
+    if (key === "cache") this.renderCachePanel();
     this._updateFooterActions(key);
   },
 };
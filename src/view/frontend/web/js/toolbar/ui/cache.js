@@ -0,0 +1,197 @@
+/**
+ * MageForge Toolbar UI – Full-page cache panel
+ *
+ *   _buildCachePanel()       – Panel shell (header + body) and "Highlight Uncacheable" toggle
+ *   renderCachePanel()       – (Re)render page status, uncacheable blocks and cache tags
+ *     _buildUncacheableList() – Uncacheable blocks; a click scrolls to the block
+ *     _buildCacheTagList()    – Tag chips with block counts; a click highlights the blocks
+ *   _updateCacheControls()   – Reflect the highlight state on the toggle and the chips
+ */
+
+import { collectCacheTags } from "../cache.js";
+import { ICON_EYE } from "./constants.js";
+
+/**
+ * @param {number} count
+ * @param {string} noun
+ * @returns {string}
+ */
+function plural(count, noun) {
+  return `${count} ${noun}${count === 1 ? "" : "s"}`;
+}
+
+/**
+ * @param {string} text
+ * @returns {HTMLHeadingElement}
+ */
+function sectionTitle(text) {
+  const title = document.createElement("h4");
+  title.className = "mageforge-cache-section-title";
+  title.textContent = text;
+  return title;
+}
+
+export const cachePanelMethods = {
+  /**
+   * Build the (initially hidden) cache panel and its toggle action.
+   *
+   * @returns {HTMLDivElement}
+   */
+  _buildCachePanel() {
+    const panel = this._buildPanel("cache");
+    panel.setAttribute("hidden", "");
+    panel.appendChild(
+      this._buildPanelHeader("Full-Page Cache", false, "cache"),
+    );
+
+    this.cacheBodyEl = document.createElement("div");
+    this.cacheBodyEl.className =
+      "mageforge-tab-panel-body mageforge-cache-body";
+    panel.appendChild(this.cacheBodyEl);
+
+    // Toggle button – stored as ref, rendered in footer action bar
+    this.cacheToggleButton = document.createElement("button");
+    this.cacheToggleButton.type = "button";
+    this.cacheToggleButton.className = "mageforge-group-run-btn";
+    this.cacheToggleButton.onclick = (e) => {
+      e.stopPropagation();
+      this.toggleUncacheableHighlight();
+    };
+    this._updateCacheControls();
+
+    return panel;
+  },
+
+  /**
+   * Render the cache status of the blocks currently on the page.
+   */
+  renderCachePanel() {
+    const body = this.cacheBodyEl;
+    if (!body) return;
+    body.innerHTML = "";
+
+    const blocks = this.getBlockCacheInfo();
+    if (!blocks.length) {
+      body.appendChild(
+        Object.assign(document.createElement("p"), {
+          className: "mageforge-home-hint",
+          textContent:
+            "No block cache data on this page. It is recorded while the MageForge inspector is enabled (developer mode, allowed IP).",
+        }),
+      );
+      return;
+    }
+
+    if (blocks.some((block) => !block.pageCacheable)) {
+      const banner = document.createElement("div");
+      banner.className = "mageforge-cache-banner";
+      banner.setAttribute("role", "alert");
+      banner.innerHTML = `
+        <strong>Page not cacheable</strong>
+        <span>A layout block is declared with cacheable="false", so the full-page cache never stores this page – whatever the blocks below are set to.</span>
+      `;
+      body.appendChild(banner);
+    }
+
+    const uncacheable = blocks.filter((block) => !block.cacheable);
+    const tags = collectCacheTags(blocks);
+
+    const summary = document.createElement("p");
+    summary.className = "mageforge-cache-summary";
+    summary.textContent = `${plural(blocks.length, "block")} · ${uncacheable.length} not cacheable · ${plural(tags.length, "cache tag")}`;
+    body.appendChild(summary);
+
+    body.appendChild(sectionTitle("Not cacheable"));
+    body.appendChild(this._buildUncacheableList(uncacheable));
+
+    body.appendChild(sectionTitle("Cache tags"));
+    body.appendChild(this._buildCacheTagList(tags));
+
+    this._updateCacheControls();
+  },
+
+  /**
+   * @param {import('../cache.js').BlockCacheInfo[]} blocks
+   * @returns {HTMLElement}
+   */
+  _buildUncacheableList(blocks) {
+    if (!blocks.length) {
+      return Object.assign(document.createElement("p"), {
+        className: "mageforge-home-hint",
+        textContent: "Every block on this page is cacheable.",
+      });
+    }
+
+    const list = document.createElement("ul");
+    list.className = "mageforge-cache-list";
+    blocks.forEach((block) => {
+      const item = document.createElement("li");
+      const btn = document.createElement("button");
+      btn.type = "button";
+      btn.className = "mageforge-cache-block";
+      btn.title = block.module
+        ? `${block.template} (${block.module})`
+        : block.template;
+      btn.textContent = block.template;
+      btn.onclick = (e) => {
+        e.stopPropagation();
+        this.scrollToBlock(block.el);
+      };
+      item.appendChild(btn);
+      list.appendChild(item);
+    });
+    return list;
+  },
+
+  /**
+   * @param {import('../cache.js').CacheTagUsage[]} tags
+   * @returns {HTMLElement}
+   */
+  _buildCacheTagList(tags) {
+    if (!tags.length) {
+      return Object.assign(document.createElement("p"), {
+        className: "mageforge-home-hint",
+        textContent: "No block on this page carries cache tags.",
+      });
+    }
+
+    const list = document.createElement("div");
+    list.className = "mageforge-cache-tags";
+    tags.forEach(({ tag, count }) => {
+      const chip = document.createElement("button");
+      chip.type = "button";
+      chip.className = "mageforge-cache-tag";
+      chip.dataset.tag = tag;
+      chip.title = `Highlight the ${plural(count, "block")} tagged ${tag}`;
+      chip.innerHTML = `<span class="mageforge-cache-tag-name"></span><span class="mageforge-cache-tag-count">${count}</span>`;
+      chip.firstChild.textContent = tag;
+      chip.onclick = (e) => {
+        e.stopPropagation();
+        this.toggleCacheTagHighlight(tag);
+      };
+      list.appendChild(chip);
+    });
+    return list;
+  },
+
+  /** Reflect the highlight state on the toggle button and the tag chips. */
+  _updateCacheControls() {
+    const highlight = this.cacheHighlight;
+    const btn = this.cacheToggleButton;
+    if (btn) {
+      const active = highlight?.mode === "uncacheable";
+      btn.innerHTML = `${ICON_EYE} ${active ? "Hide Highlight" : "Highlight Uncacheable"}`;
+      btn.setAttribute("aria-pressed", String(active));
+    }
+    this.cacheBodyEl
+      ?.querySelectorAll(".mageforge-cache-tag")
+      .forEach((chip) =>
+        chip.setAttribute(
+          "aria-pressed",
+          String(
+            highlight?.mode === "tag" && highlight.tag === chip.dataset.tag,
+          ),
+        ),
+      );
+  },
+};
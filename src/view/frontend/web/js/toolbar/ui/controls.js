@@ -96,6 +96,17 @@ export const controls = {
     this.runAllButton = null;
     this.resetButton = null;
     this._exportBtnRow = null;
+    this.historyBodyEl = null;
+    this.historyClearButton = null;
+    this.historyTabButton = null;
+    this.heatmapBodyEl = null;
+    this.heatmapToggleButton = null;
+    this.cacheBodyEl = null;
+    this.cacheToggleButton = null;
+    this.suppressionSectionEl = null;
+    this.suppressionListEl = null;
+    this.scopeButton = null;
+    this.scopeChip = null;
     this.menuOpen = false;
   },
 
@@ -0,0 +1,209 @@
+/**
+ * MageForge Toolbar UI – Render-time heatmap panel
+ *
+ *   _buildHeatmapPanel()      – Panel shell (header + body) and "Show Heatmap" toggle
+ *   renderHeatmapPanel()      – (Re)render summary, legend and template table
+ *     _buildHeatmapTable()    – Sortable table; a row click scrolls to the slowest instance
+ *   sortHeatmapTable()        – Sort by a column, toggling the direction on repeat
+ *   _updateHeatmapControls()  – Reflect the overlay state on the toggle button
+ */
+
+import {
+  RENDER_TIME_GOOD,
+  RENDER_TIME_WARNING,
+  getRenderTimeRating,
+} from "../../render-time.js";
+import { groupByTemplate } from "../heatmap.js";
+import { ICON_EYE } from "./constants.js";
+
+const COLUMNS = [
+  { key: "template", label: "Template", numeric: false },
+  { key: "count", label: "Renders", numeric: true },
+  { key: "total", label: "Total", numeric: true },
+  { key: "max", label: "Slowest", numeric: true },
+];
+
+/**
+ * @param {number} ms
+ * @returns {string}
+ */
+function formatMs(ms) {
+  return `${ms.toFixed(ms < 10 ? 2 : 1)} ms`;
+}
+
+export const heatmapPanelMethods = {
+  /**
+   * Build the (initially hidden) render-time panel and its toggle action.
+   *
+   * @returns {HTMLDivElement}
+   */
+  _buildHeatmapPanel() {
+    const panel = this._buildPanel("heatmap");
+    panel.setAttribute("hidden", "");
+    panel.appendChild(this._buildPanelHeader("Render Times", false, "heatmap"));
+
+    this.heatmapBodyEl = document.createElement("div");
+    this.heatmapBodyEl.className =
+      "mageforge-tab-panel-body mageforge-heatmap-body";
+    panel.appendChild(this.heatmapBodyEl);
+
+    // Toggle button – stored as ref, rendered in footer action bar
+    this.heatmapToggleButton = document.createElement("button");
+    this.heatmapToggleButton.type = "button";
+    this.heatmapToggleButton.className = "mageforge-group-run-btn";
+    this.heatmapToggleButton.onclick = (e) => {
+      e.stopPropagation();
+      this.toggleHeatmap();
+    };
+    this._updateHeatmapControls();
+
+    return panel;
+  },
+
+  /**
+   * Render the render times of the blocks currently on the page.
+   */
+  renderHeatmapPanel() {
+    const body = this.heatmapBodyEl;
+    if (!body) return;
+    body.innerHTML = "";
+
+    const blocks = this.getBlockRenderTimes();
+    if (!blocks.length) {
+      body.appendChild(
+        Object.assign(document.createElement("p"), {
+          className: "mageforge-home-hint",
+          textContent:
+            "No block render times on this page. They are recorded while the MageForge inspector is enabled (developer mode, allowed IP).",
+        }),
+      );
+      return;
+    }
+
+    const rows = groupByTemplate(blocks);
+    const summary = document.createElement("p");
+    summary.className = "mageforge-heatmap-summary";
+    summary.textContent = `${blocks.length} block${blocks.length === 1 ? "" : "s"} · ${rows.length} template${rows.length === 1 ? "" : "s"} · slowest ${formatMs(rows[0].max)}`;
+    body.appendChild(summary);
+
+    const legend = document.createElement("div");
+    legend.className = "mageforge-heatmap-legend";
+    [
+      ["good", `< ${RENDER_TIME_GOOD} ms`],
+      ["warning", `< ${RENDER_TIME_WARNING} ms`],
+      ["slow", `≥ ${RENDER_TIME_WARNING} ms`],
+    ].forEach(([rating, label]) => {
+      const item = document.createElement("span");
+      item.className = `mageforge-heatmap-legend-item mageforge-heatmap-legend-item--${rating}`;
+      item.textContent = label;
+      legend.appendChild(item);
+    });
+    body.appendChild(legend);
+
+    body.appendChild(this._buildHeatmapTable(rows));
+
+    const note = document.createElement("p");
+    note.className = "mageforge-home-hint";
+    note.textContent =
+      "Render times include child blocks. Click a row to scroll to its slowest instance.";
+    body.appendChild(note);
+  },
+
+  /**
+   * @param {import('../heatmap.js').TemplateRenderTime[]} rows
+   * @returns {HTMLTableElement}
+   */
+  _buildHeatmapTable(rows) {
+    const { column, direction } = this._heatmapSort;
+    const numeric = COLUMNS.find((c) => c.key === column)?.numeric;
+    const sign = direction === "asc" ? 1 : -1;
+    const sorted = [...rows].sort((a, b) =>
+      numeric
+        ? sign * (a[column] - b[column])
+        : sign * String(a[column]).localeCompare(String(b[column])),
+    );
+
+    const table = document.createElement("table");
+    table.className = "mageforge-heatmap-table";
+
+    const head = table.createTHead().insertRow();
+    COLUMNS.forEach(({ key, label }) => {
+      const th = document.createElement("th");
+      th.scope = "col";
+      if (key === column) {
+        th.setAttribute(
+          "aria-sort",
+          direction === "asc" ? "ascending" : "descending",
+        );
+      }
+      const btn = document.createElement("button");
+      btn.type = "button";
+      btn.className = "mageforge-heatmap-sort";
+      btn.textContent = label;
+      btn.onclick = (e) => {
+        e.stopPropagation();
+        this.sortHeatmapTable(key);
+      };
+      th.appendChild(btn);
+      head.appendChild(th);
+    });
+
+    const tbody = table.createTBody();
+    sorted.forEach((row) => {
+      const tr = tbody.insertRow();
+      tr.className = "mageforge-heatmap-row";
+      tr.tabIndex = 0;
+      tr.title = row.module ? `${row.template} (${row.module})` : row.template;
+
+      const name = tr.insertCell();
+      name.className = "mageforge-heatmap-template";
+      name.textContent = row.template;
+      tr.insertCell().textContent = String(row.count);
+      tr.insertCell().textContent = formatMs(row.total);
+      const max = tr.insertCell();
+      max.className = `mageforge-heatmap-time mageforge-heatmap-time--${getRenderTimeRating(row.max)}`;
+      max.textContent = formatMs(row.max);
+
+      const scroll = (e) => {
+        e.stopPropagation();
+        this.scrollToBlock(row.el);
+      };
+      tr.onclick = scroll;
+      tr.onkeydown = (e) => {
+        if (e.key === "Enter" || e.key === " ") {
+          e.preventDefault();
+          scroll(e);
+        }
+      };
+    });
+
+    return table;
+  },
+
+  /**
+   * Sort the table by `column`; the same column again flips the direction.
+   * Names sort A→Z first, times slowest first.
+   *
+   * @param {'template'|'count'|'total'|'max'} column
+   */
+  sortHeatmapTable(column) {
+    const current = this._heatmapSort;
+    if (current.column === column) {
+      current.direction = current.direction === "asc" ? "desc" : "asc";
+    } else {
+      this._heatmapSort = {
+        column,
+        direction: column === "template" ? "asc" : "desc",
+      };
+    }
+    this.renderHeatmapPanel();
+  },
+
+  /** Reflect the overlay state on the toggle button. */
+  _updateHeatmapControls() {
+    const btn = this.heatmapToggleButton;
+    if (!btn) return;
+    btn.innerHTML = `${ICON_EYE} ${this.heatmapActive ? "Hide Heatmap" : "Show Heatmap"}`;
+    btn.setAttribute("aria-pressed", String(this.heatmapActive));
+  },
+};
@@ -0,0 +1,320 @@
+/**
+ * MageForge Toolbar UI – History panel
+ *
+ *   _buildHistoryPanel()        – Panel shell (header + body) and "Clear" button
+ *   _confirmClearHistory()      – Inline confirmation before "Clear" deletes runs
+ *   renderHistoryPanel()        – (Re)render sparkline, run list and diff
+ *     _buildHistorySparkline()  – Score trend across all stored runs
+ *     _buildHistoryRun()        – One selectable run row
+ *     _buildHistoryDiff()       – New / fixed / unchanged findings of two runs
+ *   toggleHistoryRun()          – Select a run for comparison (max. two)
+ */
+
+const DIFF_SECTIONS = [
+  { key: "added", label: "New", open: true },
+  { key: "fixed", label: "Fixed", open: true },
+  { key: "unchanged", label: "Unchanged", open: false },
+];
+
+export const historyPanelMethods = {
+  /**
+   * Build the (initially hidden) History panel and its "Clear" action.
+   *
+   * @returns {HTMLDivElement}
+   */
+  _buildHistoryPanel() {
+    const panel = this._buildPanel("history");
+    panel.setAttribute("hidden", "");
+    panel.appendChild(this._buildPanelHeader("History", false, "history"));
+
+    this.historyBodyEl = document.createElement("div");
+    this.historyBodyEl.className =
+      "mageforge-tab-panel-body mageforge-history-body";
+    panel.appendChild(this.historyBodyEl);
+
+    // Clear button – stored as ref, rendered in footer action bar
+    this.historyClearButton = document.createElement("button");
+    this.historyClearButton.type = "button";
+    this.historyClearButton.className = "mageforge-group-reset-btn";
+    this.historyClearButton.title = "Delete all stored runs for this page";
+    this.historyClearButton.setAttribute(
+      "aria-label",
+      "Delete all stored runs for this page",
+    );
+    this.historyClearButton.innerHTML =
+      '<svg xmlns="http://www.w3.org/2000/svg" width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2.5" stroke-linecap="round" stroke-linejoin="round" aria-hidden="true"><path d="M3 6h18"></path><path d="M8 6V4h8v2"></path><path d="M19 6l-1 14H6L5 6"></path></svg> Clear History';
+    this.historyClearButton.onclick = (e) => {
+      e.stopPropagation();
+      this._confirmClearHistory();
+    };
+
+    return panel;
+  },
+
+  /**
+   * Ask inline (top of the panel body) before deleting the stored runs –
+   * they cannot be restored. Escape or "Cancel" keeps them.
+   */
+  _confirmClearHistory() {
+    const body = this.historyBodyEl;
+    const count = this.getAuditHistory().length;
+    if (!body || !count) return;
+
+    const open = body.querySelector(".mageforge-history-confirm");
+    if (open) {
+      open.querySelector("button")?.focus();
+      return;
+    }
+
+    const bar = document.createElement("div");
+    bar.className = "mageforge-history-confirm";
+    bar.setAttribute("role", "group");
+    bar.setAttribute("aria-label", "Confirm clearing the history");
+
+    const text = document.createElement("p");
+    text.className = "mageforge-history-confirm-text";
+    text.id = "mageforge-history-confirm-text";
+    text.textContent = `Delete ${count} stored run${count === 1 ? "" : "s"} for this page? This cannot be undone.`;
+    bar.setAttribute("aria-describedby", text.id);
+
+    const close = () => {
+      bar.remove();
+      this.historyClearButton?.focus();
+    };
+
+    const cancel = document.createElement("button");
+    cancel.type = "button";
+    cancel.className = "mageforge-theme-btn";
+    cancel.textContent = "Cancel";
+    cancel.onclick = (e) => {
+      e.stopPropagation();
+      close();
+    };
+
+    const confirm = document.createElement("button");
+    confirm.type = "button";
+    confirm.className = "mageforge-theme-btn mageforge-history-confirm-delete";
+    confirm.textContent = "Delete runs";
+    confirm.onclick = (e) => {
+      e.stopPropagation();
+      this.clearAuditHistory();
+      this._historySelection = [];
+      // Re-rendering the body removes the confirmation
+      this.renderHistoryPanel();
+      this.historyClearButton?.focus();
+    };
+
+    bar.addEventListener("keydown", (e) => {
+      if (e.key !== "Escape") return;
+      e.stopPropagation();
+      close();
+    });
+
+    bar.appendChild(text);
+    bar.appendChild(cancel);
+    bar.appendChild(confirm);
+    body.prepend(bar);
+    cancel.focus();
+  },
+
+  /**
+   * Render the stored runs for the current URL. By default the two most
+   * recent runs are compared.
+   */
+  renderHistoryPanel() {
+    const body = this.historyBodyEl;
+    if (!body) return;
+    body.innerHTML = "";
+
+    const runs = this.getAuditHistory();
+    const ids = new Set(runs.map((r) => r.id));
+    this._historySelection = (this._historySelection ?? []).filter((id) =>
+      ids.has(id),
+    );
+    if (!this._historySelection.length) {
+      this._historySelection = runs.slice(-2).map((r) => r.id);
+    }
+
+    const hasRuns = runs.length > 0;
+    this.historyClearButton?.classList.toggle(
+      "mageforge-group-reset-btn--disabled",
+      !hasRuns,
+    );
+    this.historyClearButton?.setAttribute("aria-disabled", String(!hasRuns));
+
+    if (!hasRuns) {
+      body.appendChild(
+        Object.assign(document.createElement("p"), {
+          className: "mageforge-home-hint",
+          textContent:
+            "No runs stored for this page yet. Use “Perform Full Check” on the Dashboard to record one.",
+        }),
+      );
+      return;
+    }
+
+    body.appendChild(this._buildHistorySparkline(runs));
+
+    const heading = document.createElement("p");
+    heading.className = "mageforge-section-heading";
+    heading.textContent = `Runs (${runs.length}) – select two to compare`;
+    body.appendChild(heading);
+
+    const list = document.createElement("div");
+    list.className = "mageforge-history-runs";
+    [...runs].reverse().forEach((run, i) => {
+      const previous = runs[runs.length - 2 - i];
+      list.appendChild(this._buildHistoryRun(run, previous));
+    });
+    body.appendChild(list);
+
+    const selected = runs.filter((r) => this._historySelection.includes(r.id));
+    if (selected.length === 2) {
+      body.appendChild(this._buildHistoryDiff(selected[0], selected[1]));
+    }
+  },
+
+  /**
+   * Score trend across all stored runs (oldest → newest).
+   *
+   * @param {import('../history.js').HistorySnapshot[]} runs
+   * @returns {HTMLDivElement}
+   */
+  _buildHistorySparkline(runs) {
+    const el = document.createElement("div");
+    el.className = "mageforge-history-trend";
+
+    const latest = runs[runs.length - 1].score;
+    const delta = runs.length > 1 ? latest - runs[runs.length - 2].score : 0;
+
+    const width = 100;
+    const height = 28;
+    const step = runs.length > 1 ? width / (runs.length - 1) : 0;
+    const points = runs.map((r, i) => [
+      runs.length > 1 ? i * step : width / 2,
+      height - (Math.max(0, Math.min(100, r.score)) / 100) * height,
+    ]);
+
+    el.innerHTML = `
+      <svg class="mageforge-history-sparkline" viewBox="-2 -2 ${width + 4} ${height + 4}" preserveAspectRatio="none" role="img" aria-label="Health score trend: ${runs.map((r) => r.score).join(", ")}">
+        <polyline fill="none" stroke="currentColor" stroke-width="1.5" stroke-linejoin="round" stroke-linecap="round" vector-effect="non-scaling-stroke"
+                  points="${points.map((p) => p.join(",")).join(" ")}"></polyline>
+        ${points
+          .map(
+            ([x, y]) =>
+              `<circle cx="${x}" cy="${y}" r="1.6" fill="currentColor"></circle>`,
+          )
+          .join("")}
+      </svg>
+      <div class="mageforge-history-trend-score">
+        <span class="mageforge-history-trend-value">${latest}</span>
+        <span class="mageforge-history-delta mageforge-history-delta--${delta > 0 ? "up" : delta < 0 ? "down" : "same"}">${delta > 0 ? "+" : ""}${delta}</span>
+      </div>
+    `;
+    return el;
+  },
+
+  /**
+   * A selectable run row: date, score, error/warning totals.
+   *
+   * @param {import('../history.js').HistorySnapshot} run
+   * @param {import('../history.js').HistorySnapshot} [previous]
+   * @returns {HTMLButtonElement}
+   */
+  _buildHistoryRun(run, previous) {
+    const errors = run.audits.reduce((sum, a) => sum + (a.errors ?? 0), 0);
+    const warnings = run.audits.reduce((sum, a) => sum + (a.warnings ?? 0), 0);
+    const selected = this._historySelection.includes(run.id);
+
+    const row = document.createElement("button");
+    row.type = "button";
+    row.className = "mageforge-history-run";
+    row.classList.toggle("mageforge-history-run--selected", selected);
+    row.setAttribute("aria-pressed", String(selected));
+
+    const date = document.createElement("span");
+    date.className = "mageforge-history-run-date";
+    date.textContent = new Date(run.timestamp).toLocaleString();
+
+    const counts = document.createElement("span");
+    counts.className = "mageforge-history-run-counts";
+    counts.textContent = `${errors} errors · ${warnings} warnings`;
+
+    const score = document.createElement("span");
+    score.className = "mageforge-history-run-score";
+    score.textContent = String(run.score);
+    if (previous) {
+      score.title = `${run.score - previous.score >= 0 ? "+" : ""}${run.score - previous.score} vs. previous run`;
+    }
+
+    row.append(date, counts, score);
+    row.onclick = (e) => {
+      e.stopPropagation();
+      this.toggleHistoryRun(run.id);
+    };
+    return row;
+  },
+
+  /**
+   * Select/deselect a run for comparison. Selecting a third run drops the
+   * one that was selected first.
+   *
+   * @param {string} id
+   */
+  toggleHistoryRun(id) {
+    const selection = this._historySelection ?? [];
+    this._historySelection = selection.includes(id)
+      ? selection.filter((s) => s !== id)
+      : [...selection, id].slice(-2);
+    this.renderHistoryPanel();
+  },
+
+  /**
+   * Diff of two runs grouped into new, fixed and unchanged findings.
+   *
+   * @param {import('../history.js').HistorySnapshot} base
+   * @param {import('../history.js').HistorySnapshot} compare
+   * @returns {HTMLDivElement}
+   */
+  _buildHistoryDiff(base, compare) {
+    const diff = this.diffAuditHistory(base, compare);
+    const el = document.createElement("div");
+    el.className = "mageforge-history-diff";
+
+    const heading = document.createElement("p");
+    heading.className = "mageforge-section-heading";
+    heading.textContent = `${new Date(base.timestamp).toLocaleString()} → ${new Date(compare.timestamp).toLocaleString()}`;
+    el.appendChild(heading);
+
+    DIFF_SECTIONS.forEach(({ key, label, open }) => {
+      const entries = diff[key];
+      const section = document.createElement("details");
+      section.className = `mageforge-history-diff-section mageforge-history-diff-section--${key}`;
+      section.open = open && entries.length > 0;
+
+      const summary = document.createElement("summary");
+      summary.textContent = `${label} (${entries.length})`;
+      section.appendChild(summary);
+
+      entries.forEach((entry) => {
+        const row = document.createElement("div");
+        row.className = `mageforge-history-diff-row mageforge-history-diff-row--${entry.severity}`;
+
+        const audit = document.createElement("span");
+        audit.className = "mageforge-history-diff-audit";
+        audit.textContent = entry.label;
+
+        const selector = document.createElement("code");
+        selector.className = "mageforge-history-diff-selector";
+        selector.textContent = entry.selector;
+        selector.title = entry.selector;
+
+        row.append(audit, selector);
+        section.appendChild(row);
+      });
+      el.appendChild(section);
+    });
+
+    return el;
+  },
+};
@@ -5,8 +5,14 @@
  * updateToggleAllButton / updateHomeSummary / updateDashboardIssues / updateExportButton
  */
 
-import { getReadableSelector } from "../audits/highlight.js";
+import {
+  getReadableSelector,
+  getUniqueSelector,
+  serializeFinding,
+} from "../audits/highlight.js";
 import { GROUP_ICONS } from "./constants.js";
+import { domMethods } from "../../inspector/dom.js";
+import { buildEditorUrl } from "../../editor-link.js";
 
 export const itemMethods = {
   /**
@@ -78,12 +84,26 @@ export const itemMethods = {
 
   /**
    * Populate (or clear) the findings list beneath an audit item.
-   * Each row scrolls to and briefly highlights the element on click.
+   * Each row scrolls to and briefly highlights the element on click (rows of
+   * page-level findings have no element);
+   * detail fields (message, measured vs. expected, fix, rule) are shown
+   * beneath the selector.
    *
    * @param {string} key
-   * @param {Array<{el: Element, selector?: string, severity?: 'error'|'warning', action?: string}>} findings
+   * @param {Array<{el?: Element, selector?: string, severity?: 'error'|'warning', action?: string} & Partial<import('../audits/createAudit.js').AuditFinding>>} findings
    */
   setAuditFindings(key, findings) {
+    // Ignored findings (suppressions.js) are listed apart and never counted
+    const ignored = findings?.filter((f) => f.ignored) ?? [];
+    findings = findings?.filter((f) => !f.ignored) ?? [];
+
+    // Serializable copy for exports and history (no element references)
+    if (findings.length) {
+      this._auditFindings.set(key, findings.map(serializeFinding));
+    } else {
+      this._auditFindings.delete(key);
+    }
+
     if (!this.menu) return;
     const item = this.menu.querySelector(`[data-audit-key="${key}"]`);
     if (!item) return;
@@ -93,7 +113,7 @@ export const itemMethods = {
     // Store finding counts on the item for badge aggregation
     let errorCount = 0;
     let warningCount = 0;
-    findings?.forEach((f) => {
+    findings.forEach((f) => {
       if (f.severity === "warning") warningCount++;
       else errorCount++;
     });
@@ -103,79 +123,351 @@ export const itemMethods = {
     container.innerHTML = "";
     container.classList.remove("mageforge-findings-open");
 
-    if (!findings?.length) {
+    if (!findings.length && !ignored.length) {
       container.classList.remove("mageforge-has-findings");
       return;
     }
 
     container.classList.add("mageforge-has-findings");
 
-    const toggleBtn = document.createElement("button");
-    toggleBtn.type = "button";
-    toggleBtn.className = "mageforge-findings-toggle";
-    toggleBtn.setAttribute("aria-expanded", "false");
-    toggleBtn.innerHTML = `
-      <svg class="mageforge-findings-chevron" xmlns="http://www.w3.org/2000/svg" width="12" height="12" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2.5" stroke-linecap="round" stroke-linejoin="round" aria-hidden="true"><polyline points="6 9 12 15 18 9"></polyline></svg>
-      <span class="mageforge-findings-toggle-text">Show affected elements (${findings.length})</span>
-    `;
-    toggleBtn.addEventListener("click", (e) => {
+    if (findings.length) {
+      const toggleBtn = document.createElement("button");
+      toggleBtn.type = "button";
+      toggleBtn.className = "mageforge-findings-toggle";
+      toggleBtn.setAttribute("aria-expanded", "false");
+      toggleBtn.innerHTML = `
+        <svg class="mageforge-findings-chevron" xmlns="http://www.w3.org/2000/svg" width="12" height="12" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2.5" stroke-linecap="round" stroke-linejoin="round" aria-hidden="true"><polyline points="6 9 12 15 18 9"></polyline></svg>
+        <span class="mageforge-findings-toggle-text">Show affected elements (${findings.length})</span>
+      `;
+      toggleBtn.addEventListener("click", (e) => {
+        e.stopPropagation();
+        const isOpen = container.classList.toggle("mageforge-findings-open");
+        toggleBtn.setAttribute("aria-expanded", String(isOpen));
+        const textEl = toggleBtn.querySelector(
+          ".mageforge-findings-toggle-text",
+        );
+        if (textEl)
+          textEl.textContent = isOpen
+            ? `Hide affected elements (${findings.length})`
+            : `Show affected elements (${findings.length})`;
+      });
+      container.appendChild(toggleBtn);
+
+      const list = document.createElement("div");
+      list.className = "mageforge-findings-list";
+      findings.forEach((finding, index) => {
+        list.appendChild(
+          this._buildFindingRow(key, finding, index === findings.length - 1),
+        );
+      });
+      container.appendChild(list);
+    }
+
+    if (ignored.length) {
+      container.appendChild(this._buildIgnoredFindings(key, ignored));
+    }
+  },
+
+  /**
+   * A single finding row: tree connector, selector, action hint, ignore
+   * controls and detail lines. Clicking scrolls to and flashes the element.
+   *
+   * @param {string}  key
+   * @param {object}  finding
+   * @param {boolean} isLast
+   * @returns {HTMLDivElement}
+   */
+  _buildFindingRow(key, finding, isLast) {
+    const {
+      el,
+      selector,
+      severity = "error",
+      action = "Show Element",
+      ignored = false,
+      suppressedBy,
+      ...rest
+    } = finding;
+    const selectorStr = selector ?? getReadableSelector(el);
+
+    const row = document.createElement("div");
+    row.className = `mageforge-audit-finding mageforge-audit-finding--${
+      ignored ? "ignored" : severity
+    }`;
+
+    const treeEl = document.createElement("span");
+    treeEl.className = "mageforge-finding-tree";
+    treeEl.setAttribute("aria-hidden", "true");
+    treeEl.textContent = `${isLast ? "\u2514" : "\u251C"}\u2500`;
+
+    const selectorEl = document.createElement("span");
+    selectorEl.className = "mageforge-finding-selector";
+    selectorEl.setAttribute("title", selectorStr);
+    selectorEl.textContent = selectorStr;
+
+    const actionEl = document.createElement("span");
+    actionEl.className = "mageforge-finding-action";
+    actionEl.textContent = action;
+
+    row.appendChild(treeEl);
+    row.appendChild(selectorEl);
+    if (el) row.appendChild(actionEl);
+
+    const button = (label, title, onClick) => {
+      const btn = document.createElement("button");
+      btn.type = "button";
+      btn.className = "mageforge-finding-ignore";
+      btn.textContent = label;
+      btn.title = title;
+      btn.addEventListener("click", (e) => {
+        e.stopPropagation();
+        onClick();
+      });
+      row.appendChild(btn);
+      return btn;
+    };
+
+    // Findings inside a MageForge block link to its template (editor-link.js)
+    const template = el
+      ? domMethods.findBlockForElement.call(domMethods, el)?.data.template
+      : "";
+    if (template) {
+      const url = buildEditorUrl(
+        template,
+        this.$el?.getAttribute("data-magento-root") || "",
+      );
+      const open = button(
+        "Open",
+        url
+          ? `Open ${template} in your editor`
+          : "Set up an editor URL in the inspector's Structure tab to open templates",
+        () => {
+          if (url) window.location.href = url;
+        },
+      );
+      if (!url) open.setAttribute("aria-disabled", "true");
+    }
+
+    if (ignored) {
+      const rule = suppressedBy ?? {};
+      button(
+        "Restore",
+        rule.scope
+          ? `Remove the rule ignoring findings inside ${rule.scope}`
+          : `Stop ignoring ${rule.selector ?? selectorStr}`,
+        () => this.removeSuppression(rule),
+      );
+    } else {
+      button("Ignore", `Ignore ${selectorStr} for this audit`, () =>
+        this.addSuppression({
+          key,
+          selector: selectorStr,
+          ...(el ? { path: getUniqueSelector(el) } : {}),
+        }),
+      );
+      // Page-level findings have no area to ignore
+      if (el) {
+        button(
+          "Ignore area",
+          "Ignore every finding inside a CSS selector (all audits)",
+          () => this._toggleSuppressionScopeForm(row, el),
+        );
+      }
+    }
+
+    const details = this._buildFindingDetails(rest);
+    if (details) row.appendChild(details);
+
+    row.addEventListener("click", (e) => {
       e.stopPropagation();
-      const isOpen = container.classList.toggle("mageforge-findings-open");
-      toggleBtn.setAttribute("aria-expanded", String(isOpen));
-      const textEl = toggleBtn.querySelector(".mageforge-findings-toggle-text");
-      if (textEl)
-        textEl.textContent = isOpen
-          ? `Hide affected elements (${findings.length})`
-          : `Show affected elements (${findings.length})`;
+      if (!el) return;
+      el.scrollIntoView({ behavior: "smooth", block: "center" });
+      el.classList.add("mageforge-finding-flash");
+      setTimeout(() => el.classList.remove("mageforge-finding-flash"), 1200);
     });
-    container.appendChild(toggleBtn);
+    return row;
+  },
 
-    const list = document.createElement("div");
-    list.className = "mageforge-findings-list";
+  /**
+   * Collapsed "Ignored (n)" section listing suppressed findings.
+   *
+   * @param {string}   key
+   * @param {object[]} ignored
+   * @returns {HTMLDetailsElement}
+   */
+  _buildIgnoredFindings(key, ignored) {
+    const section = document.createElement("details");
+    section.className = "mageforge-findings-ignored";
 
-    findings.forEach(
-      (
-        { el, selector, severity = "error", action = "Show Element" },
-        index,
-      ) => {
-        const selectorStr = selector ?? getReadableSelector(el);
-        const isLast = index === findings.length - 1;
+    const summary = document.createElement("summary");
+    summary.textContent = `Ignored (${ignored.length})`;
+    section.appendChild(summary);
 
-        const row = document.createElement("div");
-        row.className = `mageforge-audit-finding mageforge-audit-finding--${severity}`;
+    ignored.forEach((finding, index) => {
+      section.appendChild(
+        this._buildFindingRow(key, finding, index === ignored.length - 1),
+      );
+    });
+    return section;
+  },
 
-        const treeEl = document.createElement("span");
-        treeEl.className = "mageforge-finding-tree";
-        treeEl.setAttribute("aria-hidden", "true");
-        treeEl.textContent = `${isLast ? "\u2514" : "\u251C"}\u2500`;
+  /**
+   * Inline form below a finding row asking for the CSS selector of the area
+   * to ignore ("Ignore area"). Invalid selectors are reported in the form
+   * instead of being stored as a rule that never matches.
+   *
+   * @param {HTMLElement} row
+   * @param {Element} el
+   */
+  _toggleSuppressionScopeForm(row, el) {
+    const open = row.querySelector(".mageforge-finding-scope-form");
+    if (open) {
+      open.remove();
+      return;
+    }
 
-        const selectorEl = document.createElement("span");
-        selectorEl.className = "mageforge-finding-selector";
-        selectorEl.setAttribute("title", selectorStr);
-        selectorEl.textContent = selectorStr;
+    const form = document.createElement("form");
+    form.className = "mageforge-finding-scope-form";
+    // Clicks inside the form must not scroll to the element
+    form.addEventListener("click", (e) => e.stopPropagation());
+
+    const input = document.createElement("input");
+    input.type = "text";
+    input.className = "mageforge-finding-scope-input";
+    input.value = this._suggestSuppressionScope(el);
+    input.spellcheck = false;
+    input.setAttribute(
+      "aria-label",
+      "Ignore all findings inside this CSS selector",
+    );
 
-        const actionEl = document.createElement("span");
-        actionEl.className = "mageforge-finding-action";
-        actionEl.textContent = action;
+    const error = document.createElement("span");
+    error.className = "mageforge-finding-scope-error";
+    error.setAttribute("role", "alert");
 
-        row.appendChild(treeEl);
-        row.appendChild(selectorEl);
-        row.appendChild(actionEl);
+    const showError = (message) => {
+      error.textContent = message;
+      input.setAttribute("aria-invalid", "true");
+      input.focus();
+    };
 
-        row.addEventListener("click", (e) => {
-          e.stopPropagation();
-          el.scrollIntoView({ behavior: "smooth", block: "center" });
-          el.classList.add("mageforge-finding-flash");
-          setTimeout(
-            () => el.classList.remove("mageforge-finding-flash"),
-            1200,
-          );
-        });
-        list.appendChild(row);
-      },
-    );
+    const submit = document.createElement("button");
+    submit.type = "submit";
+    submit.className = "mageforge-finding-ignore";
+    submit.textContent = "Ignore";
+
+    const cancel = document.createElement("button");
+    cancel.type = "button";
+    cancel.className = "mageforge-finding-ignore";
+    cancel.textContent = "Cancel";
+    cancel.addEventListener("click", () => form.remove());
+
+    form.addEventListener("submit", (e) => {
+      e.preventDefault();
+      const scope = input.value.trim();
+      if (!scope) {
+        showError("Enter a CSS selector.");
+        return;
+      }
+      try {
+        document.querySelector(scope);
+      } catch (_) {
+        showError(`"${scope}" is not a valid CSS selector.`);
+        return;
+      }
+      if (!this.addSuppression({ scope })) {
+        showError(`Findings inside ${scope} are already ignored.`);
+        return;
+      }
+      form.remove();
+    });
+    input.addEventListener("input", () => {
+      error.textContent = "";
+      input.removeAttribute("aria-invalid");
+    });
+    input.addEventListener("keydown", (e) => {
+      if (e.key !== "Escape") return;
+      e.stopPropagation();
+      form.remove();
+    });
+
+    form.appendChild(input);
+    form.appendChild(submit);
+    form.appendChild(cancel);
+    form.appendChild(error);
+    row.insertBefore(form, row.querySelector(".mageforge-finding-details"));
+    input.focus();
+    input.select();
+  },
+
+  /**
+   * Default scope offered by "Ignore area": the closest ancestor with an id
+   * (third-party widgets usually have one), else the element's own selector
+   * when that is valid CSS.
+   *
+   * @param {Element} el
+   * @returns {string}
+   */
+  _suggestSuppressionScope(el) {
+    const anchor = el.closest("[id]");
+    if (anchor && anchor !== document.body) return `#${CSS.escape(anchor.id)}`;
+
+    const selector = getReadableSelector(el);
+    try {
+      document.querySelector(selector);
+      return selector;
+    } catch (_) {
+      return el.tagName.toLowerCase();
+    }
+  },
+
+  /**
+   * Detail block under a finding row: message, measured vs. expected,
+   * suggested fix and rule reference. Returns null when there is nothing
+   * beyond the selector to show.
+   *
+   * @param {Partial<import('../audits/createAudit.js').AuditFinding>} finding
+   * @returns {HTMLDivElement|null}
+   */
+  _buildFindingDetails({ message, rule, ruleUrl, measured, expected, fix }) {
+    if (!message && !measured && !expected && !fix && !rule) return null;
+
+    const details = document.createElement("div");
+    details.className = "mageforge-finding-details";
+
+    const line = (className, text) => {
+      const el = document.createElement("span");
+      el.className = className;
+      el.textContent = text;
+      details.appendChild(el);
+      return el;
+    };
+
+    if (message) line("mageforge-finding-message", message);
+    if (measured || expected) {
+      line(
+        "mageforge-finding-measure",
+        [measured && `Measured ${measured}`, expected && `expected ${expected}`]
+          .filter(Boolean)
+          .join(" · "),
+      );
+    }
+    if (fix) line("mageforge-finding-fix", `Fix: ${fix}`);
+    if (rule) {
+      const ruleEl = line("mageforge-finding-rule", "");
+      if (ruleUrl) {
+        const link = document.createElement("a");
+        link.href = ruleUrl;
+        link.target = "_blank";
+        link.rel = "noopener noreferrer";
+        link.textContent = rule;
+        link.addEventListener("click", (e) => e.stopPropagation());
+        ruleEl.appendChild(link);
+      } else {
+        ruleEl.textContent = rule;
+      }
+    }
 
-    container.appendChild(list);
+    return details;
   },
 
   /**
@@ -197,6 +489,7 @@ export const itemMethods = {
       item.classList.remove(
         "mageforge-active--error",
         "mageforge-active--warning",
+        "mageforge-active--failed",
       );
       const status = item.querySelector(".mageforge-toolbar-menu-status");
       if (status) {
@@ -285,9 +578,8 @@ export const itemMethods = {
       row.appendChild(labelEl);
 
       if (groupKey) {
-        const groupLabel =
-          this.getAuditGroups().find((g) => g.key === groupKey)?.label ??
-          groupKey;
+        const group = this.getAuditGroups().find((g) => g.key === groupKey);
+        const groupLabel = group?.label ?? groupKey;
         const badge = document.createElement("button");
         badge.type = "button";
         badge.className = "mageforge-dashboard-issue-group";
@@ -295,7 +587,7 @@ export const itemMethods = {
           "--issue-group-color",
           `var(--mageforge-group-color-${groupKey})`,
         );
-        badge.innerHTML = GROUP_ICONS[groupKey] ?? "";
+        badge.innerHTML = group?.icon ?? GROUP_ICONS[groupKey] ?? "";
         badge.title = `Jump to ${groupLabel}`;
         badge.setAttribute("aria-label", `Jump to ${groupLabel}`);
         badge.onclick = (e) => {
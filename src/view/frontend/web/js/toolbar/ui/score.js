@@ -1,20 +1,35 @@
 /**
  * MageForge Toolbar – Score animations
  *
- * updateHealthScore / updateGroupScore / resetScore
+ * updateHealthScore / updateGroupScore / resetScore / _formatScoreBreakdown
  */
 
 import { GAUGE_ARC_LENGTH, SCORE_RING_CIRCUMFERENCE } from "./constants.js";
+import { describeScoringModel } from "../scoring.js";
 
 export const scoreMethods = {
   /**
    * Animate all score gauges and rings to the given score (0-100).
    *
    * @param {number} score
+   * @param {number} [failedCount=0] Audits excluded from the score because they failed
+   * @param {?import('../audits.js').ScoreBreakdown} [breakdown] Shown as tooltip on the gauge
    */
-  updateHealthScore(score) {
+  updateHealthScore(score, failedCount = 0, breakdown = null) {
     if (!this.menu) return;
 
+    const wrapper = this.menu.querySelector(
+      ".mageforge-toolbar-health-wrapper",
+    );
+    if (wrapper) wrapper.title = this._formatScoreBreakdown(breakdown);
+
+    const failedNote = this.menu.querySelector(".mageforge-health-failed-note");
+    if (failedNote) {
+      failedNote.textContent = failedCount
+        ? `${failedCount} audit${failedCount > 1 ? "s" : ""} failed \u2013 not scored`
+        : "";
+    }
+
     // Half-arc gauge in the Home panel
     const progress = this.menu.querySelector(
       ".mageforge-health-gauge-progress",
@@ -54,13 +69,22 @@ export const scoreMethods = {
    *
    * @param {string} groupKey
    * @param {number} score
+   * @param {?import('../audits.js').ScoreBreakdown} [breakdown] Shown as tooltip on the ring and dashboard card
    */
-  updateGroupScore(groupKey, score) {
+  updateGroupScore(groupKey, score, breakdown = null) {
+    const failedCount = this._countFailed(
+      this.getAudits().filter((a) => a.group === groupKey),
+    );
+
     if (!this.menu) return;
 
     const panel = this.menu.querySelector(`[data-panel="${groupKey}"]`);
     if (!panel) return;
 
+    const explanation = this._formatScoreBreakdown(breakdown, false);
+    const widget = panel.querySelector(".mageforge-score-widget");
+    if (widget) widget.title = explanation;
+
     const ring = panel.querySelector(".mageforge-score-ring");
     if (ring) {
       ring.setAttribute(
@@ -83,6 +107,18 @@ export const scoreMethods = {
         "mageforge-dashboard-category-score--active",
         score > 0,
       );
+      dashboardScore.classList.toggle(
+        "mageforge-dashboard-category-score--failed",
+        failedCount > 0,
+      );
+      dashboardScore.title = [
+        failedCount
+          ? `${failedCount} audit${failedCount > 1 ? "s" : ""} failed and ${failedCount > 1 ? "were" : "was"} not scored`
+          : "",
+        explanation,
+      ]
+        .filter(Boolean)
+        .join("\n\n");
     }
   },
 
@@ -91,6 +127,8 @@ export const scoreMethods = {
    */
   resetScore() {
     this.deactivateAllAudits();
+    this._healthScoreShown = false;
+    this._scoredGroups.clear();
     if (!this.menu) return;
 
     const progress = this.menu.querySelector(
@@ -100,11 +138,20 @@ export const scoreMethods = {
     if (progress)
       progress.setAttribute("stroke-dasharray", `0 ${GAUGE_ARC_LENGTH}`);
     if (needle) needle.setAttribute("opacity", "0");
+    const wrapper = this.menu.querySelector(
+      ".mageforge-toolbar-health-wrapper",
+    );
+    if (wrapper) wrapper.title = "";
+    this.menu
+      .querySelectorAll(".mageforge-score-widget")
+      .forEach((widget) => (widget.title = ""));
     this.menu
       .querySelectorAll(".mageforge-toolbar-health-score-number")
       .forEach((el) => {
         el.textContent = "--";
       });
+    const failedNote = this.menu.querySelector(".mageforge-health-failed-note");
+    if (failedNote) failedNote.textContent = "";
     this.menu.querySelectorAll(".mageforge-score-ring").forEach((ring) => {
       ring.setAttribute("stroke-dasharray", `0 ${SCORE_RING_CIRCUMFERENCE}`);
     });
@@ -115,7 +162,11 @@ export const scoreMethods = {
     // Reset dashboard category badges
     this.menu.querySelectorAll("[data-dashboard-group-score]").forEach((el) => {
       el.textContent = "--";
-      el.classList.remove("mageforge-dashboard-category-score--active");
+      el.title = "";
+      el.classList.remove(
+        "mageforge-dashboard-category-score--active",
+        "mageforge-dashboard-category-score--failed",
+      );
     });
 
     // Clear dashboard issues list
@@ -124,4 +175,49 @@ export const scoreMethods = {
     // Reset all navigation badges
     this.updateHomeSummary();
   },
+
+  /**
+   * Plain-text explanation of a score for `title` tooltips: per group its
+   * score and weight, per audit the points lost and why, then the model.
+   *
+   * @param {?import('../audits.js').ScoreBreakdown} breakdown
+   * @param {boolean} [showGroups=true] List group scores (overall gauge)
+   * @returns {string}
+   */
+  _formatScoreBreakdown(breakdown, showGroups = true) {
+    if (!breakdown) return "";
+    const lines = [`Score ${breakdown.score}/100`];
+
+    breakdown.groups.forEach((group) => {
+      const indent = showGroups ? "  " : "";
+      if (showGroups) {
+        lines.push(
+          `${group.label}: ${Math.round(group.score)} (group weight ${group.weight})`,
+        );
+      }
+      const penalized = group.audits.filter((a) => a.penalty > 0);
+      penalized
+        .sort((a, b) => b.penalty * b.weight - a.penalty * a.weight)
+        .forEach((audit) => {
+          const counts = [
+            audit.errors &&
+              `${audit.errors} error${audit.errors > 1 ? "s" : ""}`,
+            audit.warnings &&
+              `${audit.warnings} warning${audit.warnings > 1 ? "s" : ""}`,
+          ]
+            .filter(Boolean)
+            .join(", ");
+          lines.push(
+            `${indent}\u2212${Math.round(audit.penalty)} ${audit.label}: ${counts} (${audit.impact}, weight ${audit.weight})`,
+          );
+        });
+      const passed = group.audits.length - penalized.length;
+      if (passed) {
+        lines.push(`${indent}${passed} audit${passed > 1 ? "s" : ""} at 100`);
+      }
+    });
+
+    lines.push("", describeScoringModel());
+    return lines.join("\n");
+  },
 };
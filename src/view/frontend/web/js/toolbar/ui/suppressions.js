@@ -0,0 +1,159 @@
+/**
+ * MageForge Toolbar – Ignore rules (baseline) section on the Dashboard
+ *
+ * _buildSuppressionSection / renderSuppressionSummary / _importBaselineFile
+ */
+
+export const suppressionPanelMethods = {
+  /**
+   * Collapsed "Ignore rules" section: rule list with remove buttons plus
+   * baseline import / export / clear actions.
+   *
+   * @returns {HTMLDetailsElement}
+   */
+  _buildSuppressionSection() {
+    const section = document.createElement("details");
+    section.className = "mageforge-suppressions";
+
+    const summary = document.createElement("summary");
+    summary.className = "mageforge-section-heading";
+    section.appendChild(summary);
+
+    this.suppressionListEl = document.createElement("div");
+    this.suppressionListEl.className = "mageforge-suppressions-list";
+    section.appendChild(this.suppressionListEl);
+
+    const fileInput = document.createElement("input");
+    fileInput.type = "file";
+    fileInput.accept = "application/json,.json";
+    fileInput.hidden = true;
+    fileInput.addEventListener("change", () => {
+      const [file] = fileInput.files ?? [];
+      fileInput.value = "";
+      if (file) this._importBaselineFile(file);
+    });
+
+    const actions = document.createElement("div");
+    actions.className = "mageforge-suppressions-actions";
+    [
+      [
+        "Import",
+        "Merge ignore rules from a baseline JSON file",
+        () => fileInput.click(),
+      ],
+      [
+        "Export",
+        "Download the ignore rules as a baseline JSON file",
+        () => this.downloadSuppressions(),
+      ],
+      ["Clear", "Remove all ignore rules", () => this.clearSuppressions()],
+    ].forEach(([label, title, onClick]) => {
+      const btn = document.createElement("button");
+      btn.type = "button";
+      btn.className = "mageforge-theme-btn";
+      btn.dataset.baselineAction = label.toLowerCase();
+      btn.textContent = label;
+      btn.title = title;
+      btn.onclick = (e) => {
+        e.stopPropagation();
+        onClick();
+      };
+      actions.appendChild(btn);
+    });
+    actions.appendChild(fileInput);
+    section.appendChild(actions);
+
+    this.suppressionErrorEl = document.createElement("p");
+    this.suppressionErrorEl.className = "mageforge-suppressions-error";
+    this.suppressionErrorEl.setAttribute("role", "alert");
+    section.appendChild(this.suppressionErrorEl);
+
+    this.suppressionSectionEl = section;
+    this.renderSuppressionSummary();
+    return section;
+  },
+
+  /**
+   * Refresh the rule count and list (called whenever the rules change).
+   */
+  renderSuppressionSummary() {
+    if (!this.suppressionSectionEl) return;
+    const rules = this.getSuppressions();
+    const audits = this.getAudits();
+
+    this.suppressionSectionEl.querySelector("summary").textContent =
+      `Ignore rules (${rules.length})`;
+    this.suppressionSectionEl
+      .querySelectorAll(
+        '[data-baseline-action="export"], [data-baseline-action="clear"]',
+      )
+      .forEach((btn) => (btn.disabled = rules.length === 0));
+
+    const list = this.suppressionListEl;
+    list.innerHTML = "";
+    if (!rules.length) {
+      const empty = document.createElement("p");
+      empty.className = "mageforge-suppressions-empty";
+      empty.textContent =
+        "No ignored findings. Use “Ignore” on a finding to exclude known issues from the score.";
+      list.appendChild(empty);
+      return;
+    }
+
+    rules.forEach((rule) => {
+      const row = document.createElement("div");
+      row.className = "mageforge-suppression-rule";
+
+      const audit = rule.key
+        ? (audits.find((a) => a.key === rule.key)?.label ?? rule.key)
+        : "All audits";
+      const auditEl = document.createElement("span");
+      auditEl.className = "mageforge-suppression-audit";
+      auditEl.textContent = audit;
+
+      const targetEl = document.createElement("span");
+      targetEl.className = "mageforge-suppression-target";
+      // Imported rules may carry only the unique path
+      targetEl.textContent = rule.scope
+        ? `inside ${rule.scope}`
+        : (rule.selector ?? rule.path ?? "");
+      targetEl.title = rule.scope
+        ? targetEl.textContent
+        : (rule.path ?? targetEl.textContent);
+
+      const remove = document.createElement("button");
+      remove.type = "button";
+      remove.className = "mageforge-finding-ignore";
+      remove.textContent = "Remove";
+      remove.onclick = (e) => {
+        e.stopPropagation();
+        this.removeSuppression(rule);
+      };
+
+      row.appendChild(auditEl);
+      row.appendChild(targetEl);
+      row.appendChild(remove);
+      list.appendChild(row);
+    });
+  },
+
+  /**
+   * Read a baseline file chosen by the user and merge its rules. Errors are
+   * shown below the import / export actions.
+   *
+   * @param {File} file
+   * @returns {Promise<void>}
+   */
+  async _importBaselineFile(file) {
+    if (this.suppressionErrorEl) this.suppressionErrorEl.textContent = "";
+    try {
+      const added = this.importSuppressions(await file.text());
+      if (!added) this.renderSuppressionSummary();
+    } catch (err) {
+      console.warn("[MageForge] Baseline import failed:", err);
+      if (this.suppressionErrorEl) {
+        this.suppressionErrorEl.textContent = `Could not import ${file.name}: ${err.message ?? err}`;
+      }
+    }
+  },
+};
@@ -5,7 +5,10 @@ declare(strict_types=1);
 namespace OpenForgeProject\MageForge\Test\Unit\Block;
 
 use Magento\Framework\App\Config\ScopeConfigInterface;
+use Magento\Framework\App\Filesystem\DirectoryList;
 use Magento\Framework\App\State;
+use Magento\Framework\View\Design\ThemeInterface;
+use Magento\Framework\View\DesignInterface;
 use Magento\Framework\View\Element\Template\Context;
 use OpenForgeProject\MageForge\Block\Inspector;
 use OpenForgeProject\MageForge\Model\Config\Inspector as InspectorConfig;
@@ -31,6 +34,14 @@ class InspectorTest extends TestCase
      * @var DeveloperAccessChecker&MockObject
      */
     private $developerAccessChecker;
+    /**
+     * @var DirectoryList&MockObject
+     */
+    private $directoryList;
+    /**
+     * @var DesignInterface&MockObject
+     */
+    private $design;
     /**
      * @var Inspector
      */
@@ -39,15 +50,19 @@ class InspectorTest extends TestCase
     protected function setUp(): void
     {
         $this->context = $this->createMock(Context::class);
+        $this->design = $this->createMock(DesignInterface::class);
+        $this->context->method('getDesignPackage')->willReturn($this->design);
         $this->state = $this->createMock(State::class);
         $this->scopeConfig = $this->createMock(ScopeConfigInterface::class);
         $this->developerAccessChecker = $this->createMock(DeveloperAccessChecker::class);
+        $this->directoryList = $this->createMock(DirectoryList::class);
 
         $this->block = new Inspector(
             $this->context,
             $this->state,
             $this->scopeConfig,
             $this->developerAccessChecker,
+            $this->directoryList,
         );
     }
 
@@ -201,4 +216,71 @@ class InspectorTest extends TestCase
 
         $this->assertSame(InspectorConfig::DEFAULT_INSPECTOR_SHORTCUT, $this->block->getInspectorShortcut());
     }
+
+    public function testGetPerformanceBudgetsReturnsConfiguredValues(): void
+    {
+        $this->scopeConfig->method('getValue')->willReturnMap([
+            [InspectorConfig::XML_PATH_BUDGET_JS_KB, InspectorConfig::SCOPE_STORE, null, '300'],
+            [InspectorConfig::XML_PATH_BUDGET_IMAGE_KB, InspectorConfig::SCOPE_STORE, null, '800'],
+            [InspectorConfig::XML_PATH_BUDGET_DOM_NODES, InspectorConfig::SCOPE_STORE, null, '1200'],
+            [InspectorConfig::XML_PATH_BUDGET_LCP_MS, InspectorConfig::SCOPE_STORE, null, '2000'],
+            [InspectorConfig::XML_PATH_BUDGET_THIRD_PARTY_REQUESTS, InspectorConfig::SCOPE_STORE, null, '10'],
+        ]);
+
+        $this->assertSame(
+            [
+                'js-kb' => 300,
+                'image-kb' => 800,
+                'dom-nodes' => 1200,
+                'lcp-ms' => 2000,
+                'third-party-requests' => 10,
+            ],
+            $this->block->getPerformanceBudgets(),
+        );
+    }
+
+    public function testGetPerformanceBudgetsReturnsDefaultsWhenEmpty(): void
+    {
+        $this->scopeConfig->method('getValue')->willReturn(null);
+
+        $this->assertSame(
+            [
+                'js-kb' => InspectorConfig::DEFAULT_BUDGET_JS_KB,
+                'image-kb' => InspectorConfig::DEFAULT_BUDGET_IMAGE_KB,
+                'dom-nodes' => InspectorConfig::DEFAULT_BUDGET_DOM_NODES,
+                'lcp-ms' => InspectorConfig::DEFAULT_BUDGET_LCP_MS,
+                'third-party-requests' => InspectorConfig::DEFAULT_BUDGET_THIRD_PARTY_REQUESTS,
+            ],
+            $this->block->getPerformanceBudgets(),
+        );
+    }
+
+    public function testGetPerformanceBudgetsReturnsDefaultForInvalidValues(): void
+    {
+        $this->scopeConfig->method('getValue')->willReturnOnConsecutiveCalls('0', '-5', 'abc', '', '15');
+
+        $budgets = $this->block->getPerformanceBudgets();
+
+        $this->assertSame(InspectorConfig::DEFAULT_BUDGET_JS_KB, $budgets['js-kb']);
+        $this->assertSame(InspectorConfig::DEFAULT_BUDGET_IMAGE_KB, $budgets['image-kb']);
+        $this->assertSame(InspectorConfig::DEFAULT_BUDGET_DOM_NODES, $budgets['dom-nodes']);
+        $this->assertSame(InspectorConfig::DEFAULT_BUDGET_LCP_MS, $budgets['lcp-ms']);
+        $this->assertSame(15, $budgets['third-party-requests']);
+    }
+
+    public function testGetMagentoRootStripsTrailingSlash(): void
+    {
+        $this->directoryList->method('getRoot')->willReturn('/var/www/html/');
+
+        $this->assertSame('/var/www/html', $this->block->getMagentoRoot());
+    }
+
+    public function testGetDesignThemeCodeReturnsCurrentThemeCode(): void
+    {
+        $theme = $this->createMock(ThemeInterface::class);
+        $theme->method('getCode')->willReturn('Hyva/default');
+        $this->design->method('getDesignTheme')->willReturn($theme);
+
+        $this->assertSame('Hyva/default', $this->block->getDesignThemeCode());
+    }
 }